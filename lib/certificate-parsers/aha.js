@@ -0,0 +1,61 @@
+const { cleanupName, scoreMarkers, createFieldCollector } = require('./common');
+
+const AHA_COURSES = [
+  { pattern: /\bBLS\s+Provider\b/i, name: 'BLS Provider' },
+  { pattern: /\bACLS\s+Provider\b/i, name: 'ACLS Provider' },
+  { pattern: /\bPALS\s+Provider\b/i, name: 'PALS Provider' },
+  { pattern: /\bPEARS\s+Provider\b/i, name: 'PEARS Provider' },
+  { pattern: /\bHeartsaver\s+First\s+Aid\s+CPR\s+AED\b/i, name: 'Heartsaver First Aid CPR AED' },
+  { pattern: /\bHeartsaver\s+CPR\s+AED\b/i, name: 'Heartsaver CPR AED' },
+  { pattern: /\bHeartsaver\s+First\s+Aid\b/i, name: 'Heartsaver First Aid' },
+  { pattern: /\bBasic\s+Life\s+Support\b/i, name: 'BLS Provider' }
+];
+
+const markers = [
+  { pattern: /\bamerican\s+heart\s+association\b/i, weight: 0.4 },
+  { pattern: /\becard\s*(?:code)?\b/i, weight: 0.3 },
+  { pattern: /\brecommended\s+renewal\s+date\b/i, weight: 0.3 },
+  { pattern: /\btraining\s+(?:center|site)\s+(?:name|id)\b/i, weight: 0.2 },
+  { pattern: /\bcognitive\s+and\s+skills\s+evaluations\b/i, weight: 0.3 },
+  { pattern: /\b(?:BLS|ACLS|PALS|PEARS)\s+Provider\b|\bHeartsaver\b/i, weight: 0.2 }
+];
+
+// American Heart Association course completion eCards (BLS, ACLS, PALS, Heartsaver)
+module.exports = {
+  id: 'aha',
+  label: 'AHA eCard',
+
+  detect({ compact }) {
+    return scoreMarkers(compact, markers);
+  },
+
+  extract(context) {
+    const { lines, compact } = context;
+    const fields = createFieldCollector(context);
+
+    // The holder's name sits on the line above "has successfully completed the cognitive..."
+    const completedIdx = lines.findIndex((line) => /\bhas\s+successfully\s+completed\s+the\s+cognitive\b/i.test(line));
+    if (completedIdx > 0) {
+      fields.set('recipientName', cleanupName(lines[completedIdx - 1]), `${lines[completedIdx - 1]} ${lines[completedIdx]}`);
+    }
+    if (!fields.has('recipientName')) {
+      fields.match('recipientName', [
+        /(?:holder|student)\s*(?:name)?\s*[:\-]\s*([A-Z][A-Za-z'.,\-\s]{2,60}?)\s+(?:has|issue|ecard|training)/i
+      ], cleanupName);
+    }
+
+    const course = AHA_COURSES.find((candidate) => candidate.pattern.test(compact));
+    if (course) {
+      fields.set('trainingClassName', course.name, compact.match(course.pattern)[0]);
+    }
+
+    fields.match('courseIdentifier', [/\beCard\s*Code\s*[:#\-]?\s*([A-Z0-9]{6,20})\b/i]);
+    fields.matchDate([
+      /issue\s*date\s*[:\-]?\s*(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/i,
+      /issue\s*date\s*[:\-]?\s*([A-Za-z]{3,9}\s+\d{1,2},\s+\d{2,4})/i,
+      { pattern: /issue\s*date\s*[:\-]?\s*(\d{1,2}\/\d{4})/i, confidence: 'low' }
+    ]);
+
+    return fields.result();
+  }
+};
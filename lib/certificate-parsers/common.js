@@ -0,0 +1,171 @@
+// Text helpers shared by the certificate parsers
+
+const normalizeWhitespace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const toSingleLine = (text) => normalizeWhitespace((text || '').replace(/[\r\n]+/g, ' '));
+
+const toSafeNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const cleanupName = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  let cleaned = toSingleLine(value)
+    .replace(/\b(has\s+passed|successfully\s+completed|completed\s+all\s+course\s+work|has\s+completed|has\s+reaffirmed)\b.*$/i, '')
+    .replace(/[^A-Za-z'.,\-\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  cleaned = cleaned.replace(/[.,\-\s]+$/, '').trim();
+  if (!cleaned) {
+    return null;
+  }
+
+  const words = cleaned.split(' ').filter(Boolean);
+  if (words.length < 2) {
+    return null;
+  }
+
+  return cleaned;
+};
+
+const tryParseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const parsed = new Date(value);
+  if (!Number.isNaN(parsed.getTime())) {
+    return parsed;
+  }
+
+  const normalized = value.replace(/(\d{1,2})\.(\d{1,2})\.(\d{2,4})/, '$1/$2/$3');
+  const fallback = new Date(normalized);
+  return Number.isNaN(fallback.getTime()) ? null : fallback;
+};
+
+// Split raw certificate text into the shapes parsers match against
+const buildParseContext = (rawText) => {
+  const text = typeof rawText === 'string' ? rawText : '';
+  const multiline = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  const lines = multiline
+    .split('\n')
+    .map((line) => normalizeWhitespace(line))
+    .filter(Boolean);
+  return {
+    text,
+    multiline,
+    lines,
+    compact: toSingleLine(multiline)
+  };
+};
+
+// Sum of matched marker weights, capped at 1
+const scoreMarkers = (compact, markers) => {
+  const score = markers.reduce((total, marker) => (marker.pattern.test(compact) ? total + marker.weight : total), 0);
+  return Math.min(1, Math.round(score * 100) / 100);
+};
+
+// { name, snippet } for the first usable line after a line matching anchorPattern
+const findNameAfterLine = (lines, anchorPattern, stopPattern, lookahead = 3) => {
+  const anchorIdx = lines.findIndex((line) => anchorPattern.test(line));
+  if (anchorIdx < 0) {
+    return null;
+  }
+
+  for (let i = anchorIdx + 1; i < Math.min(anchorIdx + 1 + lookahead, lines.length); i += 1) {
+    if (stopPattern && stopPattern.test(lines[i])) {
+      break;
+    }
+    const candidateName = cleanupName(lines[i]);
+    if (candidateName) {
+      return { name: candidateName, snippet: `${lines[anchorIdx]} ${lines[i]}` };
+    }
+  }
+  return null;
+};
+
+// Compact excerpt of the certificate text around a match, for showing reviewers where a value came from
+const snippetAround = (text, index, length, padding = 30) => {
+  const start = Math.max(0, index - padding);
+  const end = Math.min(text.length, index + length + padding);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Collects field values with the snippet each came from and a confidence level.
+// Patterns may be plain RegExps or { pattern, confidence } to rate individual patterns.
+const createFieldCollector = ({ compact }, defaultConfidence = null) => {
+  const values = {};
+  const sources = {};
+  const confidence = {};
+
+  const set = (field, value, snippet = null, level = defaultConfidence) => {
+    if (value === null || value === undefined || value === '') {
+      return false;
+    }
+    values[field] = value;
+    sources[field] = snippet;
+    confidence[field] = level;
+    return true;
+  };
+
+  const match = (field, patterns, transform = (value) => value.trim(), text = compact) => {
+    for (const entry of patterns) {
+      const pattern = entry instanceof RegExp ? entry : entry.pattern;
+      const result = text.match(pattern);
+      if (!result || !result[1]) {
+        continue;
+      }
+      const value = transform(result[1]);
+      if (set(field, value, snippetAround(text, result.index, result[0].length), entry.confidence || defaultConfidence)) {
+        return value;
+      }
+    }
+    return null;
+  };
+
+  // Sets courseDate (ISO) and courseDateText from the first pattern yielding a valid date
+  const matchDate = (patterns, text = compact) => {
+    for (const entry of patterns) {
+      const pattern = entry instanceof RegExp ? entry : entry.pattern;
+      const result = text.match(pattern);
+      const parsedDate = result && result[1] ? tryParseDate(result[1]) : null;
+      if (parsedDate) {
+        const snippet = snippetAround(text, result.index, result[0].length);
+        const level = entry.confidence || defaultConfidence;
+        set('courseDate', parsedDate.toISOString(), snippet, level);
+        set('courseDateText', result[1].trim(), snippet, level);
+        return parsedDate;
+      }
+    }
+    return null;
+  };
+
+  return {
+    set,
+    match,
+    matchDate,
+    has: (field) => Object.prototype.hasOwnProperty.call(values, field),
+    result: () => ({ values, sources, confidence })
+  };
+};
+
+module.exports = {
+  normalizeWhitespace,
+  toSingleLine,
+  toSafeNumber,
+  cleanupName,
+  tryParseDate,
+  buildParseContext,
+  scoreMarkers,
+  findNameAfterLine,
+  snippetAround,
+  CONFIDENCE_LEVELS,
+  createFieldCollector
+};
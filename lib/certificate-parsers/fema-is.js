@@ -0,0 +1,69 @@
+const { toSingleLine, toSafeNumber, scoreMarkers, findNameAfterLine, createFieldCollector } = require('./common');
+
+const FEMA_COURSE_ID = /\bIS[-\s]?0*(\d{1,4})(?:\.([a-z]))?\b/i;
+
+const markers = [
+  { pattern: /\bfederal\s+emergency\s+management\s+agency\b/i, weight: 0.3 },
+  { pattern: /\bemergency\s+management\s+institute\b/i, weight: 0.4 },
+  { pattern: /\bindependent\s+study\b/i, weight: 0.2 },
+  { pattern: /\bcertificate\s+of\s+achievement\b/i, weight: 0.1 },
+  { pattern: /\breaffirmed\s+a\s+dedication\b/i, weight: 0.3 },
+  { pattern: /\biacet\b/i, weight: 0.1 },
+  { pattern: FEMA_COURSE_ID, weight: 0.2 }
+];
+
+// FEMA Emergency Management Institute Independent Study (IS-xxx) certificates
+module.exports = {
+  id: 'fema-is',
+  label: 'FEMA Independent Study',
+
+  detect({ compact }) {
+    return scoreMarkers(compact, markers);
+  },
+
+  extract(context) {
+    const { lines, compact } = context;
+    const fields = createFieldCollector(context);
+
+    const acknowledged = findNameAfterLine(lines, /\backnowledge\s+that\b/i, /\bhas\s+reaffirmed\b/i);
+    if (acknowledged) {
+      fields.set('recipientName', acknowledged.name, acknowledged.snippet);
+    }
+
+    const idLineIdx = lines.findIndex((line) => FEMA_COURSE_ID.test(line));
+    if (idLineIdx >= 0) {
+      const idMatch = lines[idLineIdx].match(FEMA_COURSE_ID);
+      const courseIdentifier = `IS-${idMatch[1]}${idMatch[2] ? '.' + idMatch[2].toLowerCase() : ''}`;
+      fields.set('courseIdentifier', courseIdentifier, lines[idLineIdx]);
+
+      // Course title follows the IS number on the same or next line
+      const sameLineTitle = toSingleLine(lines[idLineIdx].replace(FEMA_COURSE_ID, '')).replace(/^[:\-\s]+/, '');
+      const title = sameLineTitle.length >= 5 ? sameLineTitle : (lines[idLineIdx + 1] || '');
+      if (title && !/\b(issued|iacet|ceu)\b/i.test(title)) {
+        fields.set('trainingClassName', `${courseIdentifier} ${title}`.trim(), `${lines[idLineIdx]} ${title}`);
+      }
+    }
+
+    // FEMA lists IACET CEUs; one CEU is ten contact hours
+    fields.match('hoursLogged', [
+      /(\d+(?:\.\d+)?)\s*IACET\s*CEU/i,
+      /IACET\s*CEU\s*[:\-]?\s*(\d+(?:\.\d+)?)/i
+    ], (value) => {
+      const ceus = toSafeNumber(value);
+      return ceus === null ? null : Math.round(ceus * 10 * 10) / 10;
+    });
+
+    const dayOfMatch = compact.match(/(\d{1,2})(?:st|nd|rd|th)?\s+day\s+of\s+([A-Za-z]{3,9}),?\s+(\d{4})/i);
+    if (dayOfMatch) {
+      const issued = new Date(`${dayOfMatch[2]} ${dayOfMatch[1]}, ${dayOfMatch[3]}`);
+      if (!Number.isNaN(issued.getTime())) {
+        fields.set('courseDate', issued.toISOString(), dayOfMatch[0]);
+        fields.set('courseDateText', dayOfMatch[0], dayOfMatch[0]);
+      }
+    } else {
+      fields.matchDate([/issued\s*(?:on)?\s*[:\-]?\s*([A-Za-z]{3,9}\s+\d{1,2},\s+\d{4})/i]);
+    }
+
+    return fields.result();
+  }
+};
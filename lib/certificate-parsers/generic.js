@@ -0,0 +1,60 @@
+const { normalizeWhitespace, toSafeNumber, cleanupName, createFieldCollector } = require('./common');
+
+// Labelled patterns ("Course: ...", "Date: ...") are more trustworthy than loose ones
+const recipientPatterns = [
+  { pattern: /(?:awarded|presented|issued|granted)\s+to\s*[:\-]?\s*([A-Z][A-Za-z'.,\-\s]{2,80})/i, confidence: 'medium' },
+  { pattern: /(?:participant|student|member|recipient|name)\s*[:\-]\s*([A-Z][A-Za-z'.,\-\s]{2,80})/i, confidence: 'medium' },
+  /this certifies that\s+([A-Z][A-Za-z'.,\-\s]{2,80})/i,
+  /completed by\s*[:\-]?\s*([A-Z][A-Za-z'.,\-\s]{2,80})/i
+];
+
+const classPatterns = [
+  { pattern: /(?:course|class|training|program)\s*(?:title|name)?\s*[:\-]\s*([^\n]{3,120})/i, confidence: 'medium' },
+  /has successfully completed\s+([^\n]{3,120})/i,
+  /successful completion of\s+([^\n]{3,120})/i,
+  /successfully completed\s+([^\n]{3,120})/i
+];
+
+const hoursPatterns = [
+  { pattern: /total\s*(?:training\s*)?hours?\s*[:\-]?\s*(\d+(?:\.\d+)?)/i, confidence: 'medium' },
+  /(\d+(?:\.\d+)?)\s*(?:clock\s*)?(?:hours?|hrs?)\b/i,
+  { pattern: /hours\s*completed\s*[:\-]?\s*(\d+(?:\.\d+)?)/i, confidence: 'medium' }
+];
+
+const idPatterns = [
+  { pattern: /(?:course|class|program)\s*(?:id|number|no\.?|#)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-_/]{2,30})/i, confidence: 'medium' },
+  /(?:certificate|log)\s*(?:id|number|no\.?|#)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-_/]{2,30})/i
+];
+
+const datePatterns = [
+  { pattern: /(?:completion|course|class|issued?|date)\s*(?:date)?\s*[:\-]\s*([A-Za-z]{3,9}\s+\d{1,2},\s+\d{2,4})/i, confidence: 'medium' },
+  { pattern: /(?:completion|course|class|issued?|date)\s*(?:date)?\s*[:\-]\s*(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/i, confidence: 'medium' },
+  /\b([A-Za-z]{3,9}\s+\d{1,2},\s+\d{2,4})\b/,
+  /\b(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})\b/
+];
+
+// Fallback for certificates from any issuer; format parsers layer their fields on top of this
+module.exports = {
+  id: 'generic',
+  label: 'Unrecognized format',
+
+  detect() {
+    return 0;
+  },
+
+  extract(context) {
+    const fields = createFieldCollector(context, 'low');
+
+    fields.match('recipientName', recipientPatterns, cleanupName);
+    fields.match('trainingClassName', classPatterns, (value) => {
+      const candidate = normalizeWhitespace(value).replace(/\s+(on|dated?)\s+.*$/i, '').trim();
+      return candidate && !/^\d/.test(candidate) ? candidate : null;
+    });
+    fields.match('hoursLogged', hoursPatterns, toSafeNumber);
+    fields.match('courseIdentifier', idPatterns);
+    fields.match('logNumber', [{ pattern: /\blog\s*(?:number|no\.?|#)\s*[:\-]?\s*([A-Z0-9\-_/]{2,30})/i, confidence: 'medium' }]);
+    fields.matchDate(datePatterns);
+
+    return fields.result();
+  }
+};
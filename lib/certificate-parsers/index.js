@@ -0,0 +1,120 @@
+const { buildParseContext } = require('./common');
+const genericParser = require('./generic');
+
+// Certificate parser registry. Each parser exposes:
+//   id, label          - identifiers reported back to the uploader
+//   detect(context)    - 0..1 score for how well the text matches the format
+//   extract(context)   - { values, sources, confidence } from createFieldCollector; fields it
+//                        cannot read fall back to the generic parser
+// The highest-scoring parser at or above RECOGNITION_THRESHOLD wins.
+const RECOGNITION_THRESHOLD = 0.5;
+const MAX_SNIPPET_LENGTH = 160;
+
+const parsers = [];
+
+const registerParser = (parser) => {
+  if (!parser || !parser.id || typeof parser.detect !== 'function' || typeof parser.extract !== 'function') {
+    throw new Error('Certificate parsers need an id, detect() and extract()');
+  }
+  if (parsers.some((existing) => existing.id === parser.id)) {
+    throw new Error(`Certificate parser "${parser.id}" is already registered`);
+  }
+  parsers.push(parser);
+};
+
+const getSupportedFormats = () => parsers.map(({ id, label }) => ({ id, label }));
+
+const detectCertificateFormat = (context) => {
+  const candidates = parsers
+    .map((parser) => {
+      let score = 0;
+      try {
+        score = parser.detect(context) || 0;
+      } catch (err) {
+        console.warn(`Certificate parser "${parser.id}" detection failed:`, err.message);
+      }
+      return { parser, score };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const best = candidates[0] && candidates[0].score >= RECOGNITION_THRESHOLD ? candidates[0] : null;
+  return {
+    best,
+    candidates: candidates
+      .filter((candidate) => candidate.score > 0)
+      .map(({ parser, score }) => ({ id: parser.id, label: parser.label, score }))
+  };
+};
+
+// Confidence for fields a recognized format parser did not rate itself
+const formatConfidence = (score) => (score >= 0.8 ? 'high' : 'medium');
+
+const parseCertificateText = (rawText) => {
+  const context = buildParseContext(rawText);
+  const extracted = {
+    rawText: context.text,
+    recipientName: null,
+    trainingClassName: null,
+    hoursLogged: null,
+    courseIdentifier: null,
+    logNumber: null,
+    courseDate: null,
+    courseDateText: null,
+    // { [field]: { confidence: 'low' | 'medium' | 'high', snippet } } for every field found
+    fieldDetails: {},
+    format: { id: genericParser.id, label: genericParser.label, score: 0 },
+    formatCandidates: [],
+    isLikelyMfri: false
+  };
+
+  if (!context.compact) {
+    return extracted;
+  }
+
+  const { best, candidates } = detectCertificateFormat(context);
+  extracted.formatCandidates = candidates;
+
+  const layers = [{ result: genericParser.extract(context), defaultConfidence: 'low' }];
+  if (best) {
+    extracted.format = { id: best.parser.id, label: best.parser.label, score: best.score };
+    try {
+      layers.push({ result: best.parser.extract(context), defaultConfidence: formatConfidence(best.score) });
+    } catch (err) {
+      console.warn(`Certificate parser "${best.parser.id}" extraction failed:`, err.message);
+    }
+  }
+
+  // Later layers (the recognized format) override the generic fallback field by field
+  layers.forEach(({ result, defaultConfidence }) => {
+    const { values = {}, sources = {}, confidence = {} } = result || {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (value === null || value === undefined || value === '') {
+        return;
+      }
+      extracted[field] = value;
+      extracted.fieldDetails[field] = {
+        confidence: confidence[field] || defaultConfidence,
+        snippet: sources[field] ? sources[field].slice(0, MAX_SNIPPET_LENGTH) : null
+      };
+    });
+  });
+
+  extracted.isLikelyMfri = extracted.format.id === 'mfri';
+  return extracted;
+};
+
+[
+  require('./mfri'),
+  require('./fema-is'),
+  require('./aha'),
+  require('./nremt'),
+  require('./teex')
+].forEach(registerParser);
+
+module.exports = {
+  RECOGNITION_THRESHOLD,
+  registerParser,
+  getSupportedFormats,
+  detectCertificateFormat,
+  parseCertificateText
+};
@@ -0,0 +1,72 @@
+const { toSingleLine, cleanupName, scoreMarkers, findNameAfterLine, createFieldCollector } = require('./common');
+
+const MFRI_COURSE_ID = /\b([A-Z]{2,6}-\d{2,4}-[A-Z0-9]{2,8}-\d{4})\b/i;
+
+const markers = [
+  { pattern: /\bthis\s+certificate\s+awarded\s+to\b/i, weight: 0.3 },
+  { pattern: /\bhas\s+passed\s+all\s+examinations\b/i, weight: 0.3 },
+  { pattern: /\bcompleted\s+all\s+course\s+work\s+in\b/i, weight: 0.3 },
+  { pattern: /\blog\s+number\b/i, weight: 0.3 },
+  { pattern: MFRI_COURSE_ID, weight: 0.3 },
+  { pattern: /\bmaryland\s+fire\s+(?:and|&)\s+rescue\s+institute\b/i, weight: 0.3 }
+];
+
+// Maryland Fire and Rescue Institute course completion certificates
+module.exports = {
+  id: 'mfri',
+  label: 'MFRI certificate',
+
+  detect({ compact }) {
+    return scoreMarkers(compact, markers);
+  },
+
+  extract(context) {
+    const { multiline, lines } = context;
+    const fields = createFieldCollector(context);
+
+    const awardedName = findNameAfterLine(
+      lines,
+      /\b(awarded\s+to|this\s+certificate\s+awarded\s+to)\b/i,
+      /\b(has\s+passed|completed\s+all\s+course\s+work|course\s+work)\b/i
+    );
+    if (awardedName) {
+      fields.set('recipientName', awardedName.name, awardedName.snippet);
+    } else {
+      fields.match('recipientName', [/awarded\s+to\s*\n+([\s\S]{0,120}?)\n+has\s+passed/i], cleanupName, multiline);
+    }
+
+    const courseWorkLineIdx = lines.findIndex((line) => /\bcompleted\s+all\s+course\s+work\s+in\b/i.test(line));
+    if (courseWorkLineIdx >= 0) {
+      const classParts = [];
+      for (let i = courseWorkLineIdx + 1; i < Math.min(courseWorkLineIdx + 6, lines.length); i += 1) {
+        const candidateLine = lines[i];
+        if (/\(\s*\d+(?:\.\d+)?\s*hours?\s*\)/i.test(candidateLine)) {
+          break;
+        }
+        if (/\b(log\s+number|date|location|director)\b/i.test(candidateLine)) {
+          break;
+        }
+        if (/^[A-Z]{2,6}-\d{2,4}-[A-Z0-9]{2,8}-\d{4}\b/i.test(candidateLine)) {
+          break;
+        }
+        classParts.push(candidateLine);
+      }
+
+      if (classParts.length) {
+        const className = toSingleLine(classParts.join(' '));
+        fields.set('trainingClassName', className, `${lines[courseWorkLineIdx]} ${className}`);
+      }
+    }
+
+    if (!fields.has('trainingClassName')) {
+      fields.match('trainingClassName', [
+        /completed\s+all\s+course\s+work\s+in\s*\n+([\s\S]{0,180}?)\n+\(?\s*\d+(?:\.\d+)?\s*hours?\s*\)?/i
+      ], toSingleLine, multiline);
+    }
+
+    fields.match('hoursLogged', [/\(\s*(\d+(?:\.\d+)?)\s*hours?\s*\)/i], parseFloat);
+    fields.match('courseIdentifier', [MFRI_COURSE_ID], (value) => value.toUpperCase());
+
+    return fields.result();
+  }
+};
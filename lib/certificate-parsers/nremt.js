@@ -0,0 +1,46 @@
+const { scoreMarkers, cleanupName, normalizeWhitespace, toSafeNumber, createFieldCollector } = require('./common');
+
+const markers = [
+  { pattern: /\bnational\s+registry\s+of\s+emergency\s+medical\s+technicians\b/i, weight: 0.4 },
+  { pattern: /\bNREMT\b/, weight: 0.3 },
+  { pattern: /\bCAPCE\b/, weight: 0.3 },
+  { pattern: /\bCEHs?\b|\bcontinuing\s+education\s+hours?\b/i, weight: 0.2 },
+  { pattern: /\b(?:national|local|individual)\s+component\b|\bNCCP\b/i, weight: 0.2 }
+];
+
+// NREMT continuing education certificates (CAPCE-accredited CE, NCCP components)
+module.exports = {
+  id: 'nremt',
+  label: 'NREMT continuing education',
+
+  detect({ compact }) {
+    return scoreMarkers(compact, markers);
+  },
+
+  extract(context) {
+    const fields = createFieldCollector(context);
+
+    fields.match('recipientName', [
+      /this\s+(?:is\s+to\s+)?certif(?:y|ies)\s+that\s+([A-Z][A-Za-z'.,\-\s]{2,60}?)\s+(?:has|NREMT|registry|,)/i,
+      /(?:participant|attendee|student)\s*(?:name)?\s*[:\-]\s*([A-Z][A-Za-z'.,\-\s]{2,60}?)\s+(?:NREMT|registry|course|date)/i
+    ], cleanupName);
+    fields.match('trainingClassName', [
+      /course\s*title\s*[:\-]\s*(.{3,120}?)\s+(?:CAPCE|course\s*(?:number|#|id)|date|CEH|category)/i,
+      { pattern: /has\s+(?:successfully\s+)?completed\s+(?:the\s+)?(.{3,120}?)\s+(?:CAPCE|course\s*(?:number|#|id)|on\s|for\s|\d+(?:\.\d+)?\s*CEH)/i, confidence: 'medium' }
+    ], (value) => normalizeWhitespace(value) || null);
+    fields.match('hoursLogged', [
+      /(\d+(?:\.\d+)?)\s*(?:CEHs?|CE\s*hours?|contact\s*hours?)\b/i,
+      /(?:CEHs?|CE\s*hours?|contact\s*hours?)\s*[:\-]?\s*(\d+(?:\.\d+)?)/i
+    ], toSafeNumber);
+    fields.match('courseIdentifier', [
+      /CAPCE\s*course\s*(?:number|#|no\.?)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-]{4,30})/i,
+      /course\s*(?:number|#|no\.?)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-]{4,30})/i
+    ]);
+    fields.matchDate([
+      /(?:completion|course|activity)\s*date\s*[:\-]?\s*(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/i,
+      /(?:completion|course|activity)\s*date\s*[:\-]?\s*([A-Za-z]{3,9}\s+\d{1,2},\s+\d{2,4})/i
+    ]);
+
+    return fields.result();
+  }
+};
@@ -0,0 +1,54 @@
+const { scoreMarkers, cleanupName, normalizeWhitespace, toSafeNumber, createFieldCollector } = require('./common');
+
+// DHS/FEMA NTED course codes (AWR-160, MGT-317, PER-211-1) used on TEEX certificates
+const NTED_COURSE_ID = /\b((?:AWR|MGT|PER)-?\d{3}(?:-\d{1,2})?)\b/i;
+
+const markers = [
+  { pattern: /\btexas\s+a\s*&\s*m\s+engineering\s+extension\s+service\b/i, weight: 0.5 },
+  { pattern: /\bTEEX\b/, weight: 0.4 },
+  { pattern: NTED_COURSE_ID, weight: 0.2 },
+  { pattern: /\bnational\s+emergency\s+response\s+and\s+recovery\s+training\s+center\b|\bNERRTC\b/i, weight: 0.2 },
+  { pattern: /\bcontact\s+hours?\b/i, weight: 0.1 }
+];
+
+// Texas A&M Engineering Extension Service certificates of completion
+module.exports = {
+  id: 'teex',
+  label: 'TEEX certificate',
+
+  detect({ compact }) {
+    return scoreMarkers(compact, markers);
+  },
+
+  extract(context) {
+    const { lines } = context;
+    const fields = createFieldCollector(context);
+
+    fields.match('recipientName', [
+      /this\s+(?:is\s+to\s+)?certif(?:y|ies)\s+that\s+([A-Z][A-Za-z'.,\-\s]{2,60}?)\s+has\b/i
+    ], cleanupName);
+    fields.match('hoursLogged', [
+      /contact\s*hours?\s*[:\-]?\s*(\d+(?:\.\d+)?)/i,
+      /(\d+(?:\.\d+)?)\s*contact\s*hours?/i
+    ], toSafeNumber);
+    fields.match('courseIdentifier', [NTED_COURSE_ID], (value) => value.toUpperCase().replace(/^(AWR|MGT|PER)(\d)/, '$1-$2'));
+
+    // Title is usually printed after the course code, e.g. "MGT-317 Disaster Management for Public Services"
+    const idLine = lines.find((line) => NTED_COURSE_ID.test(line));
+    const titleFromIdLine = idLine ? normalizeWhitespace(idLine.replace(NTED_COURSE_ID, '')).replace(/^[:\-\s]+/, '') : '';
+    if (titleFromIdLine.length >= 5) {
+      fields.set('trainingClassName', titleFromIdLine, idLine);
+    } else {
+      fields.match('trainingClassName', [
+        { pattern: /has\s+successfully\s+completed\s+(.{3,120}?)\s+(?:on|contact|date|\d)/i, confidence: 'medium' }
+      ], (value) => normalizeWhitespace(value) || null);
+    }
+
+    fields.matchDate([
+      /date\(?s?\)?\s*[:\-]?\s*(?:\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}\s*(?:-|to|through)\s*)?(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/i,
+      /(?:completed|completion)\s*(?:on|date)?\s*[:\-]?\s*([A-Za-z]{3,9}\s+\d{1,2},\s+\d{2,4})/i
+    ]);
+
+    return fields.result();
+  }
+};
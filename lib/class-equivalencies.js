@@ -0,0 +1,63 @@
+const ClassEquivalencyGroup = require('../models/ClassEquivalencyGroup');
+const CourseCodeMapping = require('../models/CourseCodeMapping');
+
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return (value._id || value).toString();
+};
+
+// classId -> ids of every class in its equivalency group (itself included).
+// Classes outside any group are not in the map.
+async function loadEquivalenceMap() {
+  const groups = await ClassEquivalencyGroup.find({}).select('classes').lean();
+  const equivalents = new Map();
+  groups.forEach(group => {
+    const classIds = (group.classes || []).map(idOf);
+    classIds.forEach(classId => equivalents.set(classId, classIds));
+  });
+  return equivalents;
+}
+
+// Ids that satisfy `classId`: its equivalency group, or just the class itself
+function getEquivalentClassIds(equivalenceMap, classId) {
+  const id = idOf(classId);
+  return equivalenceMap.get(id) || [id];
+}
+
+function expandEquivalentClassIds(equivalenceMap, classIds) {
+  return [...new Set(classIds.flatMap(classId => getEquivalentClassIds(equivalenceMap, classId)))];
+}
+
+// Upper-case with no spaces, e.g. " ems-202 " -> "EMS-202"; null if it is not a course code
+function normalizeCoursePrefix(value) {
+  const prefix = (value || '').toString().toUpperCase().replace(/\s+/g, '');
+  return /^[A-Z0-9]+(-[A-Z0-9]+)*$/.test(prefix) ? prefix : null;
+}
+
+// Canonical class for a course code such as "EMS-202-S025-2025", using the longest mapped prefix
+// that matches on a dash boundary. Returns { trainingClass, prefix } or null.
+async function findClassForCourseCode(courseCode) {
+  const code = normalizeCoursePrefix(courseCode);
+  if (!code) {
+    return null;
+  }
+
+  const mappings = await CourseCodeMapping.find({})
+    .populate('trainingClass', 'name hoursValue isActive')
+    .lean();
+  const match = mappings
+    .filter(mapping => mapping.trainingClass && (code === mapping.prefix || code.startsWith(`${mapping.prefix}-`)))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+  return match ? { trainingClass: match.trainingClass, prefix: match.prefix } : null;
+}
+
+module.exports = {
+  loadEquivalenceMap,
+  getEquivalentClassIds,
+  expandEquivalentClassIds,
+  normalizeCoursePrefix,
+  findClassForCourseCode
+};
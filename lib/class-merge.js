@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const TrainingClass = require('../models/TrainingClass');
+const TrainingSubmission = require('../models/TrainingSubmission');
+const Qualification = require('../models/Qualification');
+const UserQualification = require('../models/UserQualification');
+const TrainingSession = require('../models/TrainingSession');
+const CertificateImportBatch = require('../models/CertificateImportBatch');
+const ClassEquivalencyGroup = require('../models/ClassEquivalencyGroup');
+const CourseCodeMapping = require('../models/CourseCodeMapping');
+const { loadPrerequisiteGraph, findPrerequisiteCycle } = require('./class-prerequisites');
+const { getQualificationRules, remapRuleClassIds } = require('./qualification-rules');
+
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return (value._id || value).toString();
+};
+
+// Replace any duplicate id with the survivor and drop the repeats that leaves behind
+const remapClassIds = (classIds, duplicateIds, survivorId) => {
+  const remapped = (classIds || []).map(id => (duplicateIds.includes(idOf(id)) ? survivorId : idOf(id)));
+  return [...new Set(remapped)];
+};
+
+const referencesAny = (classIds, duplicateIds) => (classIds || []).some(id => duplicateIds.includes(idOf(id)));
+
+// Load and check the classes for a merge. Throws with a message fit to show the officer.
+async function loadMergeClasses(survivorId, duplicateIds) {
+  const survivorKey = idOf(survivorId);
+  const duplicateKeys = [...new Set((duplicateIds || []).map(idOf))].filter(id => id && id !== survivorKey);
+  if (!survivorKey || !mongoose.Types.ObjectId.isValid(survivorKey)) {
+    throw new Error('Choose the class to keep');
+  }
+  if (duplicateKeys.length === 0) {
+    throw new Error('Choose at least one duplicate class to merge into it');
+  }
+  if (duplicateKeys.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new Error('One or more duplicate classes could not be found');
+  }
+
+  const [survivor, duplicates] = await Promise.all([
+    TrainingClass.findById(survivorKey),
+    TrainingClass.find({ _id: { $in: duplicateKeys } }).sort({ name: 1 })
+  ]);
+  if (!survivor) {
+    throw new Error('The class to keep could not be found');
+  }
+  if (duplicates.length !== duplicateKeys.length) {
+    throw new Error('One or more duplicate classes could not be found');
+  }
+
+  return { survivor, duplicates, survivorKey, duplicateKeys };
+}
+
+// What a merge would touch, without changing anything. `blockers` lists reasons it cannot go ahead.
+async function previewClassMerge(survivorId, duplicateIds) {
+  const { survivor, duplicates, survivorKey, duplicateKeys } = await loadMergeClasses(survivorId, duplicateIds);
+
+  const [
+    submissions,
+    qualifications,
+    dependentClasses,
+    userQualifications,
+    sessionCount,
+    importBatchCount,
+    groups,
+    mappingCount
+  ] = await Promise.all([
+    TrainingSubmission.find({ trainingClass: { $in: duplicateKeys } }).select('student status'),
+    Qualification.find({ requiredClasses: { $in: duplicateKeys } }).select('name').sort({ name: 1 }),
+    TrainingClass.find({ _id: { $nin: [survivorKey, ...duplicateKeys] }, prerequisites: { $in: duplicateKeys } }).select('name').sort({ name: 1 }),
+    UserQualification.find({
+      $or: [
+        { 'completedClasses.class': { $in: duplicateKeys } },
+        { missingClasses: { $in: duplicateKeys } }
+      ]
+    }).select('user'),
+    TrainingSession.countDocuments({ trainingClass: { $in: duplicateKeys } }),
+    CertificateImportBatch.countDocuments({ 'rows.trainingClass': { $in: duplicateKeys } }),
+    ClassEquivalencyGroup.find({ classes: { $in: [survivorKey, ...duplicateKeys] } }).select('name'),
+    CourseCodeMapping.countDocuments({ trainingClass: { $in: duplicateKeys } })
+  ]);
+
+  const affectedMemberIds = new Set([
+    ...submissions.map(submission => idOf(submission.student)),
+    ...userQualifications.map(userQualification => idOf(userQualification.user))
+  ]);
+
+  // Re-pointing prerequisites at the survivor must not close a loop through it
+  const blockers = [];
+  const graph = await loadPrerequisiteGraph();
+  duplicateKeys.forEach(id => graph.delete(id));
+  graph.forEach(node => {
+    node.prerequisites = remapClassIds(node.prerequisites, duplicateKeys, survivorKey);
+  });
+  const survivorPrerequisites = graph.get(survivorKey).prerequisites.filter(id => id !== survivorKey);
+  const cycle = await findPrerequisiteCycle(survivorKey, survivorPrerequisites, { graph });
+  if (cycle) {
+    blockers.push(`The merge would create a prerequisite loop: ${cycle.join(' → ')}`);
+  }
+
+  return {
+    survivor,
+    duplicates,
+    submissionCount: submissions.length,
+    approvedSubmissionCount: submissions.filter(submission => submission.status === 'approved').length,
+    qualifications,
+    dependentClasses,
+    userQualificationCount: userQualifications.length,
+    affectedMemberIds: [...affectedMemberIds],
+    sessionCount,
+    importBatchCount,
+    equivalencyGroupCount: groups.length,
+    mappingCount,
+    blockers
+  };
+}
+
+// Re-point everything that references the duplicates at the survivor, then delete the duplicates.
+// Returns the preview it acted on; the caller recalculates `affectedMemberIds`.
+async function mergeClasses(survivorId, duplicateIds) {
+  const preview = await previewClassMerge(survivorId, duplicateIds);
+  if (preview.blockers.length) {
+    throw new Error(preview.blockers[0]);
+  }
+
+  const survivorKey = idOf(preview.survivor);
+  const duplicateKeys = preview.duplicates.map(idOf);
+  const survivorObjectId = preview.survivor._id;
+
+  await TrainingSubmission.updateMany(
+    { trainingClass: { $in: duplicateKeys } },
+    { $set: { trainingClass: survivorObjectId } }
+  );
+  await TrainingSession.updateMany(
+    { trainingClass: { $in: duplicateKeys } },
+    { $set: { trainingClass: survivorObjectId } }
+  );
+  await CourseCodeMapping.updateMany(
+    { trainingClass: { $in: duplicateKeys } },
+    { $set: { trainingClass: survivorObjectId } }
+  );
+  await CertificateImportBatch.updateMany(
+    { 'rows.trainingClass': { $in: duplicateKeys } },
+    { $set: { 'rows.$[row].trainingClass': survivorObjectId } },
+    { arrayFilters: [{ 'row.trainingClass': { $in: duplicateKeys.map(id => new mongoose.Types.ObjectId(id)) } }] }
+  );
+
+  const qualifications = await Qualification.find({ requiredClasses: { $in: duplicateKeys } });
+  for (const qualification of qualifications) {
+    // Saving re-derives requiredClasses from the rule tree
+    qualification.rules = remapRuleClassIds(getQualificationRules(qualification), duplicateKeys, survivorKey);
+    await qualification.save();
+  }
+
+  // Prerequisites on every class, including the survivor, which must not list itself
+  const dependentClasses = await TrainingClass.find({ prerequisites: { $in: duplicateKeys } });
+  for (const trainingClass of dependentClasses) {
+    if (duplicateKeys.includes(idOf(trainingClass))) {
+      continue;
+    }
+    trainingClass.prerequisites = remapClassIds(trainingClass.prerequisites, duplicateKeys, survivorKey)
+      .filter(id => id !== idOf(trainingClass));
+    await trainingClass.save();
+  }
+
+  // Member progress keeps one entry per class; the recalculation afterwards settles which submission counts
+  const userQualifications = await UserQualification.find({
+    $or: [
+      { 'completedClasses.class': { $in: duplicateKeys } },
+      { missingClasses: { $in: duplicateKeys } }
+    ]
+  });
+  for (const userQualification of userQualifications) {
+    const seenClassIds = new Set();
+    userQualification.completedClasses = userQualification.completedClasses
+      .map(entry => ({
+        class: duplicateKeys.includes(idOf(entry.class)) ? survivorObjectId : entry.class,
+        submission: entry.submission,
+        completedDate: entry.completedDate
+      }))
+      .filter(entry => {
+        const classId = idOf(entry.class);
+        if (seenClassIds.has(classId)) {
+          return false;
+        }
+        seenClassIds.add(classId);
+        return true;
+      });
+    userQualification.missingClasses = remapClassIds(userQualification.missingClasses, duplicateKeys, survivorKey)
+      .filter(id => !seenClassIds.has(id));
+    userQualification.lastUpdated = new Date();
+    await userQualification.save();
+  }
+
+  // Groups holding the survivor or a duplicate become one group; a group left with one class is dropped
+  const groups = await ClassEquivalencyGroup.find({ classes: { $in: [survivorKey, ...duplicateKeys] } }).sort({ createdAt: 1 });
+  if (groups.length) {
+    const [keptGroup, ...otherGroups] = groups;
+    keptGroup.classes = remapClassIds(groups.flatMap(group => group.classes), duplicateKeys, survivorKey);
+    for (const group of otherGroups) {
+      await group.deleteOne();
+    }
+    if (keptGroup.classes.length < 2) {
+      await keptGroup.deleteOne();
+    } else {
+      await keptGroup.save();
+    }
+  }
+
+  await TrainingClass.deleteMany({ _id: { $in: duplicateKeys } });
+
+  return preview;
+}
+
+module.exports = {
+  previewClassMerge,
+  mergeClasses
+};
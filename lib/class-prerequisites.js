@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const TrainingClass = require('../models/TrainingClass');
+const TrainingSubmission = require('../models/TrainingSubmission');
+const { loadEquivalenceMap, expandEquivalentClassIds } = require('./class-equivalencies');
+
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return (value._id || value).toString();
+};
+
+// Prerequisite ids from a form field: an array, or the comma-joined value the class forms post
+function parsePrerequisiteIds(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const ids = values
+    .flatMap(item => (item || '').toString().split(','))
+    .map(item => item.trim())
+    .filter(item => mongoose.Types.ObjectId.isValid(item));
+  return [...new Set(ids)];
+}
+
+// Every class as id -> { name, prerequisites: [id] }; the catalog is small enough to walk in memory
+async function loadPrerequisiteGraph() {
+  const classes = await TrainingClass.find({}).select('name prerequisites').lean();
+  return new Map(classes.map(trainingClass => [
+    trainingClass._id.toString(),
+    {
+      name: trainingClass.name,
+      prerequisites: (trainingClass.prerequisites || []).map(idOf)
+    }
+  ]));
+}
+
+// The loop of class names that saving `prerequisiteIds` on `classId` would create, e.g.
+// ['Firefighter II', 'Firefighter I', 'Firefighter II'], or null when there is none. Pass `graph`
+// to check against a catalog other than the saved one.
+async function findPrerequisiteCycle(classId, prerequisiteIds, { graph: prerequisiteGraph } = {}) {
+  const targetId = idOf(classId);
+  const graph = prerequisiteGraph || await loadPrerequisiteGraph();
+  const nameOf = (id) => (graph.get(id) ? graph.get(id).name : 'Unknown class');
+  const edgesOf = (id) => (id === targetId ? prerequisiteIds.map(idOf) : (graph.get(id) ? graph.get(id).prerequisites : []));
+
+  // Depth-first search from the class for a path back to itself
+  const visited = new Set();
+  const walk = (id, path) => {
+    for (const nextId of edgesOf(id)) {
+      if (nextId === targetId) {
+        return [...path, nextId];
+      }
+      if (!visited.has(nextId)) {
+        visited.add(nextId);
+        const cycle = walk(nextId, [...path, nextId]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    return null;
+  };
+
+  const cycle = walk(targetId, [targetId]);
+  return cycle ? cycle.map(nameOf) : null;
+}
+
+// Classes the member has a current approved submission for, plus their equivalents, as id strings.
+// Expired completions do not count, matching how qualification rules treat them.
+async function loadCompletedClassIds(memberId, asOf = new Date()) {
+  const classIds = await TrainingSubmission.distinct('trainingClass', {
+    student: idOf(memberId),
+    status: 'approved',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: asOf } }]
+  });
+  const equivalenceMap = await loadEquivalenceMap();
+  return new Set(expandEquivalentClassIds(equivalenceMap, classIds));
+}
+
+// Prerequisites a member still lacks for a class. A prerequisite counts once the member has a
+// current approved submission for it. Missing prerequisites are followed down to their own missing
+// prerequisites, so the list covers everything left to take; completed ones are not re-checked.
+// Returns [{ id, name, requiredFor }] with the most basic classes last. Pass `graph` and
+// `completedClassIds` when checking many classes for one member.
+async function findMissingPrerequisites(memberId, classId, { graph, completedClassIds } = {}) {
+  const prerequisiteGraph = graph || await loadPrerequisiteGraph();
+  const rootId = idOf(classId);
+  if (!prerequisiteGraph.has(rootId)) {
+    return [];
+  }
+
+  const completed = completedClassIds || await loadCompletedClassIds(memberId);
+
+  const missing = [];
+  const seen = new Set([rootId]);
+  const queue = [rootId];
+  while (queue.length) {
+    const id = queue.shift();
+    const node = prerequisiteGraph.get(id);
+    if (!node) {
+      continue;
+    }
+
+    node.prerequisites.forEach(prerequisiteId => {
+      if (seen.has(prerequisiteId) || completed.has(prerequisiteId)) {
+        return;
+      }
+      seen.add(prerequisiteId);
+      missing.push({
+        id: prerequisiteId,
+        name: prerequisiteGraph.has(prerequisiteId) ? prerequisiteGraph.get(prerequisiteId).name : 'Unknown class',
+        requiredFor: node.name
+      });
+      queue.push(prerequisiteId);
+    });
+  }
+
+  return missing;
+}
+
+module.exports = {
+  parsePrerequisiteIds,
+  loadPrerequisiteGraph,
+  loadCompletedClassIds,
+  findPrerequisiteCycle,
+  findMissingPrerequisites
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const IssuedDocument = require('../models/IssuedDocument');
+
+// Crockford base32 without the easily confused I, L, O and U
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 16;
+
+// Each document type registers how to rebuild its current canonical content, so the
+// public verification page can tell whether an issued document is still current
+const documentTypes = new Map();
+
+function registerDocumentType(type, { loadCurrentContent }) {
+  documentTypes.set(type, { loadCurrentContent });
+}
+
+// 16 random characters shown as XXXX-XXXX-XXXX-XXXX
+function generateVerificationCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const characters = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return characters.match(/.{4}/g).join('-');
+}
+
+// Accepts codes typed with or without dashes, in any case
+function normalizeVerificationCode(value) {
+  const characters = (value || '').toString().toUpperCase().replace(/[^0-9A-Z]/g, '');
+  if (characters.length !== CODE_LENGTH || [...characters].some(character => !CODE_ALPHABET.includes(character))) {
+    return null;
+  }
+  return characters.match(/.{4}/g).join('-');
+}
+
+// Content builders emit plain objects with a fixed key order, so JSON is a stable canonical form
+function hashDocumentContent(content) {
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+async function issueDocument({ type, title, subjectId, subjectName, content, issuedBy }) {
+  if (!documentTypes.has(type)) {
+    throw new Error(`Unknown document type: ${type}`);
+  }
+
+  return IssuedDocument.create({
+    code: generateVerificationCode(),
+    type,
+    title,
+    subjectId,
+    subjectName: subjectName || '',
+    content,
+    contentHash: hashDocumentContent(content),
+    issuedBy: issuedBy || null
+  });
+}
+
+const parseAllowedHosts = (value) => (value || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Public origin printed on documents and QR codes. The Host header is client-supplied, so it is
+// only used when APP_BASE_URL is unset and the host (with or without port) is in APP_ALLOWED_HOSTS.
+function getVerifyBaseUrl(req) {
+  if (process.env.APP_BASE_URL) {
+    return process.env.APP_BASE_URL;
+  }
+
+  const host = (req.get('host') || '').toLowerCase();
+  const allowedHosts = parseAllowedHosts(process.env.APP_ALLOWED_HOSTS);
+  if (host && (allowedHosts.includes(host) || allowedHosts.includes(host.replace(/:\d+$/, '')))) {
+    return `${req.protocol}://${host}`;
+  }
+
+  throw new Error('Set APP_BASE_URL (or list this host in APP_ALLOWED_HOSTS) to print verification links.');
+}
+
+function buildVerificationUrl(baseUrl, code) {
+  return `${(baseUrl || '').replace(/\/+$/, '')}/verify/${encodeURIComponent(code)}`;
+}
+
+function buildQrCodeDataUrl(url) {
+  return QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, width: 160 });
+}
+
+// Result for the public page: 'not_found', 'tampered' (stored content no longer matches its hash),
+// 'superseded' (genuine, but the record has changed since issue) or 'current'
+async function verifyDocument(rawCode) {
+  const code = normalizeVerificationCode(rawCode);
+  if (!code) {
+    return { status: 'not_found', code: (rawCode || '').toString() };
+  }
+
+  const document = await IssuedDocument.findOne({ code }).lean();
+  if (!document) {
+    return { status: 'not_found', code };
+  }
+
+  if (hashDocumentContent(document.content) !== document.contentHash) {
+    return { status: 'tampered', code, document };
+  }
+
+  const documentType = documentTypes.get(document.type);
+  const currentContent = documentType ? await documentType.loadCurrentContent(document.subjectId) : null;
+  const isCurrent = Boolean(currentContent) && hashDocumentContent(currentContent) === document.contentHash;
+
+  return {
+    status: isCurrent ? 'current' : 'superseded',
+    code,
+    document
+  };
+}
+
+module.exports = {
+  registerDocumentType,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  hashDocumentContent,
+  issueDocument,
+  getVerifyBaseUrl,
+  buildVerificationUrl,
+  buildQrCodeDataUrl,
+  verifyDocument
+};
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const HourRequirement = require('../models/HourRequirement');
+const TrainingCategory = require('../models/TrainingCategory');
+const TrainingClass = require('../models/TrainingClass');
+const TrainingSubmission = require('../models/TrainingSubmission');
+
+const ALL_CATEGORIES_KEY = 'all';
+
+const categoryKey = (categoryId) => (categoryId ? categoryId.toString() : ALL_CATEGORIES_KEY);
+
+// Calendar-year window; hours count toward the year the training ended
+const getYearRange = (year) => ({
+  start: new Date(year, 0, 1),
+  end: new Date(year + 1, 0, 1)
+});
+
+// Every configured requirement with its category name, ordered by role
+function loadRequirements() {
+  return HourRequirement.find()
+    .populate('category', 'name parent')
+    .sort('role minimumHours')
+    .lean();
+}
+
+// Approved hours per member for the year, keyed by category key (top-level, subcategory and 'all')
+async function loadApprovedHoursForYear(year, studentIds = null) {
+  const { start, end } = getYearRange(year);
+  const match = {
+    status: 'approved',
+    endDate: { $gte: start, $lt: end }
+  };
+  if (studentIds) {
+    match.student = { $in: studentIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+
+  const rows = await TrainingSubmission.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: TrainingClass.collection.name,
+        localField: 'trainingClass',
+        foreignField: '_id',
+        as: 'trainingClass'
+      }
+    },
+    { $unwind: { path: '$trainingClass', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: {
+          student: '$student',
+          category: '$trainingClass.category',
+          subcategory: '$trainingClass.subcategory'
+        },
+        hours: { $sum: '$hoursLogged' }
+      }
+    }
+  ]);
+
+  const hoursByStudent = new Map();
+  rows.forEach(row => {
+    const studentKey = row._id.student.toString();
+    if (!hoursByStudent.has(studentKey)) {
+      hoursByStudent.set(studentKey, {});
+    }
+    const totals = hoursByStudent.get(studentKey);
+    const add = (key) => {
+      totals[key] = (totals[key] || 0) + row.hours;
+    };
+
+    add(ALL_CATEGORIES_KEY);
+    if (row._id.category) {
+      add(categoryKey(row._id.category));
+    }
+    if (row._id.subcategory) {
+      add(categoryKey(row._id.subcategory));
+    }
+  });
+
+  return hoursByStudent;
+}
+
+// Compare one member's hours against every requirement for their roles. When two roles
+// set a minimum for the same category, the higher minimum applies.
+function evaluateMemberCompliance(member, requirements, hoursTotals = {}) {
+  const roles = member.roles || [];
+  const applicable = new Map();
+
+  requirements
+    .filter(requirement => roles.includes(requirement.role))
+    .forEach(requirement => {
+      const key = categoryKey(requirement.category && requirement.category._id);
+      const existing = applicable.get(key);
+      if (!existing || requirement.minimumHours > existing.required) {
+        applicable.set(key, {
+          key,
+          categoryName: requirement.category ? requirement.category.name : 'All categories',
+          required: requirement.minimumHours,
+          roles: [requirement.role]
+        });
+      } else if (requirement.minimumHours === existing.required) {
+        existing.roles.push(requirement.role);
+      }
+    });
+
+  const items = [...applicable.values()].map(item => {
+    const logged = hoursTotals[item.key] || 0;
+    return {
+      ...item,
+      logged,
+      shortfall: Math.max(0, item.required - logged),
+      met: logged >= item.required
+    };
+  }).sort((a, b) => {
+    if (a.key === ALL_CATEGORIES_KEY) return -1;
+    if (b.key === ALL_CATEGORIES_KEY) return 1;
+    return a.categoryName.localeCompare(b.categoryName);
+  });
+
+  let status = 'not_applicable';
+  if (items.length) {
+    status = items.every(item => item.met) ? 'compliant' : 'non_compliant';
+  }
+
+  return {
+    status,
+    items,
+    totalShortfall: items.reduce((sum, item) => sum + item.shortfall, 0)
+  };
+}
+
+// Compliance for each member in the list for the given year
+async function getComplianceForMembers(members, year) {
+  const [requirements, hoursByStudent] = await Promise.all([
+    loadRequirements(),
+    loadApprovedHoursForYear(year, members.map(member => member._id))
+  ]);
+
+  return members.map(member => ({
+    member,
+    ...evaluateMemberCompliance(member, requirements, hoursByStudent.get(member._id.toString()))
+  }));
+}
+
+// Categories a requirement can target: top-level categories followed by their subcategories
+async function loadRequirementCategoryOptions() {
+  const categories = await TrainingCategory.find({ isActive: true }).sort('name').lean();
+  const topLevel = categories.filter(category => !category.parent);
+  return topLevel.flatMap(category => [
+    { _id: category._id, name: category.name },
+    ...categories
+      .filter(subcategory => subcategory.parent && subcategory.parent.toString() === category._id.toString())
+      .map(subcategory => ({ _id: subcategory._id, name: `${category.name} › ${subcategory.name}` }))
+  ]);
+}
+
+module.exports = {
+  loadRequirements,
+  loadApprovedHoursForYear,
+  evaluateMemberCompliance,
+  getComplianceForMembers,
+  loadRequirementCategoryOptions
+};
@@ -0,0 +1,223 @@
+const path = require('path');
+const crypto = require('crypto');
+const Job = require('../../models/Job');
+const fileStorage = require('../storage');
+
+// Mongo-backed job queue. Handlers register per job type with a concurrency limit;
+// every app instance polls for queued jobs and claims them atomically, so the limit
+// applies per process. Concurrency can be overridden with JOB_CONCURRENCY_<TYPE>
+// (e.g. JOB_CONCURRENCY_CERTIFICATE_EXTRACT=3).
+const POLL_INTERVAL_MS = 1000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+const RETENTION_MS = (parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+// Result files are removed this long before their job document expires, so the TTL index
+// never drops a job whose file is still in storage
+const RESULT_FILE_CLEANUP_LEAD_MS = Math.min(60 * 60 * 1000, RETENTION_MS / 2);
+
+const handlers = new Map();
+let pollTimer = null;
+let lastStaleCheck = 0;
+
+const getConcurrencyOverride = (type) => {
+  const envName = `JOB_CONCURRENCY_${type.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  const parsed = parseInt(process.env[envName], 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+// handler(job) resolves to { result, resultFile } (both optional) or throws; resultFile is
+// { data, mimeType, filename } and is written to file storage rather than the job document
+const registerJobHandler = (type, handler, options = {}) => {
+  if (handlers.has(type)) {
+    throw new Error(`A job handler is already registered for "${type}".`);
+  }
+
+  handlers.set(type, {
+    handler,
+    concurrency: getConcurrencyOverride(type) || options.concurrency || 1,
+    timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    active: 0,
+    claiming: false
+  });
+};
+
+const enqueueJob = async (type, payload = {}, options = {}) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No job handler is registered for "${type}".`);
+  }
+
+  return Job.create({
+    type,
+    payload,
+    inputFile: options.inputFile || null,
+    createdBy: options.createdBy || null,
+    maxAttempts: options.maxAttempts || 1
+  });
+};
+
+// Number of queued jobs of the same type that will be picked up before this one
+const getQueuePosition = async (job) => {
+  if (job.status !== 'queued') {
+    return 0;
+  }
+  return Job.countDocuments({ type: job.type, status: 'queued', createdAt: { $lt: job.createdAt } });
+};
+
+const claimNextJob = (type) => Job.findOneAndUpdate(
+  { type, status: 'queued' },
+  {
+    $set: { status: 'running', lockedAt: new Date(), startedAt: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+const finishJob = (job, update) => Job.updateOne(
+  { _id: job._id, status: 'running' },
+  {
+    $set: {
+      ...update,
+      lockedAt: null,
+      inputFile: null,
+      completedAt: new Date(),
+      expireAt: new Date(Date.now() + RETENTION_MS)
+    }
+  }
+);
+
+const saveResultFile = async (job, resultFile) => {
+  const data = Buffer.from(resultFile.data);
+  const storageKey = `job-${job._id}-${crypto.randomBytes(6).toString('hex')}${path.extname(resultFile.filename || '').replace(/[^.a-zA-Z0-9]/g, '')}`;
+  await fileStorage.save(storageKey, data, resultFile.mimeType);
+  return {
+    storageKey,
+    mimeType: resultFile.mimeType,
+    filename: resultFile.filename,
+    size: data.length
+  };
+};
+
+const removeResultFile = (resultFile) => fileStorage.remove(resultFile.storageKey)
+  .catch(err => console.error(`Error removing job result file ${resultFile.storageKey}:`, err));
+
+const failOrRetryJob = async (job, err) => {
+  const message = (err && err.message) || 'Job failed.';
+  if (job.attempts < job.maxAttempts) {
+    await Job.updateOne(
+      { _id: job._id, status: 'running' },
+      { $set: { status: 'queued', lockedAt: null, error: message } }
+    );
+    return;
+  }
+  await finishJob(job, { status: 'failed', error: message });
+};
+
+const runJob = async (job, entry) => {
+  const work = Promise.resolve().then(() => entry.handler(job));
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Job timed out after ${Math.round(entry.timeoutMs / 1000)}s.`)), entry.timeoutMs);
+  });
+
+  try {
+    const outcome = (await Promise.race([work, timeout])) || {};
+    const resultFile = outcome.resultFile ? await saveResultFile(job, outcome.resultFile) : null;
+    const finished = await finishJob(job, {
+      status: 'completed',
+      result: outcome.result === undefined ? null : outcome.result,
+      resultFile,
+      error: null
+    });
+    // The job was recovered as stale while it ran, so nothing will point at this file
+    if (resultFile && finished.matchedCount === 0) {
+      await removeResultFile(resultFile);
+    }
+  } catch (err) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, err);
+    await failOrRetryJob(job, err).catch(updateErr => console.error('Error recording job failure:', updateErr));
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // A timed-out handler keeps its slot until it actually settles so the limit stays honest
+  await work.catch(() => {});
+};
+
+const fillWorkerSlots = async (type, entry) => {
+  if (entry.claiming) {
+    return;
+  }
+  entry.claiming = true;
+
+  try {
+    while (entry.active < entry.concurrency) {
+      const job = await claimNextJob(type);
+      if (!job) {
+        break;
+      }
+
+      entry.active += 1;
+      runJob(job, entry).finally(() => {
+        entry.active -= 1;
+        fillWorkerSlots(type, entry);
+      });
+    }
+  } catch (err) {
+    console.error(`Error claiming ${type} jobs:`, err);
+  } finally {
+    entry.claiming = false;
+  }
+};
+
+// Jobs left running by a worker that stopped (restart, crash) are retried or failed
+const recoverStaleJobs = async () => {
+  for (const [type, entry] of handlers) {
+    const staleBefore = new Date(Date.now() - entry.timeoutMs * 2);
+    const staleJobs = await Job.find({ type, status: 'running', lockedAt: { $lt: staleBefore } });
+
+    for (const job of staleJobs) {
+      await failOrRetryJob(job, new Error('The worker running this job stopped before it finished.'));
+    }
+  }
+};
+
+const removeExpiringResultFiles = async () => {
+  const expiringJobs = await Job.find({
+    'resultFile.storageKey': { $ne: null },
+    expireAt: { $lt: new Date(Date.now() + RESULT_FILE_CLEANUP_LEAD_MS) }
+  }).select('resultFile');
+
+  for (const job of expiringJobs) {
+    await removeResultFile(job.resultFile);
+    await Job.updateOne({ _id: job._id }, { $set: { resultFile: null } });
+  }
+};
+
+const pollJobs = async () => {
+  if (Date.now() - lastStaleCheck > STALE_CHECK_INTERVAL_MS) {
+    lastStaleCheck = Date.now();
+    await recoverStaleJobs().catch(err => console.error('Error recovering stale jobs:', err));
+    await removeExpiringResultFiles().catch(err => console.error('Error removing expired job files:', err));
+  }
+
+  for (const [type, entry] of handlers) {
+    fillWorkerSlots(type, entry);
+  }
+};
+
+const startJobWorkers = () => {
+  if (pollTimer) {
+    return;
+  }
+  const summary = [...handlers].map(([type, entry]) => `${type} x${entry.concurrency}`).join(', ');
+  console.log(`Starting job workers: ${summary || 'no handlers registered'}`);
+  pollTimer = setInterval(pollJobs, POLL_INTERVAL_MS);
+  pollJobs();
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getQueuePosition,
+  startJobWorkers
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+
+// HTML-to-PDF rendering shared by attendant packets and member transcripts.
+// Chromium is memory hungry, so callers run this from queued jobs (see lib/jobs).
+
+const withTimeout = (promise, timeoutMs, timeoutMessage) => {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      setTimeout(() => reject(new Error(timeoutMessage)), timeoutMs);
+    })
+  ]);
+};
+
+const resolvePuppeteerExecutablePath = () => {
+  const candidatePaths = [
+    process.env.PUPPETEER_EXECUTABLE_PATH,
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/google-chrome'
+  ].filter(Boolean);
+
+  return candidatePaths.find(candidatePath => fs.existsSync(candidatePath)) || null;
+};
+
+const generatePdfBufferFromHtml = async (html) => {
+  console.log('[PDF] Launching browser for PDF generation');
+
+  const executablePath = resolvePuppeteerExecutablePath();
+  if (executablePath) {
+    console.log(`[PDF] Using browser executable: ${executablePath}`);
+  } else {
+    console.log('[PDF] No explicit browser executable found. Falling back to Puppeteer default.');
+  }
+
+  const baseArgs = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu'
+  ];
+
+  const launchProfiles = [
+    {
+      name: 'system-chromium-primary',
+      executablePath,
+      args: baseArgs
+    },
+    {
+      name: 'system-chromium-minimal',
+      executablePath,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    },
+    {
+      name: 'puppeteer-default',
+      executablePath: null,
+      args: baseArgs
+    }
+  ].filter(profile => profile.executablePath || profile.name === 'puppeteer-default');
+
+  let lastError = null;
+
+  for (const profile of launchProfiles) {
+    const launchOptions = {
+      headless: true,
+      timeout: 30000,
+      args: profile.args
+    };
+
+    if (profile.executablePath) {
+      launchOptions.executablePath = profile.executablePath;
+    }
+
+    let browser;
+    try {
+      console.log(`[PDF] Launch attempt: ${profile.name}`);
+      browser = await puppeteer.launch(launchOptions);
+      const page = await browser.newPage();
+      page.setDefaultNavigationTimeout(30000);
+      page.setDefaultTimeout(30000);
+      console.log('[PDF] Rendering HTML into browser page');
+      await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      console.log('[PDF] Generating PDF buffer');
+      const rawPdf = await page.pdf({
+        format: 'Letter',
+        printBackground: true,
+        timeout: 30000,
+        margin: {
+          top: '0.5in',
+          right: '0.5in',
+          bottom: '0.5in',
+          left: '0.5in'
+        }
+      });
+      const pdfBuffer = Buffer.isBuffer(rawPdf) ? rawPdf : Buffer.from(rawPdf);
+      console.log(`[PDF] Launch profile succeeded: ${profile.name}`);
+      return pdfBuffer;
+    } catch (err) {
+      lastError = err;
+      const message = err && err.message ? err.message : String(err);
+      console.error(`[PDF] Launch profile failed (${profile.name}): ${message}`);
+    } finally {
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+    }
+  }
+
+  throw lastError || new Error('Unable to generate PDF with available browser launch profiles.');
+};
+
+module.exports = {
+  withTimeout,
+  generatePdfBufferFromHtml
+};
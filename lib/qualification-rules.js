@@ -0,0 +1,452 @@
+const mongoose = require('mongoose');
+const Qualification = require('../models/Qualification');
+const TrainingClass = require('../models/TrainingClass');
+const TrainingCategory = require('../models/TrainingCategory');
+const TrainingSubmission = require('../models/TrainingSubmission');
+const { loadEquivalenceMap, getEquivalentClassIds } = require('./class-equivalencies');
+
+// Groups combine child rules (all of them, any one, or any `count`); the rest are leaves
+const RULE_GROUP_TYPES = ['all', 'any', 'n_of'];
+const RULE_TYPES = [...RULE_GROUP_TYPES, 'class', 'hours', 'qualification'];
+const MAX_RULE_DEPTH = 5;
+
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return (value._id || value).toString();
+};
+
+const isGroupRule = (rule) => RULE_GROUP_TYPES.includes(rule.type);
+
+// The qualification's rule tree; qualifications saved before rule trees existed are an all-of their classes
+function getQualificationRules(qualification) {
+  if (qualification.rules && qualification.rules.type) {
+    return qualification.rules;
+  }
+  return {
+    type: 'all',
+    children: (qualification.requiredClasses || []).map(trainingClass => ({ type: 'class', trainingClass: idOf(trainingClass) }))
+  };
+}
+
+// The tree a member is evaluated against. Task-book qualifications also need the task book sign-off,
+// which is not part of the editable rules.
+function getEarningRules(qualification) {
+  const rules = getQualificationRules(qualification);
+  if (!qualification.earnedByTaskBook) {
+    return rules;
+  }
+  return {
+    type: 'all',
+    children: [
+      { type: 'task_book', qualification: idOf(qualification._id) },
+      ...(rules.type === 'all' ? rules.children : [rules])
+    ]
+  };
+}
+
+// All-of rule tree for a plain list of class ids, as the add form posts
+function buildAllOfClassesRule(classIds) {
+  return {
+    type: 'all',
+    children: classIds.map(classId => ({ type: 'class', trainingClass: idOf(classId) }))
+  };
+}
+
+function collectRuleIds(rule, field) {
+  if (!rule) {
+    return [];
+  }
+  const own = rule[field] ? [idOf(rule[field])] : [];
+  const nested = (rule.children || []).flatMap(child => collectRuleIds(child, field));
+  return [...new Set([...own, ...nested])];
+}
+
+const collectRuleClassIds = (rule) => collectRuleIds(rule, 'trainingClass');
+const collectRuleQualificationIds = (rule) => collectRuleIds(rule, 'qualification');
+
+// Plain copy of a rule tree with string ids, optionally passing each class id through `mapClassId`
+function copyRuleTree(rule, mapClassId = (classId) => classId) {
+  const copy = { type: rule.type };
+  if (isGroupRule(rule)) {
+    copy.children = (rule.children || []).map(child => copyRuleTree(child, mapClassId));
+    if (rule.type === 'n_of') {
+      copy.count = rule.count;
+    }
+  } else if (rule.type === 'class') {
+    copy.trainingClass = mapClassId(idOf(rule.trainingClass));
+  } else if (rule.type === 'qualification') {
+    copy.qualification = idOf(rule.qualification);
+  } else {
+    copy.hours = rule.hours;
+    copy.category = idOf(rule.category);
+    copy.withinMonths = rule.withinMonths || null;
+  }
+  return copy;
+}
+
+// Copy of the tree with any class in `fromIds` swapped for `toId`
+function remapRuleClassIds(rule, fromIds, toId) {
+  const fromKeys = fromIds.map(idOf);
+  return copyRuleTree(rule, classId => (fromKeys.includes(classId) ? idOf(toId) : classId));
+}
+
+// Unevaluated tree of { label, children } for showing a qualification's requirements
+function describeRuleTree(rule, names) {
+  return {
+    label: describeRule(rule, names),
+    children: isGroupRule(rule) ? (rule.children || []).map(child => describeRuleTree(child, names)) : undefined
+  };
+}
+
+const parsePositiveNumber = (value) => {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : NaN;
+};
+
+// Validate a rule tree posted by the editor (JSON text or an object) and return a clean copy.
+// Throws with a message fit to show the officer.
+function parseRuleTree(input) {
+  let tree = input;
+  if (typeof input === 'string') {
+    try {
+      tree = JSON.parse(input);
+    } catch (err) {
+      throw new Error('The requirements could not be read');
+    }
+  }
+
+  const parseNode = (node, depth) => {
+    if (!node || !RULE_TYPES.includes(node.type)) {
+      throw new Error('Every requirement needs a type');
+    }
+    if (depth > MAX_RULE_DEPTH) {
+      throw new Error(`Requirements can be nested at most ${MAX_RULE_DEPTH} levels deep`);
+    }
+
+    if (isGroupRule(node)) {
+      const children = (Array.isArray(node.children) ? node.children : []).map(child => parseNode(child, depth + 1));
+      if (children.length === 0) {
+        throw new Error('Every group needs at least one requirement inside it');
+      }
+      const parsed = { type: node.type, children };
+      if (node.type === 'n_of') {
+        const count = Number(node.count);
+        if (!Number.isInteger(count) || count < 1 || count > children.length) {
+          throw new Error(`"Any N of" needs N between 1 and the ${children.length} requirement${children.length === 1 ? '' : 's'} in the group`);
+        }
+        parsed.count = count;
+      }
+      return parsed;
+    }
+
+    if (node.type === 'class') {
+      if (!mongoose.Types.ObjectId.isValid(node.trainingClass)) {
+        throw new Error('Choose a class for every class requirement');
+      }
+      return { type: 'class', trainingClass: idOf(node.trainingClass) };
+    }
+
+    if (node.type === 'qualification') {
+      if (!mongoose.Types.ObjectId.isValid(node.qualification)) {
+        throw new Error('Choose a qualification for every qualification requirement');
+      }
+      return { type: 'qualification', qualification: idOf(node.qualification) };
+    }
+
+    const hours = parsePositiveNumber(node.hours);
+    const withinMonths = parsePositiveNumber(node.withinMonths);
+    if (!hours) {
+      throw new Error('Hour minimums must be greater than zero');
+    }
+    if (Number.isNaN(withinMonths) || (withinMonths !== null && !Number.isInteger(withinMonths))) {
+      throw new Error('The hours window must be a whole number of months');
+    }
+    if (node.category && !mongoose.Types.ObjectId.isValid(node.category)) {
+      throw new Error('The category for an hour minimum could not be found');
+    }
+    return {
+      type: 'hours',
+      hours,
+      category: node.category ? idOf(node.category) : null,
+      withinMonths
+    };
+  };
+
+  const root = parseNode(tree, 1);
+  if (!isGroupRule(root)) {
+    throw new Error('The top of the requirements must be a group');
+  }
+  return root;
+}
+
+// Throw when the tree names a class, category or qualification that no longer exists
+async function checkRuleReferences(rules) {
+  const classIds = collectRuleClassIds(rules);
+  const categoryIds = collectRuleIds(rules, 'category');
+  const qualificationIds = collectRuleQualificationIds(rules);
+  const [classCount, categoryCount, qualificationCount] = await Promise.all([
+    TrainingClass.countDocuments({ _id: { $in: classIds } }),
+    TrainingCategory.countDocuments({ _id: { $in: categoryIds } }),
+    Qualification.countDocuments({ _id: { $in: qualificationIds } })
+  ]);
+  if (classCount !== classIds.length) {
+    throw new Error('One or more required classes could not be found');
+  }
+  if (categoryCount !== categoryIds.length) {
+    throw new Error('One or more hour categories could not be found');
+  }
+  if (qualificationCount !== qualificationIds.length) {
+    throw new Error('One or more required qualifications could not be found');
+  }
+}
+
+// Whether the tree has an hour minimum limited to recent months, which can lapse as training ages
+function hasWindowedHoursRule(rule) {
+  if (!rule) {
+    return false;
+  }
+  return (rule.type === 'hours' && Boolean(rule.withinMonths)) || (rule.children || []).some(hasWindowedHoursRule);
+}
+
+// The loop of qualification names that saving `rules` on `qualificationId` would create, or null
+async function findQualificationCycle(qualificationId, rules) {
+  const targetId = idOf(qualificationId);
+  const qualifications = await Qualification.find({}).select('name rules requiredClasses').lean();
+  const names = new Map(qualifications.map(qualification => [qualification._id.toString(), qualification.name]));
+  const edges = new Map(qualifications.map(qualification => [
+    qualification._id.toString(),
+    collectRuleQualificationIds(getQualificationRules(qualification))
+  ]));
+  edges.set(targetId, collectRuleQualificationIds(rules));
+
+  const visited = new Set();
+  const walk = (id, path) => {
+    for (const nextId of edges.get(id) || []) {
+      if (nextId === targetId) {
+        return [...path, nextId];
+      }
+      if (!visited.has(nextId)) {
+        visited.add(nextId);
+        const cycle = walk(nextId, [...path, nextId]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    return null;
+  };
+
+  const cycle = walk(targetId, [targetId]);
+  return cycle ? cycle.map(id => names.get(id) || 'Unknown qualification') : null;
+}
+
+// Names of every class, category and qualification, for rule labels
+async function loadRuleNames() {
+  const [classes, categories, qualifications] = await Promise.all([
+    TrainingClass.find({}).select('name').lean(),
+    TrainingCategory.find({}).select('name').lean(),
+    Qualification.find({}).select('name').lean()
+  ]);
+  const toMap = (items) => new Map(items.map(item => [item._id.toString(), item.name]));
+  return {
+    classes: toMap(classes),
+    categories: toMap(categories),
+    qualifications: toMap(qualifications)
+  };
+}
+
+// Everything needed to evaluate rule trees for one member. `isQualificationEarned(id)` and
+// `isQualificationAwarded(id)` are filled in by the caller, since earning another qualification
+// depends on evaluating it first and awards are stored on the member's qualification records.
+async function loadRuleContext(userId, { asOf = new Date() } = {}) {
+  const [submissions, equivalenceMap, names] = await Promise.all([
+    TrainingSubmission.find({ student: idOf(userId), status: 'approved' })
+      .select('trainingClass hoursLogged approvedAt endDate startDate expiresAt')
+      .populate('trainingClass', 'category subcategory')
+      .lean(),
+    loadEquivalenceMap(),
+    loadRuleNames()
+  ]);
+
+  // Most recent current completion per class; expired ones do not satisfy a class requirement
+  const submissionByClass = new Map();
+  submissions
+    .filter(submission => submission.trainingClass && (!submission.expiresAt || submission.expiresAt > asOf))
+    .forEach(submission => {
+      const classId = submission.trainingClass._id.toString();
+      const existing = submissionByClass.get(classId);
+      if (!existing || submission.endDate > existing.endDate) {
+        submissionByClass.set(classId, submission);
+      }
+    });
+
+  return {
+    asOf,
+    submissions: submissions.filter(submission => submission.trainingClass),
+    submissionByClass,
+    equivalenceMap,
+    names,
+    isQualificationEarned: () => false,
+    isQualificationAwarded: () => false
+  };
+}
+
+const formatHours = (hours) => (Math.round(hours * 100) / 100).toString();
+
+const describeHoursRule = (rule, names) => {
+  const categoryName = rule.category ? (names.categories.get(idOf(rule.category)) || 'a removed category') : null;
+  const window = rule.withinMonths ? ` in the last ${rule.withinMonths} month${rule.withinMonths === 1 ? '' : 's'}` : '';
+  return `${formatHours(rule.hours)} hours of ${categoryName ? `${categoryName} training` : 'training'}${window}`;
+};
+
+const describeGroupRule = (rule) => {
+  if (rule.type === 'all') {
+    return 'All of the following';
+  }
+  if (rule.type === 'any') {
+    return 'Any one of the following';
+  }
+  return `Any ${rule.count} of the following`;
+};
+
+// Plain description of a rule, for the editor preview and the available-qualification lists
+function describeRule(rule, names) {
+  if (rule.type === 'class') {
+    return names.classes.get(idOf(rule.trainingClass)) || 'Removed class';
+  }
+  if (rule.type === 'qualification') {
+    return `${names.qualifications.get(idOf(rule.qualification)) || 'Removed qualification'} qualification`;
+  }
+  if (rule.type === 'hours') {
+    return describeHoursRule(rule, names);
+  }
+  if (rule.type === 'task_book') {
+    return 'Task book approved by the Rescue Chief';
+  }
+  return describeGroupRule(rule);
+}
+
+// Evaluate a rule tree for a member. Returns a plain tree of
+// { type, label, isMet, progress, detail, children, classId, submission, completedDate }, where
+// group `progress` is { met, required } and `detail` is a short status such as "10 of 24 hrs".
+function evaluateRule(rule, context) {
+  const label = describeRule(rule, context.names);
+
+  if (rule.type === 'class') {
+    const classId = idOf(rule.trainingClass);
+    const submission = getEquivalentClassIds(context.equivalenceMap, classId)
+      .map(equivalentId => context.submissionByClass.get(equivalentId))
+      .filter(Boolean)
+      .sort((a, b) => b.endDate - a.endDate)[0];
+    return {
+      type: 'class',
+      label,
+      isMet: Boolean(submission),
+      classId,
+      submission: submission ? submission._id : null,
+      completedDate: submission ? submission.approvedAt : null,
+      detail: submission ? `Completed ${new Date(submission.endDate || submission.approvedAt).toLocaleDateString()}` : null
+    };
+  }
+
+  if (rule.type === 'qualification') {
+    const isMet = context.isQualificationEarned(idOf(rule.qualification));
+    return { type: 'qualification', label, isMet, detail: isMet ? 'Earned' : null };
+  }
+
+  if (rule.type === 'task_book') {
+    const isMet = context.isQualificationAwarded(idOf(rule.qualification));
+    return { type: 'task_book', label, isMet, detail: isMet ? 'Approved' : null };
+  }
+
+  if (rule.type === 'hours') {
+    const categoryId = idOf(rule.category);
+    const since = rule.withinMonths ? new Date(context.asOf) : null;
+    if (since) {
+      since.setMonth(since.getMonth() - rule.withinMonths);
+    }
+    const earned = context.submissions
+      .filter(submission => !categoryId
+        || idOf(submission.trainingClass.category) === categoryId
+        || idOf(submission.trainingClass.subcategory) === categoryId)
+      .filter(submission => !since || new Date(submission.endDate || submission.startDate) >= since)
+      .reduce((total, submission) => total + (Number(submission.hoursLogged) || 0), 0);
+    return {
+      type: 'hours',
+      label,
+      isMet: earned >= rule.hours,
+      detail: `${formatHours(earned)} of ${formatHours(rule.hours)} hrs`
+    };
+  }
+
+  const children = (rule.children || []).map(child => evaluateRule(child, context));
+  const metCount = children.filter(child => child.isMet).length;
+  let required = children.length;
+  if (rule.type === 'any') {
+    required = Math.min(1, children.length);
+  } else if (rule.type === 'n_of') {
+    required = rule.count;
+  }
+
+  return {
+    type: rule.type,
+    label,
+    isMet: metCount >= required,
+    progress: { met: Math.min(metCount, required), required },
+    detail: `${Math.min(metCount, required)} of ${required} met`,
+    children
+  };
+}
+
+// The unmet branches of an evaluated tree, as sentences. An unmet all-of is broken down into
+// its own unmet parts; an unmet any-of or N-of-M is reported whole, since the member chooses
+// which option to complete.
+function listUnmetRequirements(node) {
+  if (node.isMet) {
+    return [];
+  }
+  if (node.type === 'all') {
+    return node.children.flatMap(listUnmetRequirements);
+  }
+  if (node.type === 'any' || node.type === 'n_of') {
+    const options = node.children.map(child => (child.children ? `(${child.label.toLowerCase()}: ${child.children.map(grandchild => grandchild.label).join(', ')})` : child.label));
+    const needed = node.type === 'any' ? 'One of' : `${node.progress.required} of`;
+    return [`${needed}: ${options.join(', ')} - ${node.detail}`];
+  }
+  return [node.detail ? `${node.label} (${node.detail})` : node.label];
+}
+
+// Class leaves of an evaluated tree, split into completed and not yet completed
+function collectClassResults(node) {
+  if (node.type === 'class') {
+    return [node];
+  }
+  return (node.children || []).flatMap(collectClassResults);
+}
+
+module.exports = {
+  RULE_TYPES,
+  getQualificationRules,
+  getEarningRules,
+  buildAllOfClassesRule,
+  collectRuleClassIds,
+  collectRuleQualificationIds,
+  copyRuleTree,
+  remapRuleClassIds,
+  describeRuleTree,
+  parseRuleTree,
+  checkRuleReferences,
+  hasWindowedHoursRule,
+  findQualificationCycle,
+  loadRuleNames,
+  loadRuleContext,
+  describeRule,
+  evaluateRule,
+  listUnmetRequirements,
+  collectClassResults
+};
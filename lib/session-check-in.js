@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// The check-in QR code changes every window; a scan is accepted for the current and the
+// previous window so a code that rotates mid-scan still works
+const CHECK_IN_WINDOW_SECONDS = 30;
+
+function generateCheckInSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function getCheckInWindow(now = Date.now()) {
+  return Math.floor(now / (CHECK_IN_WINDOW_SECONDS * 1000));
+}
+
+function buildCheckInToken(secret, sessionId, window = getCheckInWindow()) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${sessionId}:${window}`)
+    .digest('hex')
+    .slice(0, 24);
+}
+
+function isValidCheckInToken(secret, sessionId, token, now = Date.now()) {
+  if (!secret || typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const currentWindow = getCheckInWindow(now);
+  return [currentWindow, currentWindow - 1].some(window => {
+    const expected = Buffer.from(buildCheckInToken(secret, sessionId, window));
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+const toQuarterHours = (start, end) => {
+  const elapsedHours = (new Date(end) - new Date(start)) / (60 * 60 * 1000);
+  return Math.round(Math.max(elapsedHours, 0) * 4) / 4;
+};
+
+// Hours credited to an attendee: the checked-in time rounded to the nearest quarter hour and capped
+// at the session's hours. Returns null for anyone who checked in but never out, since their time
+// is unknown, and 0 for a check-in too short to earn a quarter hour; the officer enters the hours
+// for both before the session can close. Attendees marked without any check-in get the full hours.
+function calculateCreditedHours(rosterEntry, sessionHours) {
+  if (!rosterEntry.checkedInAt) {
+    return sessionHours;
+  }
+  if (!rosterEntry.checkedOutAt) {
+    return null;
+  }
+
+  return Math.min(toQuarterHours(rosterEntry.checkedInAt, rosterEntry.checkedOutAt), sessionHours);
+}
+
+// Checked in by QR code but never checked out; the officer enters their hours when closing
+function isMissingCheckOut(rosterEntry) {
+  return Boolean(rosterEntry.checkedInAt && !rosterEntry.checkedOutAt);
+}
+
+module.exports = {
+  CHECK_IN_WINDOW_SECONDS,
+  generateCheckInSecret,
+  buildCheckInToken,
+  isValidCheckInToken,
+  calculateCreditedHours,
+  isMissingCheckOut
+};
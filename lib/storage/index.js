@@ -0,0 +1,42 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// Certificate storage backend, selected with CERTIFICATE_STORAGE_DRIVER (local | s3).
+// Every driver exposes: locate, save, exists, read, createReadStream, remove.
+const createCertificateStorage = (env = process.env) => {
+  const driver = (env.CERTIFICATE_STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: ['true', '1', 'yes'].includes((env.S3_FORCE_PATH_STYLE || '').toLowerCase()),
+      prefix: env.S3_PREFIX || 'certificates'
+    });
+  }
+
+  if (driver !== 'local') {
+    throw new Error(`Unknown CERTIFICATE_STORAGE_DRIVER "${driver}". Use "local" or "s3".`);
+  }
+
+  return createLocalStorage({
+    directory: env.CERTIFICATE_UPLOAD_DIR
+      ? path.resolve(env.CERTIFICATE_UPLOAD_DIR)
+      : path.join(__dirname, '../../uploads')
+  });
+};
+
+// Safe filename="..." value for Content-Disposition: printable ASCII only, no quotes or backslashes
+const toContentDispositionFilename = (value, fallback = 'download') => {
+  return (value || fallback).replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+};
+
+const certificateStorage = createCertificateStorage();
+
+module.exports = certificateStorage;
+module.exports.createCertificateStorage = createCertificateStorage;
+module.exports.toContentDispositionFilename = toContentDispositionFilename;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const fsPromises = fs.promises;
+
+const notFoundError = (filename) => {
+  const err = new Error(`Stored file not found: ${filename}`);
+  err.code = 'ENOENT';
+  return err;
+};
+
+// Local filesystem driver: files are written flat into a single directory
+const createLocalStorage = ({ directory }) => {
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  const resolve = (filename) => path.join(directory, path.basename(filename));
+
+  return {
+    driver: 'local',
+
+    locate(filename) {
+      return resolve(filename);
+    },
+
+    async save(filename, buffer) {
+      const fullPath = resolve(filename);
+      await fsPromises.writeFile(fullPath, buffer);
+      return { path: fullPath };
+    },
+
+    async exists(filename) {
+      try {
+        await fsPromises.access(resolve(filename), fs.constants.F_OK);
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    async read(filename) {
+      try {
+        return await fsPromises.readFile(resolve(filename));
+      } catch (err) {
+        throw err.code === 'ENOENT' ? notFoundError(filename) : err;
+      }
+    },
+
+    async createReadStream(filename) {
+      const fullPath = resolve(filename);
+      try {
+        await fsPromises.access(fullPath, fs.constants.R_OK);
+      } catch (err) {
+        throw notFoundError(filename);
+      }
+      return fs.createReadStream(fullPath);
+    },
+
+    async remove(filename) {
+      try {
+        await fsPromises.unlink(resolve(filename));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+  };
+};
+
+module.exports = createLocalStorage;
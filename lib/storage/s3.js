@@ -0,0 +1,103 @@
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+const notFoundError = (filename) => {
+  const err = new Error(`Stored file not found: ${filename}`);
+  err.code = 'ENOENT';
+  return err;
+};
+
+const isNotFound = (err) => {
+  return !!err && (
+    err.name === 'NoSuchKey' ||
+    err.name === 'NotFound' ||
+    (err.$metadata && err.$metadata.httpStatusCode === 404)
+  );
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// S3-compatible driver (AWS S3, MinIO, etc.); objects are keyed by prefix + filename
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when CERTIFICATE_STORAGE_DRIVER=s3');
+  }
+
+  const clientOptions = {
+    region: region || 'us-east-1',
+    forcePathStyle: !!forcePathStyle
+  };
+  if (endpoint) {
+    clientOptions.endpoint = endpoint;
+  }
+  if (accessKeyId && secretAccessKey) {
+    clientOptions.credentials = { accessKeyId, secretAccessKey };
+  }
+
+  const client = new S3Client(clientOptions);
+  const keyPrefix = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+  const toKey = (filename) => keyPrefix + path.basename(filename);
+
+  return {
+    driver: 's3',
+
+    locate(filename) {
+      return `s3://${bucket}/${toKey(filename)}`;
+    },
+
+    async save(filename, buffer, mimeType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: toKey(filename),
+        Body: buffer,
+        ContentType: mimeType || 'application/octet-stream'
+      }));
+      return { path: this.locate(filename) };
+    },
+
+    async exists(filename) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toKey(filename) }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    async read(filename) {
+      const stream = await this.createReadStream(filename);
+      return streamToBuffer(stream);
+    },
+
+    async createReadStream(filename) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toKey(filename) }));
+        return result.Body;
+      } catch (err) {
+        throw isNotFound(err) ? notFoundError(filename) : err;
+      }
+    },
+
+    async remove(filename) {
+      // DeleteObject succeeds for missing keys, matching the local driver
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toKey(filename) }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,281 @@
+const Qualification = require('../models/Qualification');
+const TaskBookTemplate = require('../models/TaskBookTemplate');
+
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return (value._id || value).toString();
+};
+
+const ATTENDANT_SKILLS = [
+  'Response - Map reading',
+  'Response - Radio use',
+  'Response - Communication with Driver',
+  'Physical Assessment - Initial',
+  'Physical Assessment - Focused/Rapid',
+  'Physical Assessment - Vitals',
+  'Physical Assessment - Ongoing',
+  'Subjective Interview - SAMPLE',
+  'Subjective Interview - OPQRST',
+  'Airway Maintenance - Positioning',
+  'Airway Maintenance - Suctioning',
+  'Airway Maintenance - Airway Adjuncts',
+  'Airway Maintenance - Oxygen Admin (Correct LPM)',
+  'Airway Maintenance - Oxygen Admin (Correct Device)',
+  'Airway Maintenance - Mechanical Ventilation',
+  'Medical Emergencies - CPR & AED (Role)',
+  'Medical Emergencies - Medication Administration',
+  'Trauma Emergencies - Spinal Immobilization (Device/Role)',
+  'Trauma Emergencies - Fracture Management (Device/Role)',
+  'Trauma Emergencies - Bleeding Control (Method Used)',
+  'Transport & Disposition - Movement of Patient to Stretcher',
+  'Transport & Disposition - Cot Operations',
+  'Transport & Disposition - Consultation',
+  'Transport & Disposition - Turn Over Report (To Whom)',
+  'Communication Skills - With Patient',
+  'Communication Skills - With ALS Personnel',
+  'Communication Skills - With Family/Bystanders',
+  'Scene Management - Time Management',
+  'Scene Management - Functions as Lead Provider',
+  'Scene Management - Protocol Followed'
+];
+
+// The packet as it was before task books were configurable
+const ATTENDANT_TEMPLATE = {
+  name: 'Attendant',
+  description: 'EMT 2nd Attendant to EMT 1st Attendant packet',
+  evaluationLabel: 'Call',
+  evaluationCount: 12,
+  skills: ATTENDANT_SKILLS,
+  signers: [
+    { key: 'candidate', label: 'Candidate', role: 'Candidate' },
+    { key: 'evaluator', label: 'Evaluator', role: 'Evaluator' },
+    { key: 'rescue-officer', label: 'Rescue Officer', role: 'Rescue Officer' }
+  ]
+};
+
+const SIGNER_ROLES = ['Candidate', 'Evaluator', 'Rescue Officer', 'Rescue Chief', 'Training Officer', 'Approver'];
+const MAX_EVALUATIONS = 50;
+
+const toArray = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'signer';
+
+// A qualification a task book awards is earned through the task book's final review on top of
+// its own rules, so members cannot earn it from classes alone
+async function flagTaskBookQualification(qualification) {
+  if (!qualification.earnedByTaskBook) {
+    qualification.earnedByTaskBook = true;
+    await qualification.save();
+  }
+  return qualification;
+}
+
+// The qualification named `name`, created as a task-book-only qualification if it does not exist yet
+async function findOrCreateQualification(name, description, actingUserId) {
+  const qualification = await Qualification.findOne({ name });
+  if (qualification) {
+    return flagTaskBookQualification(qualification);
+  }
+
+  return Qualification.create({
+    name,
+    description,
+    requiredClasses: [],
+    earnedByTaskBook: true,
+    createdBy: actingUserId
+  });
+}
+
+// The Attendant template, created along with its qualification the first time it is needed
+async function ensureDefaultTaskBookTemplate(actingUserId) {
+  const existing = await TaskBookTemplate.findOne({ isDefault: true });
+  if (existing) {
+    return existing;
+  }
+
+  const qualification = await findOrCreateQualification(
+    ATTENDANT_TEMPLATE.name,
+    'Completed Attendant packet requirements',
+    actingUserId
+  );
+  const template = new TaskBookTemplate({
+    ...ATTENDANT_TEMPLATE,
+    awardedQualification: qualification._id,
+    isDefault: true,
+    createdBy: actingUserId
+  });
+  await template.save();
+  return template;
+}
+
+// Template fields from the builder form. Skills are one per line; signers come as parallel
+// signerLabel/signerRole lists in signing order. Throws with a message for the officer.
+function parseTaskBookTemplate(body) {
+  const name = (body.name || '').toString().trim();
+  if (!name) {
+    throw new Error('Task book name is required.');
+  }
+
+  const evaluationCount = Number(body.evaluationCount);
+  if (!Number.isInteger(evaluationCount) || evaluationCount < 1 || evaluationCount > MAX_EVALUATIONS) {
+    throw new Error(`Number of evaluations must be a whole number from 1 to ${MAX_EVALUATIONS}.`);
+  }
+
+  const skills = [...new Set((body.skills || '').toString()
+    .split(/\r?\n/)
+    .map(skill => skill.trim())
+    .filter(Boolean))];
+  if (skills.length === 0) {
+    throw new Error('Add at least one skill to rate.');
+  }
+
+  const labels = toArray(body.signerLabel);
+  const roles = toArray(body.signerRole);
+  const signers = [];
+  labels.forEach((rawLabel, index) => {
+    const label = (rawLabel || '').toString().trim();
+    const role = (roles[index] || '').toString();
+    if (!label && !role) {
+      return;
+    }
+    if (!label) {
+      throw new Error('Every signer needs a label.');
+    }
+    if (!SIGNER_ROLES.includes(role)) {
+      throw new Error(`Pick a role for the "${label}" signer.`);
+    }
+
+    const baseKey = slugify(label);
+    let key = baseKey;
+    for (let suffix = 2; signers.some(signer => signer.key === key); suffix += 1) {
+      key = `${baseKey}-${suffix}`;
+    }
+    signers.push({ key, label, role });
+  });
+
+  if (signers.filter(signer => signer.role === 'Candidate').length > 1) {
+    throw new Error('Only one signer can be the candidate.');
+  }
+  if (!getEvaluatingSigner(signers)) {
+    throw new Error('Add a signer other than the candidate; the first one fills in each evaluation.');
+  }
+
+  return {
+    name,
+    description: (body.description || '').toString().trim(),
+    evaluationLabel: (body.evaluationLabel || '').toString().trim() || 'Call',
+    evaluationCount,
+    skills,
+    signers
+  };
+}
+
+function buildCallSheets(template) {
+  return Array.from({ length: template.evaluationCount }, (_, idx) => ({
+    callNumber: idx + 1,
+    status: 'draft',
+    skillRatings: template.skills.map(skill => ({ skill, rating: 'NA', comments: '' }))
+  }));
+}
+
+function copySigners(template) {
+  return template.signers.map(({ key, label, role }) => ({ key, label, role }));
+}
+
+// The signer who fills in each evaluation: the first one who is not the candidate
+function getEvaluatingSigner(signers) {
+  return (signers || []).find(signer => signer.role !== 'Candidate') || null;
+}
+
+function getSignature(callSheet, signerKey) {
+  return (callSheet.signatures || []).find(signature => signature.signer === signerKey && signature.signedAt) || null;
+}
+
+// Signers sign in order, so this is the first without a signature; null for drafts and completed sheets
+function getNextSigner(packet, callSheet) {
+  if (callSheet.status === 'draft') {
+    return null;
+  }
+  return packet.signers.find(signer => !getSignature(callSheet, signer.key)) || null;
+}
+
+function canSignAs(user, signer, packet) {
+  if (!user || !signer) {
+    return false;
+  }
+  if (signer.role === 'Candidate') {
+    return idOf(packet.candidate) === idOf(user);
+  }
+  return !!user.isAdmin || (Array.isArray(user.roles) && user.roles.includes(signer.role));
+}
+
+function canFillCallSheet(user, packet) {
+  return canSignAs(user, getEvaluatingSigner(packet.signers), packet);
+}
+
+function recomputeCallSheetStatus(packet, callSheet) {
+  if (packet.signers.every(signer => getSignature(callSheet, signer.key))) {
+    callSheet.status = 'completed';
+    if (!callSheet.completedAt) {
+      callSheet.completedAt = new Date();
+    }
+    return;
+  }
+
+  callSheet.status = 'awaiting_signature';
+  callSheet.completedAt = null;
+}
+
+// Removes a signature and every one after it, since later signers vouched for it
+function clearSignatureAndLater(packet, callSheet, signerKey) {
+  const index = packet.signers.findIndex(signer => signer.key === signerKey);
+  const clearedKeys = new Set(packet.signers.slice(index).map(signer => signer.key));
+  callSheet.signatures = (callSheet.signatures || []).filter(signature => !clearedKeys.has(signature.signer));
+}
+
+// e.g. "awaiting rescue officer signature"
+function describeCallStatus(packet, callSheet) {
+  const nextSigner = getNextSigner(packet, callSheet);
+  return nextSigner
+    ? `awaiting ${nextSigner.label.toLowerCase()} signature`
+    : (callSheet.status || 'draft').replace(/_/g, ' ');
+}
+
+// e.g. "Evaluator fills in the call sheet, then candidate signs, then evaluator signs."
+function describeSignerFlow(signers, evaluationLabel) {
+  const evaluatingSigner = getEvaluatingSigner(signers);
+  if (!evaluatingSigner) {
+    return '';
+  }
+  const signatures = signers.map(signer => `${signer.label.toLowerCase()} signs`).join(', then ');
+  return `${evaluatingSigner.label} fills in the ${(evaluationLabel || 'call').toLowerCase()} sheet, then ${signatures}.`;
+}
+
+module.exports = {
+  ATTENDANT_SKILLS,
+  ATTENDANT_TEMPLATE,
+  SIGNER_ROLES,
+  MAX_EVALUATIONS,
+  flagTaskBookQualification,
+  findOrCreateQualification,
+  ensureDefaultTaskBookTemplate,
+  parseTaskBookTemplate,
+  buildCallSheets,
+  copySigners,
+  getEvaluatingSigner,
+  getSignature,
+  getNextSigner,
+  canSignAs,
+  canFillCallSheet,
+  recomputeCallSheetStatus,
+  clearSignatureAndLater,
+  describeCallStatus,
+  describeSignerFlow
+};
@@ -0,0 +1,117 @@
+const TrainingCategory = require('../models/TrainingCategory');
+const TrainingClass = require('../models/TrainingClass');
+
+const UNCATEGORIZED_LABEL = 'Uncategorized';
+
+const idOf = (value) => {
+  if (!value) {
+    return null;
+  }
+  return (value._id || value).toString();
+};
+
+// Top-level categories, each with its subcategories, sorted by name
+async function loadCategoryTree({ includeInactive = false } = {}) {
+  const query = includeInactive ? {} : { isActive: true };
+  const categories = await TrainingCategory.find(query).sort('name').lean();
+
+  const topLevel = categories
+    .filter(category => !category.parent)
+    .map(category => ({ ...category, subcategories: [] }));
+  const byId = new Map(topLevel.map(category => [category._id.toString(), category]));
+
+  categories
+    .filter(category => category.parent)
+    .forEach(subcategory => {
+      const parent = byId.get(subcategory.parent.toString());
+      if (parent) {
+        parent.subcategories.push(subcategory);
+      }
+    });
+
+  return topLevel;
+}
+
+// Ids of classes filed under a category or subcategory (a category includes its subcategories).
+// Returns null when no category filter applies.
+async function findClassIdsInCategory(categoryId) {
+  if (!categoryId) {
+    return null;
+  }
+  const classes = await TrainingClass.find({
+    $or: [{ category: categoryId }, { subcategory: categoryId }]
+  }).select('_id').lean();
+  return classes.map(trainingClass => trainingClass._id);
+}
+
+// Approved hours per category (and subcategory) per calendar year of completion.
+// Expects submissions with trainingClass populated; the class's current category is used.
+async function summarizeHoursByCategory(submissions) {
+  const categories = await TrainingCategory.find().select('name parent').lean();
+  const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+  const years = new Set();
+  const totalsByYear = {};
+  const rows = new Map();
+  let total = 0;
+
+  const addHours = (row, year, hours) => {
+    row.byYear[year] = (row.byYear[year] || 0) + hours;
+    row.total += hours;
+  };
+  const getRow = (map, id, name) => {
+    if (!map.has(id)) {
+      map.set(id, { id, name, byYear: {}, total: 0, subcategories: new Map() });
+    }
+    return map.get(id);
+  };
+
+  submissions
+    .filter(submission => submission.status === 'approved' && submission.trainingClass)
+    .forEach(submission => {
+      const hours = Number(submission.hoursLogged) || 0;
+      const year = new Date(submission.endDate || submission.startDate).getFullYear();
+      const categoryId = idOf(submission.trainingClass.category);
+      const subcategoryId = idOf(submission.trainingClass.subcategory);
+
+      years.add(year);
+      totalsByYear[year] = (totalsByYear[year] || 0) + hours;
+      total += hours;
+
+      const categoryName = categoryId && categoryNames.get(categoryId);
+      const row = getRow(rows, categoryName ? categoryId : null, categoryName || UNCATEGORIZED_LABEL);
+      addHours(row, year, hours);
+
+      const subcategoryName = subcategoryId && categoryNames.get(subcategoryId);
+      if (categoryName && subcategoryName) {
+        addHours(getRow(row.subcategories, subcategoryId, subcategoryName), year, hours);
+      }
+    });
+
+  const byName = (a, b) => {
+    if (!a.id) return 1;
+    if (!b.id) return -1;
+    return a.name.localeCompare(b.name);
+  };
+
+  return {
+    years: [...years].sort((a, b) => b - a),
+    categories: [...rows.values()]
+      .map(row => ({
+        ...row,
+        subcategories: [...row.subcategories.values()]
+          .map(({ subcategories, ...subcategory }) => subcategory)
+          .sort(byName)
+      }))
+      .sort(byName),
+    totalsByYear,
+    total
+  };
+}
+
+module.exports = {
+  UNCATEGORIZED_LABEL,
+  loadCategoryTree,
+  findClassIdsInCategory,
+  summarizeHoursByCategory
+};
@@ -0,0 +1,156 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const AttendantPacket = require('./models/AttendantPacket');
+const TaskBookTemplate = require('./models/TaskBookTemplate');
+const Qualification = require('./models/Qualification');
+const UserQualification = require('./models/UserQualification');
+const {
+  ATTENDANT_TEMPLATE,
+  ensureDefaultTaskBookTemplate,
+  flagTaskBookQualification
+} = require('./lib/task-books');
+
+// Attendant packets used to carry three fixed signatures on each call sheet. This assigns them
+// to the Attendant task book template and moves those signatures into the signature list.
+// It then flags every qualification a task book awards as needing the task book, and records
+// approved packets as task book sign-offs so existing holders still meet that requirement.
+// Run with --dry-run to report what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_SIGNATURE_FIELDS = [
+  ['candidate', 'candidateSignature'],
+  ['evaluator', 'evaluatorSignature'],
+  ['rescue-officer', 'rescueOfficerSignature']
+];
+
+console.log(`Starting attendant packet migration${dryRun ? ' (dry run)' : ''}...`);
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    migrateAttendantPackets();
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+function migrateCallSheet(call) {
+  const { candidateSignature, evaluatorSignature, rescueOfficerSignature, rescueOfficerId, ...rest } = call;
+  const signatures = LEGACY_SIGNATURE_FIELDS
+    .filter(([, field]) => call[field] && call[field].signedAt)
+    .map(([signer, field]) => ({
+      signer,
+      signedBy: call[field].signedBy || null,
+      signedAt: call[field].signedAt,
+      name: call[field].name || ''
+    }));
+
+  return {
+    ...rest,
+    signatures,
+    status: ['draft', 'completed'].includes(call.status) ? call.status : 'awaiting_signature'
+  };
+}
+
+// The candidate's most recently approved packet among `templateIds`, if any
+async function findApprovedPacket(userId, templateIds) {
+  return AttendantPacket.findOne({ candidate: userId, template: { $in: templateIds }, status: 'approved' })
+    .sort('-finalReview.rescueChiefSignature.signedAt');
+}
+
+async function recordTaskBookAwards() {
+  const templates = await TaskBookTemplate.find({});
+  const qualificationIds = [...new Set(templates.map(template => template.awardedQualification.toString()))];
+  let flagged = 0;
+  let recorded = 0;
+  let withoutPacket = 0;
+
+  for (const qualificationId of qualificationIds) {
+    const qualification = await Qualification.findById(qualificationId);
+    if (!qualification) {
+      continue;
+    }
+    if (!qualification.earnedByTaskBook) {
+      flagged += 1;
+      if (!dryRun) {
+        await flagTaskBookQualification(qualification);
+      }
+    }
+
+    const templateIds = templates
+      .filter(template => template.awardedQualification.toString() === qualificationId)
+      .map(template => template._id);
+    const completions = await UserQualification.find({
+      qualification: qualification._id,
+      isComplete: true,
+      awardedVia: null
+    });
+
+    for (const userQualification of completions) {
+      const packet = await findApprovedPacket(userQualification.user, templateIds);
+      if (!packet) {
+        withoutPacket += 1;
+        continue;
+      }
+
+      recorded += 1;
+      if (!dryRun) {
+        const signature = packet.finalReview && packet.finalReview.rescueChiefSignature;
+        userQualification.awardedVia = 'task_book';
+        userQualification.awardedBy = signature ? signature.signedBy : null;
+        userQualification.awardedAt = (signature && signature.signedAt) || userQualification.earnedDate || new Date();
+        await userQualification.save();
+      }
+    }
+  }
+
+  console.log(`${dryRun ? 'Would flag' : 'Flagged'} ${flagged} of ${qualificationIds.length} task book qualifications as needing their task book`);
+  console.log(`${dryRun ? 'Would record' : 'Recorded'} ${recorded} completions as task book sign-offs`);
+  if (withoutPacket) {
+    console.log(`${withoutPacket} completions have no approved packet and will lapse on their next recalculation; use Manual Override to keep any that should stand`);
+  }
+}
+
+async function migrateAttendantPackets() {
+  try {
+    // Read the raw documents; the legacy signature fields are no longer in the schema
+    const packets = await AttendantPacket.collection.find({ template: { $exists: false } }).toArray();
+    const template = dryRun
+      ? await TaskBookTemplate.findOne({ isDefault: true })
+      : await ensureDefaultTaskBookTemplate(null);
+
+    let signaturesMoved = 0;
+    for (const packet of packets) {
+      const callSheets = (packet.callSheets || []).map(migrateCallSheet);
+      signaturesMoved += callSheets.reduce((total, call) => total + call.signatures.length, 0);
+
+      if (!dryRun) {
+        await AttendantPacket.collection.updateOne(
+          { _id: packet._id },
+          {
+            $set: {
+              template: template._id,
+              signers: ATTENDANT_TEMPLATE.signers,
+              callSheets
+            }
+          }
+        );
+      }
+    }
+
+    console.log(`${dryRun ? 'Would assign' : 'Assigned'} ${packets.length} packets to the ${template ? template.name : 'Attendant'} task book`);
+    console.log(`${dryRun ? 'Would move' : 'Moved'} ${signaturesMoved} call sheet signatures`);
+
+    await recordTaskBookAwards();
+    console.log('Migration completed successfully');
+
+    mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating attendant packets:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+}
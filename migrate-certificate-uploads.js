@@ -0,0 +1,137 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const TrainingSubmission = require('./models/TrainingSubmission');
+const CertificateImportBatch = require('./models/CertificateImportBatch');
+const certificateStorage = require('./lib/storage');
+
+// Certificates used to be written to public/uploads and served statically.
+// This moves them into the configured storage backend (CERTIFICATE_STORAGE_DRIVER)
+// and rewrites certificateFile.path. Run with --dry-run to report what would change.
+const legacyDir = path.join(__dirname, 'public/uploads');
+const dryRun = process.argv.includes('--dry-run');
+
+console.log(`Starting certificate upload migration to ${certificateStorage.driver} storage${dryRun ? ' (dry run)' : ''}...`);
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    migrateCertificateUploads();
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+const fileExists = async (fullPath) => {
+  try {
+    await fs.promises.access(fullPath, fs.constants.F_OK);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Returns 'moved', 'present' (already in the storage backend) or 'missing'
+async function moveCertificateFile(filename, mimeType) {
+  const source = path.join(legacyDir, filename);
+
+  if (await certificateStorage.exists(filename)) {
+    return 'present';
+  }
+
+  if (!(await fileExists(source))) {
+    return 'missing';
+  }
+
+  if (!dryRun) {
+    const buffer = await fs.promises.readFile(source);
+    await certificateStorage.save(filename, buffer, mimeType);
+    await fs.promises.unlink(source);
+  }
+
+  return 'moved';
+}
+
+async function migrateCertificateUploads() {
+  try {
+    const stats = { moved: 0, present: 0, missing: 0, pathsUpdated: 0 };
+    const referencedFiles = new Set();
+
+    const submissions = await TrainingSubmission.find({
+      'certificateFile.filename': { $exists: true, $nin: [null, ''] }
+    }).select('certificateFile');
+
+    for (const submission of submissions) {
+      const filename = path.basename(submission.certificateFile.filename);
+      referencedFiles.add(filename);
+
+      const result = await moveCertificateFile(filename, submission.certificateFile.mimeType);
+      stats[result] += 1;
+      if (result === 'missing') {
+        console.warn(`Missing file for submission ${submission._id}: ${filename}`);
+      }
+
+      const newPath = certificateStorage.locate(filename);
+      if (submission.certificateFile.path !== newPath) {
+        if (!dryRun) {
+          await TrainingSubmission.updateOne(
+            { _id: submission._id },
+            { $set: { 'certificateFile.path': newPath } }
+          );
+        }
+        stats.pathsUpdated += 1;
+      }
+    }
+
+    const batches = await CertificateImportBatch.find({ status: 'staged' }).select('rows');
+    for (const batch of batches) {
+      for (const row of batch.rows) {
+        if (!row.file || !row.file.filename) {
+          continue;
+        }
+
+        const filename = path.basename(row.file.filename);
+        if (referencedFiles.has(filename)) {
+          continue;
+        }
+        referencedFiles.add(filename);
+
+        const result = await moveCertificateFile(filename, row.file.mimeType);
+        stats[result] += 1;
+
+        const newPath = certificateStorage.locate(filename);
+        if (row.file.path !== newPath) {
+          if (!dryRun) {
+            await CertificateImportBatch.updateOne(
+              { _id: batch._id, 'rows._id': row._id },
+              { $set: { 'rows.$.file.path': newPath } }
+            );
+          }
+          stats.pathsUpdated += 1;
+        }
+      }
+    }
+
+    if (await fileExists(legacyDir)) {
+      const leftovers = (await fs.promises.readdir(legacyDir))
+        .filter(name => !name.startsWith('.') && !referencedFiles.has(name));
+      if (leftovers.length) {
+        console.log(`${leftovers.length} unreferenced files remain in ${legacyDir}; review and remove them manually.`);
+      }
+    }
+
+    console.log(`Moved ${stats.moved} files, ${stats.present} already in place, ${stats.missing} missing`);
+    console.log(`Updated ${stats.pathsUpdated} stored certificate paths`);
+    console.log('Migration completed successfully');
+
+    mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating certificate uploads:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+}
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Department-wide review settings, kept as a single document edited by Training Officers
+const approvalPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Submissions logging at least this many hours need a second, independent approver; null disables it
+  secondApprovalHoursThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Days a submission can wait for review before it is flagged as due soon, then overdue
+  reviewSlaWarningDays: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+  reviewSlaOverdueDays: {
+    type: Number,
+    min: 1,
+    default: 10
+  },
+  // What approving a class the member lacks prerequisites for does: 'warn' the approver or 'block' the approval
+  prerequisiteEnforcement: {
+    type: String,
+    enum: ['off', 'warn', 'block'],
+    default: 'warn'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The saved policy, or an unsaved one holding the defaults
+approvalPolicySchema.statics.getCurrent = async function() {
+  const policy = await this.findOne({ key: 'default' });
+  return policy || new this({ key: 'default' });
+};
+
+module.exports = mongoose.model('ApprovalPolicy', approvalPolicySchema);
@@ -14,8 +14,23 @@ const signatureSchema = new mongoose.Schema({
   name: { type: String, default: '' }
 }, { _id: false });
 
+// A signature on one evaluation, keyed to a signer on the packet
+const callSignatureSchema = new mongoose.Schema({
+  signer: { type: String, required: true },
+  signedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  signedAt: { type: Date, default: null },
+  name: { type: String, default: '' }
+}, { _id: false });
+
+// Copied from the task book template when the packet starts
+const packetSignerSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: { type: String, required: true },
+  role: { type: String, required: true }
+}, { _id: false });
+
 const callSheetSchema = new mongoose.Schema({
-  callNumber: { type: Number, min: 1, max: 12, required: true },
+  callNumber: { type: Number, min: 1, required: true },
   candidateName: { type: String, default: '' },
   incidentDate: { type: Date, default: null },
   patientPriority: { type: String, default: '' },
@@ -31,16 +46,17 @@ const callSheetSchema = new mongoose.Schema({
     value: { type: String, enum: ['yes', 'no', 'not_evaluated'], default: 'not_evaluated' },
     comments: { type: String, default: '' }
   },
-  candidateSignature: { type: signatureSchema, default: () => ({}) },
-  evaluatorSignature: { type: signatureSchema, default: () => ({}) },
-  rescueOfficerSignature: { type: signatureSchema, default: () => ({}) },
+  // In the packet's signer order; the next signer is the first without one
+  signatures: {
+    type: [callSignatureSchema],
+    default: []
+  },
   status: {
     type: String,
-    enum: ['draft', 'awaiting_candidate_signature', 'awaiting_evaluator_signature', 'awaiting_rescue_officer_signature', 'completed'],
+    enum: ['draft', 'awaiting_signature', 'completed'],
     default: 'draft'
   },
   evaluatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
-  rescueOfficerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   completedAt: { type: Date, default: null }
 }, {
   _id: false,
@@ -48,6 +64,12 @@ const callSheetSchema = new mongoose.Schema({
 });
 
 const attendantPacketSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskBookTemplate',
+    required: true,
+    index: true
+  },
   candidate: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -87,6 +109,10 @@ const attendantPacketSchema = new mongoose.Schema({
     },
     comments: { type: String, default: '' }
   },
+  signers: {
+    type: [packetSignerSchema],
+    default: []
+  },
   callSheets: {
     type: [callSheetSchema],
     default: []
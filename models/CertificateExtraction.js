@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Embedded schema (not a model): what the certificate parser read from an uploaded file.
+// Stored on submissions and staged import rows so reviewers can compare entered values
+// against the certificate itself.
+const extractedFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Stored as text: ISO strings for dates, decimal strings for hours
+  value: String,
+  confidence: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'low'
+  },
+  snippet: String
+}, { _id: false });
+
+const certificateExtractionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed'
+  },
+  error: String,
+  format: String,
+  formatLabel: String,
+  rawText: String,
+  fields: {
+    type: [extractedFieldSchema],
+    default: []
+  },
+  extractedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+module.exports = certificateExtractionSchema;
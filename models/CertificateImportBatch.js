@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const certificateExtractionSchema = require('./CertificateExtraction');
+
+const importRowSchema = new mongoose.Schema({
+  file: {
+    filename: String,
+    originalName: String,
+    path: String,
+    mimeType: String,
+    contentHash: String,
+    uploadDate: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  extracted: {
+    recipientName: { type: String, default: null },
+    trainingClassName: { type: String, default: null },
+    hoursLogged: { type: Number, default: null },
+    courseIdentifier: { type: String, default: null },
+    courseDateText: { type: String, default: null },
+    format: { type: String, default: null },
+    formatLabel: { type: String, default: null },
+    isLikelyMfri: { type: Boolean, default: false }
+  },
+  extraction: {
+    type: certificateExtractionSchema,
+    default: null
+  },
+  studentCandidates: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    score: Number
+  }],
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  trainingClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingClass',
+    default: null
+  },
+  startDate: { type: Date, default: null },
+  endDate: { type: Date, default: null },
+  hoursLogged: { type: Number, default: null },
+  courseNumber: { type: String, trim: true, default: '' },
+  notes: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['needs_review', 'ready', 'committed'],
+    default: 'needs_review'
+  },
+  commitError: { type: String, default: '' },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingSubmission',
+    default: null
+  }
+});
+
+const certificateImportBatchSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rows: {
+    type: [importRowSchema],
+    default: []
+  },
+  skippedFiles: {
+    type: [String],
+    default: []
+  },
+  // 'extracting' while the certificate-import-extract job reads the files; review opens at 'staged'.
+  // 'committing' claims the batch while one request commits its rows.
+  status: {
+    type: String,
+    enum: ['extracting', 'staged', 'committing', 'committed', 'discarded'],
+    default: 'staged'
+  },
+  commitStartedAt: { type: Date, default: null },
+  extractionJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  committedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+certificateImportBatchSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('CertificateImportBatch', certificateImportBatchSchema);
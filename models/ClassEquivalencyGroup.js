@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Training classes that are the same course under different names (e.g. an MFRI listing and
+// an older in-house entry). A completion of any class in the group satisfies the others.
+// A class belongs to at most one group.
+const classEquivalencyGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  classes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingClass'
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+classEquivalencyGroupSchema.index({ classes: 1 });
+
+module.exports = mongoose.model('ClassEquivalencyGroup', classEquivalencyGroupSchema);
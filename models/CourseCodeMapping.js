@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Maps a course-code prefix such as "EMS-202" to the canonical TrainingClass, so any offering
+// of that course (EMS-202-S025-2025, EMS-202-F031-2026, ...) is recognised as the same class
+const courseCodeMappingSchema = new mongoose.Schema({
+  // Stored upper-case, e.g. "EMS-202"
+  prefix: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    unique: true
+  },
+  trainingClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingClass',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('CourseCodeMapping', courseCodeMappingSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Minimum approved training hours a member holding `role` must log each calendar year.
+// A null category means total hours across all categories; a subcategory counts only its own hours.
+const hourRequirementSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['Student', 'Approver', 'Training Officer', 'Rescue Officer', 'Evaluator', 'Rescue Chief'],
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCategory',
+    default: null
+  },
+  minimumHours: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+hourRequirementSchema.index({ role: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('HourRequirement', hourRequirementSchema);
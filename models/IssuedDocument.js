@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A generated transcript or qualification document that outside agencies can verify by code.
+// `content` is the canonical record the document was rendered from and `contentHash` its
+// SHA-256, so verification can tell both whether the record is genuine and whether it still
+// matches the member's current record.
+const issuedDocumentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['transcript', 'attendant_packet'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // The member (transcripts) or packet (attendant packets) the document describes
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  subjectName: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+issuedDocumentSchema.index({ type: 1, subjectId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('IssuedDocument', issuedDocumentSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Work that is too slow to run inside a request (OCR, PDF rendering).
+// Routes enqueue a job and return its id; workers in lib/jobs claim and run it.
+const jobFileSchema = new mongoose.Schema({
+  data: Buffer,
+  mimeType: String,
+  filename: String
+}, { _id: false });
+
+// Generated files can be larger than a Mongo document allows, so they live in file storage
+const jobResultFileSchema = new mongoose.Schema({
+  storageKey: String,
+  mimeType: String,
+  filename: String,
+  size: Number
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  inputFile: {
+    type: jobFileSchema,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  resultFile: {
+    type: jobResultFileSchema,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Finished jobs are removed by the TTL index once this passes; lib/jobs removes their
+  // result files shortly before
+  expireAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ type: 1, status: 1, createdAt: 1 });
+jobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
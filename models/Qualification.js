@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 
+// One requirement in a qualification's rule tree. Groups ('all', 'any', 'n_of') hold child rules;
+// leaves are a class, a minimum of hours in a category, or another qualification.
+const qualificationRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['all', 'any', 'n_of', 'class', 'hours', 'qualification'],
+    required: true
+  },
+  // n_of: how many children must be met
+  count: {
+    type: Number,
+    min: 1
+  },
+  trainingClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingClass'
+  },
+  // hours: approved hours in this category (or its subcategories); null counts every category
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCategory',
+    default: null
+  },
+  hours: {
+    type: Number,
+    min: 0
+  },
+  // hours: only training completed in the last N months counts; null means any time
+  withinMonths: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  qualification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Qualification'
+  }
+}, { _id: false });
+
+qualificationRuleSchema.add({ children: [qualificationRuleSchema] });
+
 const qualificationSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -11,10 +52,22 @@ const qualificationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Requirement tree; qualifications saved before it existed are treated as all of requiredClasses
+  rules: {
+    type: qualificationRuleSchema,
+    default: null
+  },
+  // Every class named in `rules`, kept in sync on save so "which qualifications use this class" stays a simple query
   requiredClasses: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'TrainingClass'
   }],
+  // Only awarded when a Rescue Chief approves a task book packet; members cannot start it and
+  // evaluation treats it as unmet until then, whatever its rules say
+  earnedByTaskBook: {
+    type: Boolean,
+    default: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -33,4 +86,16 @@ const qualificationSchema = new mongoose.Schema({
   }
 });
 
-module.exports = mongoose.model('Qualification', qualificationSchema); 
\ No newline at end of file
+const collectClassIds = (rule) => [
+  ...(rule.trainingClass ? [rule.trainingClass.toString()] : []),
+  ...(rule.children || []).flatMap(collectClassIds)
+];
+
+qualificationSchema.pre('validate', function(next) {
+  if (this.rules && this.rules.type) {
+    this.requiredClasses = [...new Set(collectClassIds(this.rules))];
+  }
+  next();
+});
+
+module.exports = mongoose.model('Qualification', qualificationSchema); 
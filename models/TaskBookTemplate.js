@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One sign-off on each evaluation. "Candidate" is whoever the packet is for; any other role
+// means a member holding that role (or an admin).
+const signerSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: { type: String, required: true, trim: true },
+  role: {
+    type: String,
+    enum: ['Candidate', 'Approver', 'Training Officer', 'Rescue Officer', 'Evaluator', 'Rescue Chief'],
+    required: true
+  }
+}, { _id: false });
+
+// Defines a task book (Attendant, Driver, Crew Chief, EVOC...): the skills rated on each
+// evaluation, how many evaluations complete it, who signs each one, in order, and the
+// qualification the final review awards. Packets copy the signers and skills when they start,
+// so editing a template does not disturb packets already under way.
+const taskBookTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // What one evaluation is called on the packet, e.g. "Call" or "Drive"
+  evaluationLabel: {
+    type: String,
+    trim: true,
+    default: 'Call'
+  },
+  evaluationCount: {
+    type: Number,
+    min: 1,
+    max: 50,
+    required: true
+  },
+  skills: [{
+    type: String,
+    trim: true
+  }],
+  signers: {
+    type: [signerSchema],
+    default: []
+  },
+  awardedQualification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Qualification',
+    required: true
+  },
+  // The Attendant packet, which keeps its EMT cover fields and the legacy progress record
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('TaskBookTemplate', taskBookTemplateSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Managed list of training categories (Fire, EMS, Rescue, Management, ...).
+// A category with a parent is a subcategory; only one level of nesting is used.
+const trainingCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCategory',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+trainingCategorySchema.index({ parent: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('TrainingCategory', trainingCategorySchema);
@@ -14,6 +14,28 @@ const trainingClassSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Category and optional subcategory (a TrainingCategory whose parent is the category)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCategory',
+    default: null
+  },
+  subcategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCategory',
+    default: null
+  },
+  // Months a completion stays current (e.g. 24 for CPR); null means it never expires
+  validityMonths: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Approvals for this class need sign-off from two different approvers
+  requiresSecondApproval: {
+    type: Boolean,
+    default: false
+  },
   prerequisites: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'TrainingClass'
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// A drill or in-station class run by the department. Closing the session records an
+// approved TrainingSubmission for each attendee on the roster.
+const trainingSessionSchema = new mongoose.Schema({
+  trainingClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingClass',
+    required: true
+  },
+  sessionDate: {
+    type: Date,
+    required: true
+  },
+  // Hours credited to each attendee when the session is closed
+  hours: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  // Member who taught the session; instructorName covers outside instructors
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  instructorName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  roster: [{
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    attended: {
+      type: Boolean,
+      default: true
+    },
+    // Set when the member scans the session's check-in QR code
+    checkedInAt: {
+      type: Date,
+      default: null
+    },
+    checkedOutAt: {
+      type: Date,
+      default: null
+    },
+    // Hours on the recorded submission; worked out from the check-in times when the session closes
+    creditedHours: {
+      type: Number,
+      default: null
+    },
+    // Submission recorded for this attendee when the session was closed
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrainingSubmission',
+      default: null
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // QR self check-in; the secret signs the rotating tokens and never leaves the server
+  checkIn: {
+    isOpen: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    openedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'closed', 'cancelled'],
+    default: 'scheduled'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+trainingSessionSchema.index({ status: 1, sessionDate: -1 });
+trainingSessionSchema.index({ 'roster.member': 1 });
+
+module.exports = mongoose.model('TrainingSession', trainingSessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const certificateExtractionSchema = require('./CertificateExtraction');
 
 const trainingSubmissionSchema = new mongoose.Schema({
   student: {
@@ -33,14 +34,51 @@ const trainingSubmissionSchema = new mongoose.Schema({
     originalName: String,
     path: String,
     mimeType: String,
+    // SHA-256 of the file contents, used to spot the same certificate uploaded twice
+    contentHash: {
+      type: String,
+      default: null
+    },
     uploadDate: {
       type: Date,
       default: Date.now
     }
   },
+  // What the certificate itself says, read after upload; compared against the entered values
+  extraction: {
+    type: certificateExtractionSchema,
+    default: null
+  },
+  // Likely duplicates flagged at upload time; recorded on both submissions of a pair
+  possibleDuplicates: [{
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrainingSubmission'
+    },
+    reasons: [{
+      type: String,
+      enum: ['same_file', 'same_training']
+    }],
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    },
+    dismissedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    dismissedAt: {
+      type: Date,
+      default: null
+    }
+  }],
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    // changes_requested: sent back to the member to fix; resubmitting returns it to pending.
+    // awaiting_second_approval: first sign-off given on a class or hour total that needs two approvers.
+    // withdrawn: pulled back by the member before review; kept for the record.
+    enum: ['pending', 'changes_requested', 'awaiting_second_approval', 'approved', 'rejected', 'withdrawn'],
     default: 'pending'
   },
   approvedBy: {
@@ -57,7 +95,88 @@ const trainingSubmissionSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // In-house session this submission was recorded from; these have no certificate file
+  trainingSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingSession',
+    default: null
+  },
   approvedAt: Date,
+  // First sign-off when two approvers are required; approvedBy/approvedAt hold the final one
+  firstApproval: {
+    type: {
+      _id: false,
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      approvedAt: Date
+    },
+    default: null
+  },
+  secondApprovalReasons: [{
+    type: String,
+    enum: ['flagged_class', 'hours_threshold']
+  }],
+  // Approver who has claimed (or been assigned) the review, so others can skip it
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  resubmittedAt: {
+    type: Date,
+    default: null
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  // Set on approval from the class validity period; null when the class never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Edit log: one entry per save that changed anything, with values as they read at the time
+  revisions: [{
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changes: [{
+      _id: false,
+      field: String,
+      from: String,
+      to: String
+    }],
+    // Certificate file that this edit replaced. It stays in storage as part of the audit trail:
+    // submissions are withdrawn or rejected rather than deleted, so nothing ever removes it.
+    replacedFile: {
+      type: {
+        _id: false,
+        filename: String,
+        originalName: String,
+        path: String,
+        mimeType: String,
+        contentHash: String,
+        uploadDate: Date
+      },
+      default: null
+    }
+  }],
   comments: [{
     author: {
       type: mongoose.Schema.Types.ObjectId,
@@ -75,4 +194,9 @@ const trainingSubmissionSchema = new mongoose.Schema({
   }
 });
 
+trainingSubmissionSchema.index({ 'certificateFile.contentHash': 1 });
+trainingSubmissionSchema.index({ student: 1, trainingClass: 1, startDate: 1 });
+trainingSubmissionSchema.index({ status: 1, expiresAt: 1 });
+trainingSubmissionSchema.index({ status: 1, assignedTo: 1 });
+
 module.exports = mongoose.model('TrainingSubmission', trainingSubmissionSchema); 
\ No newline at end of file
@@ -30,6 +30,38 @@ const userQualificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'TrainingClass'
   }],
+  // Evaluated rule tree from the last recalculation: { type, label, isMet, progress, detail, children }
+  ruleStatus: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Unmet branches of ruleStatus as sentences, e.g. "EMS CE hours (10 of 24 hrs)"
+  unmetRequirements: {
+    type: [String],
+    default: []
+  },
+  // 'manual': an officer's override, which recalculation keeps. 'task_book': a Rescue Chief approved
+  // the task book packet, which meets the qualification's task book requirement; its other
+  // requirements are still checked
+  awardedVia: {
+    type: String,
+    enum: ['manual', 'task_book'],
+    default: null
+  },
+  awardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  awardedAt: {
+    type: Date,
+    default: null
+  },
+  awardNote: {
+    type: String,
+    trim: true,
+    default: ''
+  },
   earnedDate: Date,
   lastUpdated: {
     type: Date,
@@ -37,6 +69,16 @@ const userQualificationSchema = new mongoose.Schema({
   }
 });
 
+// { met, required } for progress bars: the top-level requirements once the rule tree has been
+// evaluated, otherwise the class counts
+userQualificationSchema.virtual('requirementProgress').get(function() {
+  if (this.ruleStatus && this.ruleStatus.progress) {
+    return this.ruleStatus.progress;
+  }
+  const met = (this.completedClasses || []).length;
+  return { met, required: met + (this.missingClasses || []).length };
+});
+
 // Create a compound index on user and qualification to ensure uniqueness
 userQualificationSchema.index({ user: 1, qualification: 1 }, { unique: true });
 
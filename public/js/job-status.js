@@ -0,0 +1,59 @@
+// Polls a queued background job (see routes/jobs.js) until it completes or fails.
+(function() {
+  const POLL_INTERVAL_MS = 1500;
+  const MAX_WAIT_MS = 5 * 60 * 1000;
+
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function waitForJob(statusUrl, options = {}) {
+    const onUpdate = typeof options.onUpdate === 'function' ? options.onUpdate : null;
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < MAX_WAIT_MS) {
+      const response = await fetch(statusUrl, {
+        headers: { Accept: 'application/json' },
+        credentials: 'same-origin'
+      });
+
+      let payload = {};
+      try {
+        payload = await response.json();
+      } catch (err) {
+        payload = {};
+      }
+
+      if (!response.ok || !payload.success) {
+        throw new Error(payload.error || 'Unable to check job status.');
+      }
+
+      const job = payload.job;
+      if (job.status === 'completed') {
+        return job;
+      }
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'The job failed.');
+      }
+
+      if (onUpdate) {
+        onUpdate(job);
+      }
+      await delay(POLL_INTERVAL_MS);
+    }
+
+    throw new Error('Timed out waiting for the job to finish. Try again in a moment.');
+  }
+
+  function describeJobProgress(job, runningMessage) {
+    if (job.status === 'queued') {
+      return job.queuePosition > 0
+        ? `Waiting in queue (${job.queuePosition} ahead)...`
+        : 'Waiting in queue...';
+    }
+    return runningMessage;
+  }
+
+  window.JobStatus = {
+    waitForJob,
+    describeJobProgress
+  };
+})();
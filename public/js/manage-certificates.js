@@ -16,6 +16,7 @@
   const addCertificateSection = document.getElementById('addCertificateSection');
   const userCertificatesSection = document.getElementById('userCertificatesSection');
   const selectedUserIdInput = document.getElementById('selectedUserId');
+  const selectedUserTranscript = document.getElementById('selectedUserTranscript');
   const certificateTableBody = document.querySelector('#certificateTable tbody');
   const certificateTableContainer = document.getElementById('certificateTableContainer');
   const noCertificatesNotice = document.getElementById('noCertificatesNotice');
@@ -526,7 +527,22 @@
 
     let courseIdentifierHandled = false;
 
-    if (context.trainingClassSelect && extracted.trainingClassName) {
+    if (extracted.format && extracted.format.id !== 'generic') {
+      messages.push(`Format: ${extracted.format.label}`);
+    }
+
+    // A course-code mapping names the class outright, so it wins over matching by title
+    const mappedOption = context.trainingClassSelect && extracted.mappedClass
+      ? Array.from(context.trainingClassSelect.options).find((option) => option.value === extracted.mappedClass.id)
+      : null;
+
+    if (mappedOption) {
+      context.trainingClassSelect.value = mappedOption.value;
+      messages.push(`Matched class: ${mappedOption.textContent || mappedOption.value} (course ${extracted.mappedClass.prefix})`);
+      if (context.contextType) {
+        clearClassSuggestion(context.contextType);
+      }
+    } else if (context.trainingClassSelect && extracted.trainingClassName) {
       const match = findTrainingClassOption(extracted.trainingClassName, context.trainingClassSelect);
       if (match) {
         context.trainingClassSelect.value = match.value;
@@ -760,7 +776,7 @@
     });
   }
 
-  async function extractCertificateData(file) {
+  async function extractCertificateData(file, onUpdate) {
     const formData = new FormData();
     formData.append('certificateFile', file);
 
@@ -782,7 +798,8 @@
       throw new Error(message);
     }
 
-    return payload;
+    const job = await window.JobStatus.waitForJob(payload.statusUrl, { onUpdate });
+    return job.result || {};
   }
 
   async function handleAutofillFromFile(input, context) {
@@ -794,7 +811,13 @@
     setAutofillStatus(context.statusElement, 'Attempting to read certificate...', 'info');
 
     try {
-      const payload = await extractCertificateData(file);
+      const payload = await extractCertificateData(file, (job) => {
+        setAutofillStatus(
+          context.statusElement,
+          window.JobStatus.describeJobProgress(job, 'Reading certificate...'),
+          'info'
+        );
+      });
       applyAutofillResult(payload.extracted || {}, context);
     } catch (err) {
       console.error('Auto-fill failed:', err);
@@ -1172,6 +1195,9 @@
     if (selectedUserIdInput) {
       selectedUserIdInput.value = selectedUserId;
     }
+    if (selectedUserTranscript) {
+      selectedUserTranscript.dataset.url = `/training/users/${selectedUserId}/transcript`;
+    }
     if (editRedirectStudentId) {
       editRedirectStudentId.value = selectedUserId;
     }
@@ -0,0 +1,166 @@
+// Requirement tree editor for the edit-qualification page.
+// The page provides #ruleEditor, the hidden #rulesInput the tree is saved to, and
+// #ruleEditorOptions holding { rules, classes, categories, qualifications } as JSON.
+(function() {
+  const editor = document.getElementById('ruleEditor');
+  const rulesInput = document.getElementById('rulesInput');
+  const optionsElement = document.getElementById('ruleEditorOptions');
+  if (!editor || !rulesInput || !optionsElement) {
+    return;
+  }
+
+  const options = JSON.parse(optionsElement.textContent);
+  const root = options.rules;
+
+  const GROUP_LABELS = { all: 'All of', any: 'Any one of', n_of: 'Any N of' };
+  const GROUP_TYPES = Object.keys(GROUP_LABELS);
+
+  function save() {
+    rulesInput.value = JSON.stringify(root);
+  }
+
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) {
+      node.className = className;
+    }
+    if (text) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  function select(choices, value, onChange) {
+    const control = element('select', 'form-control form-control-sm');
+    choices.forEach(choice => {
+      const option = element('option', null, choice.label);
+      option.value = choice.value;
+      option.selected = String(choice.value) === String(value || '');
+      control.appendChild(option);
+    });
+    control.addEventListener('change', () => onChange(control.value));
+    return control;
+  }
+
+  function numberInput(value, placeholder, step, onChange) {
+    const control = element('input', 'form-control form-control-sm');
+    control.type = 'number';
+    control.min = step;
+    control.step = step;
+    control.placeholder = placeholder;
+    control.value = value == null ? '' : value;
+    control.addEventListener('input', () => onChange(control.value === '' ? null : Number(control.value)));
+    return control;
+  }
+
+  function removeButton(onClick) {
+    const button = element('button', 'btn btn-outline-danger btn-sm ml-2');
+    button.type = 'button';
+    button.setAttribute('aria-label', 'Remove requirement');
+    button.innerHTML = '<i class="fas fa-times"></i>';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  const classChoices = [{ value: '', label: 'Select a class' }]
+    .concat(options.classes.map(item => ({ value: item.id, label: item.name })));
+  const categoryChoices = [{ value: '', label: 'Any category' }]
+    .concat(options.categories.flatMap(category => [{ value: category.id, label: category.name }]
+      .concat(category.subcategories.map(subcategory => ({ value: subcategory.id, label: `${category.name} / ${subcategory.name}` })))));
+  const qualificationChoices = [{ value: '', label: 'Select a qualification' }]
+    .concat(options.qualifications.map(item => ({ value: item.id, label: item.name })));
+
+  function renderLeaf(rule, onRemove) {
+    const row = element('div', 'form-inline flex-nowrap mb-2');
+
+    if (rule.type === 'class') {
+      row.appendChild(element('span', 'mr-2 text-nowrap', 'Class'));
+      row.appendChild(select(classChoices, rule.trainingClass, value => { rule.trainingClass = value; save(); }));
+    } else if (rule.type === 'qualification') {
+      row.appendChild(element('span', 'mr-2 text-nowrap', 'Qualification'));
+      row.appendChild(select(qualificationChoices, rule.qualification, value => { rule.qualification = value; save(); }));
+    } else {
+      row.appendChild(element('span', 'mr-2 text-nowrap', 'At least'));
+      const hours = numberInput(rule.hours, 'hrs', '0.25', value => { rule.hours = value; save(); });
+      hours.style.width = '6rem';
+      row.appendChild(hours);
+      row.appendChild(element('span', 'mx-2 text-nowrap', 'hours of'));
+      row.appendChild(select(categoryChoices, rule.category, value => { rule.category = value || null; save(); }));
+      row.appendChild(element('span', 'mx-2 text-nowrap', 'in the last'));
+      const months = numberInput(rule.withinMonths, 'any', '1', value => { rule.withinMonths = value; save(); });
+      months.style.width = '5rem';
+      row.appendChild(months);
+      row.appendChild(element('span', 'ml-2 text-nowrap', 'months'));
+    }
+
+    row.appendChild(removeButton(onRemove));
+    return row;
+  }
+
+  function renderGroup(rule, onRemove) {
+    const box = element('div', 'border rounded p-2 mb-2 bg-light');
+    const header = element('div', 'form-inline flex-nowrap mb-2');
+
+    header.appendChild(select(
+      GROUP_TYPES.map(type => ({ value: type, label: GROUP_LABELS[type] })),
+      rule.type,
+      value => {
+        rule.type = value;
+        if (value === 'n_of') {
+          rule.count = rule.count || Math.min(2, rule.children.length) || 1;
+        } else {
+          delete rule.count;
+        }
+        render();
+      }
+    ));
+    if (rule.type === 'n_of') {
+      const count = numberInput(rule.count, 'N', '1', value => { rule.count = value; save(); });
+      count.style.width = '5rem';
+      count.classList.add('ml-2');
+      header.appendChild(count);
+    }
+    header.appendChild(element('span', 'ml-2 text-muted text-nowrap', 'the following'));
+    if (onRemove) {
+      header.appendChild(removeButton(onRemove));
+    }
+    box.appendChild(header);
+
+    const children = element('div', 'pl-3');
+    rule.children.forEach((child, index) => {
+      const removeChild = () => {
+        rule.children.splice(index, 1);
+        render();
+      };
+      children.appendChild(GROUP_TYPES.includes(child.type) ? renderGroup(child, removeChild) : renderLeaf(child, removeChild));
+    });
+    box.appendChild(children);
+
+    const actions = element('div', 'pl-3');
+    [
+      ['Class', () => ({ type: 'class', trainingClass: '' })],
+      ['Hours', () => ({ type: 'hours', hours: null, category: null, withinMonths: null })],
+      ['Qualification', () => ({ type: 'qualification', qualification: '' })],
+      ['Group', () => ({ type: 'any', children: [] })]
+    ].forEach(([label, build]) => {
+      const button = element('button', 'btn btn-outline-secondary btn-sm mr-1', `+ ${label}`);
+      button.type = 'button';
+      button.addEventListener('click', () => {
+        rule.children.push(build());
+        render();
+      });
+      actions.appendChild(button);
+    });
+    box.appendChild(actions);
+
+    return box;
+  }
+
+  function render() {
+    editor.innerHTML = '';
+    editor.appendChild(renderGroup(root, null));
+    save();
+  }
+
+  render();
+})();
@@ -0,0 +1,78 @@
+// Keeps the session check-in screen's QR code and attendee list current.
+// The page provides #checkInDisplay with data-code-url (see GET /training/sessions/:id/check-in/code).
+(function() {
+  const display = document.getElementById('checkInDisplay');
+  if (!display) {
+    return;
+  }
+
+  const qrImage = document.getElementById('checkInQrCode');
+  const linkText = document.getElementById('checkInLink');
+  const statusText = document.getElementById('checkInStatus');
+  const attendeeList = document.getElementById('checkInAttendees');
+  const attendeeCount = document.getElementById('checkInAttendeeCount');
+
+  const formatTime = (value) => value ? new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '';
+
+  function renderAttendees(attendees) {
+    attendeeCount.textContent = attendees.length;
+    attendeeList.innerHTML = '';
+    if (!attendees.length) {
+      const empty = document.createElement('li');
+      empty.className = 'list-group-item text-muted';
+      empty.textContent = 'No one has checked in yet.';
+      attendeeList.appendChild(empty);
+      return;
+    }
+
+    attendees.forEach(attendee => {
+      const item = document.createElement('li');
+      item.className = 'list-group-item d-flex justify-content-between';
+      const name = document.createElement('span');
+      name.textContent = attendee.name;
+      const times = document.createElement('span');
+      times.className = 'text-muted small';
+      times.textContent = `In ${formatTime(attendee.checkedInAt)}` + (attendee.checkedOutAt ? ` · Out ${formatTime(attendee.checkedOutAt)}` : '');
+      item.appendChild(name);
+      item.appendChild(times);
+      attendeeList.appendChild(item);
+    });
+  }
+
+  async function refresh() {
+    let delaySeconds = 10;
+    try {
+      const response = await fetch(display.dataset.codeUrl, {
+        headers: { Accept: 'application/json' },
+        credentials: 'same-origin'
+      });
+      const payload = await response.json();
+      if (!response.ok || !payload.success) {
+        throw new Error(payload.error || 'Unable to load the check-in code.');
+      }
+
+      // Refresh well inside each window so the code on screen is never stale
+      delaySeconds = Math.max(5, Math.floor(payload.refreshSeconds / 3));
+      if (payload.isOpen) {
+        qrImage.src = payload.qrCodeDataUrl;
+        qrImage.classList.remove('d-none');
+        linkText.textContent = payload.checkInUrl;
+        statusText.className = 'text-success';
+        statusText.textContent = 'Check-in is open. Scan the code with your phone while signed in.';
+      } else {
+        qrImage.classList.add('d-none');
+        linkText.textContent = '';
+        statusText.className = 'text-muted';
+        statusText.textContent = 'Check-in is closed.';
+      }
+      renderAttendees(payload.attendees);
+    } catch (err) {
+      statusText.className = 'text-danger';
+      statusText.textContent = err.message || 'Unable to load the check-in code.';
+    } finally {
+      setTimeout(refresh, delaySeconds * 1000);
+    }
+  }
+
+  refresh();
+})();
@@ -0,0 +1,48 @@
+// Queues a member transcript PDF and downloads it once the job finishes.
+// Buttons opt in with class "js-transcript-download" and a data-url to POST to;
+// an optional data-status-target selector receives progress messages.
+(function() {
+  function setStatus(target, message, type) {
+    if (!target) {
+      return;
+    }
+    target.className = `small text-${type || 'muted'}`;
+    target.textContent = message;
+  }
+
+  async function downloadTranscript(button) {
+    const statusTarget = button.dataset.statusTarget ? document.querySelector(button.dataset.statusTarget) : null;
+    button.disabled = true;
+    setStatus(statusTarget, 'Queueing transcript...');
+
+    try {
+      const response = await fetch(button.dataset.url, {
+        method: 'POST',
+        headers: { Accept: 'application/json' },
+        credentials: 'same-origin'
+      });
+      const queued = await response.json();
+      if (!response.ok || !queued.success) {
+        throw new Error(queued.error || 'Unable to queue transcript.');
+      }
+
+      const job = await window.JobStatus.waitForJob(queued.statusUrl, {
+        onUpdate: (update) => setStatus(statusTarget, window.JobStatus.describeJobProgress(update, 'Generating transcript...'))
+      });
+      setStatus(statusTarget, 'Transcript ready. Your download should start shortly.', 'success');
+      window.location.href = job.fileUrl;
+    } catch (err) {
+      setStatus(statusTarget, err.message || 'Unable to generate transcript.', 'danger');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  document.addEventListener('click', function(event) {
+    const button = event.target.closest('.js-transcript-download');
+    if (button && button.dataset.url) {
+      event.preventDefault();
+      downloadTranscript(button);
+    }
+  });
+})();
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { getQueuePosition } = require('../lib/jobs');
+const fileStorage = require('../lib/storage');
+const { toContentDispositionFilename } = require('../lib/storage');
+
+// Middleware to check if user is authenticated
+const isAuthenticated = (req, res, next) => {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.status(401).json({ success: false, error: 'Not signed in.' });
+};
+
+// Jobs are visible to the user who queued them and to admins
+const loadJobForUser = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  const job = await Job.findById(req.params.id).select('-inputFile');
+  if (!job) {
+    return null;
+  }
+
+  const isOwner = job.createdBy && job.createdBy.toString() === req.user._id.toString();
+  return isOwner || req.user.isAdmin ? job : null;
+};
+
+// Poll for a job's status; result is included once it completes
+router.get('/:id', isAuthenticated, async (req, res) => {
+  try {
+    const job = await loadJobForUser(req);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found.' });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        queuePosition: await getQueuePosition(job),
+        result: job.status === 'completed' ? job.result : null,
+        fileUrl: job.status === 'completed' && job.resultFile ? `/jobs/${job._id}/file` : null,
+        error: job.status === 'failed' ? job.error : null,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching job status:', err);
+    res.status(500).json({ success: false, error: 'Error fetching job status.' });
+  }
+});
+
+// Download the file a completed job produced (e.g. a generated PDF)
+router.get('/:id/file', isAuthenticated, async (req, res) => {
+  try {
+    const job = await loadJobForUser(req);
+    if (!job || job.status !== 'completed' || !job.resultFile || !job.resultFile.storageKey) {
+      return res.status(404).render('error', { message: 'File not found or no longer available.' });
+    }
+
+    const { storageKey, mimeType, filename, size } = job.resultFile;
+    let stream;
+    try {
+      stream = await fileStorage.createReadStream(storageKey);
+    } catch (err) {
+      console.warn('Unable to send job file:', storageKey, err.message);
+      return res.status(404).render('error', { message: 'File not found or no longer available.' });
+    }
+
+    res.setHeader('Content-Type', mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${toContentDispositionFilename(filename)}"`);
+    if (size) {
+      res.setHeader('Content-Length', String(size));
+    }
+    stream.on('error', (err) => {
+      console.warn('Job file stream failed:', storageKey, err.message);
+      res.destroy(err);
+    });
+    return stream.pipe(res);
+  } catch (err) {
+    console.error('Error downloading job file:', err);
+    res.status(500).render('error', { message: 'Error downloading file' });
+  }
+});
+
+module.exports = router;
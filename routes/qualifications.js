@@ -10,6 +10,33 @@ const TrainingClass = require('../models/TrainingClass');
 const TrainingSubmission = require('../models/TrainingSubmission');
 const User = mongoose.model('User');
 const MfriClass = require('../models/mfriClass');
+const TaskBookTemplate = require('../models/TaskBookTemplate');
+const AttendantPacket = require('../models/AttendantPacket');
+const { loadCategoryTree } = require('../lib/training-categories');
+const {
+  getQualificationRules,
+  getEarningRules,
+  buildAllOfClassesRule,
+  copyRuleTree,
+  describeRuleTree,
+  parseRuleTree,
+  checkRuleReferences,
+  hasWindowedHoursRule,
+  findQualificationCycle,
+  loadRuleNames,
+  loadRuleContext,
+  evaluateRule,
+  listUnmetRequirements,
+  collectClassResults
+} = require('../lib/qualification-rules');
+const {
+  SIGNER_ROLES,
+  MAX_EVALUATIONS,
+  flagTaskBookQualification,
+  findOrCreateQualification,
+  ensureDefaultTaskBookTemplate,
+  parseTaskBookTemplate
+} = require('../lib/task-books');
 
 // Authentication middleware (copied from training.js)
 const isAuthenticated = (req, res, next) => {
@@ -50,10 +77,16 @@ router.get('/manage', isAuthenticated, isTrainingOfficer, async (req, res) => {
       .populate('requiredClasses')
       .sort('name');
     const trainingClasses = await TrainingClass.find({ isActive: true }).sort('name');
+    const ruleNames = await loadRuleNames();
+    const requirementTrees = {};
+    qualifications.forEach(qualification => {
+      requirementTrees[qualification._id] = describeRuleTree(getEarningRules(qualification), ruleNames);
+    });
     res.render('manage-qualifications', {
       user: req.user,
       qualifications,
       trainingClasses,
+      requirementTrees,
       error: req.query.error,
       success: req.query.success
     });
@@ -67,7 +100,7 @@ router.get('/manage', isAuthenticated, isTrainingOfficer, async (req, res) => {
 // Find & Start Qualifications page
 router.get('/find', isAuthenticated, async (req, res) => {
   try {
-    const availableQualifications = await Qualification.find({ isActive: true })
+    const availableQualifications = await Qualification.find({ isActive: true, earnedByTaskBook: { $ne: true } })
       .populate('requiredClasses');
     res.render('find-qualifications', {
       user: req.user,
@@ -97,11 +130,11 @@ router.post('/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
     if (typeof requiredClasses === 'string') {
       requiredClasses = requiredClasses.includes(',') ? requiredClasses.split(',').map(s => s.trim()) : [requiredClasses];
     }
-    // Create qualification
+    // Create qualification; any-of groups, hour minimums and other qualifications are added from the edit page
     const qualification = new Qualification({
       name,
       description,
-      requiredClasses,
+      rules: buildAllOfClassesRule(requiredClasses),
       createdBy: req.user._id
     });
     await qualification.save();
@@ -115,19 +148,37 @@ router.post('/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
 // Edit qualification page
 router.get('/edit/:id', isAuthenticated, isTrainingOfficer, async (req, res) => {
   try {
-    const qualification = await Qualification.findById(req.params.id)
-      .populate('requiredClasses');
+    const qualification = await Qualification.findById(req.params.id);
     
     if (!qualification) {
       return res.status(404).render('error', { message: 'Qualification not found' });
     }
     
-    const trainingClasses = await TrainingClass.find({}).sort('name');
+    const [trainingClasses, categories, otherQualifications] = await Promise.all([
+      TrainingClass.find({}).select('name isActive').sort('name'),
+      loadCategoryTree({ includeInactive: true }),
+      Qualification.find({ _id: { $ne: qualification._id } }).select('name').sort('name')
+    ]);
+    
+    // Everything the requirement editor needs, as plain JSON
+    const ruleEditorOptions = {
+      rules: copyRuleTree(getQualificationRules(qualification)),
+      classes: trainingClasses.map(trainingClass => ({
+        id: trainingClass._id.toString(),
+        name: trainingClass.isActive ? trainingClass.name : `${trainingClass.name} (inactive)`
+      })),
+      categories: categories.map(category => ({
+        id: category._id.toString(),
+        name: category.name,
+        subcategories: category.subcategories.map(subcategory => ({ id: subcategory._id.toString(), name: subcategory.name }))
+      })),
+      qualifications: otherQualifications.map(other => ({ id: other._id.toString(), name: other.name }))
+    };
     
     res.render('edit-qualification', { 
       user: req.user, 
       qualification,
-      trainingClasses,
+      ruleEditorOptions,
       error: req.query.error,
       success: req.query.success
     });
@@ -141,20 +192,18 @@ router.get('/edit/:id', isAuthenticated, isTrainingOfficer, async (req, res) =>
 router.post('/update/:id', isAuthenticated, isTrainingOfficer, async (req, res) => {
   try {
     const { name, description, isActive } = req.body;
-    let { requiredClasses } = req.body;
 
     // Validate input
     if (!name) {
       return res.redirect(`/qualifications/edit/${req.params.id}?error=Qualification name is required`);
     }
 
-    if (!requiredClasses || (Array.isArray(requiredClasses) && requiredClasses.length === 0)) {
-      return res.redirect(`/qualifications/edit/${req.params.id}?error=At least one required class must be selected`);
-    }
-
-    // If requiredClasses is a string with commas, split it into an array
-    if (typeof requiredClasses === 'string') {
-      requiredClasses = requiredClasses.includes(',') ? requiredClasses.split(',').map(s => s.trim()) : [requiredClasses];
+    let rules;
+    try {
+      rules = parseRuleTree(req.body.rules);
+      await checkRuleReferences(rules);
+    } catch (ruleErr) {
+      return res.redirect(`/qualifications/edit/${req.params.id}?error=` + encodeURIComponent(ruleErr.message));
     }
 
     // Update qualification
@@ -164,9 +213,14 @@ router.post('/update/:id', isAuthenticated, isTrainingOfficer, async (req, res)
       return res.status(404).render('error', { message: 'Qualification not found' });
     }
 
+    const cycle = await findQualificationCycle(qualification._id, rules);
+    if (cycle) {
+      return res.redirect(`/qualifications/edit/${req.params.id}?error=` + encodeURIComponent(`These qualifications would require each other: ${cycle.join(' → ')}`));
+    }
+
     qualification.name = name;
     qualification.description = description;
-    qualification.requiredClasses = requiredClasses;
+    qualification.rules = rules;
     qualification.isActive = isActive === 'true';
     qualification.updatedAt = new Date();
 
@@ -203,6 +257,140 @@ router.post('/toggle-status/:id', isAuthenticated, isTrainingOfficer, async (req
   }
 });
 
+// TASK BOOK TEMPLATES (TRAINING OFFICER)
+
+// The qualification picked on the template form, or one named after the task book when none is
+async function resolveAwardedQualification(qualificationId, taskBookName, actingUserId) {
+  if (qualificationId) {
+    const qualification = mongoose.Types.ObjectId.isValid(qualificationId)
+      ? await Qualification.findById(qualificationId)
+      : null;
+    if (!qualification) {
+      throw new Error('Awarded qualification not found.');
+    }
+    await flagTaskBookQualification(qualification);
+    return qualification._id;
+  }
+
+  const qualification = await findOrCreateQualification(taskBookName, `Completed the ${taskBookName} task book`, actingUserId);
+  return qualification._id;
+}
+
+// Template list and builder; ?edit=<id> loads a template into the form
+router.get('/task-books', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    await ensureDefaultTaskBookTemplate(req.user._id);
+    const [templates, qualifications, packetCounts] = await Promise.all([
+      TaskBookTemplate.find({})
+        .populate('awardedQualification', 'name')
+        .sort('-isDefault name'),
+      Qualification.find({}).sort('name').select('name'),
+      AttendantPacket.aggregate([{ $group: { _id: '$template', count: { $sum: 1 } } }])
+    ]);
+
+    const editing = req.query.edit
+      ? templates.find(template => template._id.toString() === req.query.edit) || null
+      : null;
+
+    res.render('task-book-templates', {
+      user: req.user,
+      templates,
+      qualifications,
+      packetCounts: Object.fromEntries(packetCounts.map(entry => [String(entry._id), entry.count])),
+      editing,
+      signerRoles: SIGNER_ROLES,
+      maxEvaluations: MAX_EVALUATIONS,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading task book templates:', err);
+    res.status(500).render('error', { message: 'Error loading task book templates' });
+  }
+});
+
+router.post('/task-books/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    let values;
+    try {
+      values = parseTaskBookTemplate(req.body);
+    } catch (parseErr) {
+      return res.redirect('/qualifications/task-books?error=' + encodeURIComponent(parseErr.message));
+    }
+
+    if (await TaskBookTemplate.exists({ name: values.name })) {
+      return res.redirect('/qualifications/task-books?error=' + encodeURIComponent(`A task book named ${values.name} already exists.`));
+    }
+
+    const template = new TaskBookTemplate({
+      ...values,
+      awardedQualification: await resolveAwardedQualification(req.body.awardedQualification, values.name, req.user._id),
+      createdBy: req.user._id
+    });
+    await template.save();
+
+    res.redirect('/qualifications/task-books?success=' + encodeURIComponent(`${template.name} task book created`));
+  } catch (err) {
+    console.error('Error creating task book template:', err);
+    res.redirect('/qualifications/task-books?error=' + encodeURIComponent(err.message || 'Error creating task book'));
+  }
+});
+
+// Packets already started keep the signers and skills they were created with
+router.post('/task-books/update/:id', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  const editUrl = `/qualifications/task-books?edit=${encodeURIComponent(req.params.id)}`;
+  try {
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await TaskBookTemplate.findById(req.params.id)
+      : null;
+    if (!template) {
+      return res.status(404).render('error', { message: 'Task book not found' });
+    }
+
+    let values;
+    try {
+      values = parseTaskBookTemplate(req.body);
+    } catch (parseErr) {
+      return res.redirect(`${editUrl}&error=` + encodeURIComponent(parseErr.message));
+    }
+
+    if (await TaskBookTemplate.exists({ name: values.name, _id: { $ne: template._id } })) {
+      return res.redirect(`${editUrl}&error=` + encodeURIComponent(`A task book named ${values.name} already exists.`));
+    }
+
+    Object.assign(template, values);
+    template.awardedQualification = await resolveAwardedQualification(req.body.awardedQualification, values.name, req.user._id);
+    template.updatedAt = new Date();
+    await template.save();
+
+    res.redirect('/qualifications/task-books?success=' + encodeURIComponent(`${template.name} task book updated`));
+  } catch (err) {
+    console.error('Error updating task book template:', err);
+    res.redirect(`${editUrl}&error=` + encodeURIComponent(err.message || 'Error updating task book'));
+  }
+});
+
+// Inactive task books cannot be picked for new packets
+router.post('/task-books/toggle-status/:id', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await TaskBookTemplate.findById(req.params.id)
+      : null;
+    if (!template) {
+      return res.status(404).render('error', { message: 'Task book not found' });
+    }
+
+    template.isActive = !template.isActive;
+    template.updatedAt = new Date();
+    await template.save();
+
+    res.redirect('/qualifications/task-books?success=' + encodeURIComponent(`${template.name} task book ${template.isActive ? 'activated' : 'deactivated'}`));
+  } catch (err) {
+    console.error('Error toggling task book template status:', err);
+    res.redirect('/qualifications/task-books?error=' + encodeURIComponent(err.message || 'Error updating task book status'));
+  }
+});
+
 // QUALIFICATION DASHBOARD (TRAINING OFFICER)
 
 // Qualification dashboard for training officers
@@ -282,7 +470,8 @@ router.get('/details/:id', isAuthenticated, isTrainingOfficer, async (req, res)
       .populate('qualification')
       .populate('completedClasses.class')
       .populate('completedClasses.submission')
-      .populate('missingClasses');
+      .populate('missingClasses')
+      .populate('awardedBy', 'displayName');
     
     if (!userQualification) {
       return res.status(404).render('error', { message: 'Qualification record not found' });
@@ -309,6 +498,18 @@ router.post('/mark-complete/:id', isAuthenticated, isTrainingOfficer, async (req
       return res.status(404).render('error', { message: 'Qualification record not found' });
     }
     
+    // Record an override only when the rules are not met, so it is not lost on the next
+    // recalculation; a qualification whose rules are met still lapses with its training
+    const requirementsMet = userQualification.ruleStatus
+      ? userQualification.ruleStatus.isMet
+      : userQualification.missingClasses.length === 0;
+    if (!requirementsMet) {
+      userQualification.awardedVia = 'manual';
+      userQualification.awardedBy = req.user._id;
+      userQualification.awardedAt = new Date();
+      userQualification.awardNote = (req.body.overrideReason || '').trim();
+    }
+
     userQualification.isComplete = true;
     userQualification.earnedDate = new Date();
     userQualification.lastUpdated = new Date();
@@ -341,7 +542,8 @@ router.get('/my', isAuthenticated, async (req, res) => {
     const userQualificationIds = userQualifications.map(uq => uq.qualification._id.toString());
     const availableQualifications = await Qualification.find({ 
       _id: { $nin: userQualificationIds },
-      isActive: true
+      isActive: true,
+      earnedByTaskBook: { $ne: true }
     }).populate('requiredClasses');
 
     // Get MFRI classes
@@ -367,8 +569,7 @@ router.get('/my', isAuthenticated, async (req, res) => {
 // Start a qualification
 router.get('/start/:id', isAuthenticated, async (req, res) => {
   try {
-    const qualification = await Qualification.findById(req.params.id)
-      .populate('requiredClasses');
+    const qualification = await Qualification.findById(req.params.id);
     
     if (!qualification) {
       return res.status(404).render('error', { message: 'Qualification not found' });
@@ -377,6 +578,10 @@ router.get('/start/:id', isAuthenticated, async (req, res) => {
     if (!qualification.isActive) {
       return res.redirect('/qualifications/my?error=This qualification is no longer active');
     }
+
+    if (qualification.earnedByTaskBook) {
+      return res.redirect('/qualifications/my?error=' + encodeURIComponent('This qualification is awarded when the Rescue Chief approves its task book'));
+    }
     
     // Check if the user already has this qualification
     const existingQualification = await UserQualification.findOne({
@@ -388,39 +593,13 @@ router.get('/start/:id', isAuthenticated, async (req, res) => {
       return res.redirect('/qualifications/my?error=You have already started this qualification');
     }
     
-    // Find any completed classes that would apply to this qualification
-    const completedSubmissions = await TrainingSubmission.find({
-      student: req.user._id,
-      status: 'approved',
-      trainingClass: { $in: qualification.requiredClasses }
-    }).populate('trainingClass');
-    
-    // Create arrays of completed and missing classes
-    const completedClasses = completedSubmissions.map(submission => ({
-      class: submission.trainingClass._id,
-      submission: submission._id,
-      completedDate: submission.approvedAt
-    }));
-    
-    const completedClassIds = completedSubmissions.map(s => s.trainingClass._id.toString());
-    const missingClasses = qualification.requiredClasses.filter(
-      classItem => !completedClassIds.includes(classItem._id.toString())
-    );
-    
-    // Determine if qualification is already complete
-    const isComplete = missingClasses.length === 0;
-    
-    // Create user qualification
-    const userQualification = new UserQualification({
+    // Start it empty and let the rule evaluation credit anything already completed
+    await UserQualification.create({
       user: req.user._id,
       qualification: qualification._id,
-      isComplete,
-      completedClasses,
-      missingClasses,
-      earnedDate: isComplete ? new Date() : null
+      isComplete: false
     });
-    
-    await userQualification.save();
+    await recalculateUserQualifications(req.user._id);
     
     res.redirect('/qualifications/my?success=Qualification added to your profile');
   } catch (err) {
@@ -431,93 +610,184 @@ router.get('/start/:id', isAuthenticated, async (req, res) => {
 
 // UTILITY FUNCTIONS
 
-// Function to update user qualifications when a certificate is approved
-async function updateUserQualificationsForApprovedSubmission(submission) {
+// Completion date (end of the class) plus the class validity period
+function getSubmissionExpirationDate(completionDate, validityMonths) {
+  if (!completionDate || !validityMonths) {
+    return null;
+  }
+  const expiresAt = new Date(completionDate);
+  expiresAt.setMonth(expiresAt.getMonth() + validityMonths);
+  return expiresAt;
+}
+
+// Set expiresAt on an approved submission from its class; call before saving
+async function applySubmissionExpiration(submission) {
+  const trainingClass = await TrainingClass.findById(submission.trainingClass).select('validityMonths');
+  submission.expiresAt = getSubmissionExpirationDate(
+    submission.endDate,
+    trainingClass ? trainingClass.validityMonths : null
+  );
+  return submission.expiresAt;
+}
+
+// Re-date every approved submission for a class after its validity period changes
+async function refreshClassExpirations(classId) {
   try {
-    const userQualifications = await UserQualification.find({
-      user: submission.student,
-      missingClasses: submission.trainingClass,
-      isComplete: false
-    }).populate('qualification');
-    
-    if (userQualifications.length === 0) return;
-    
-    for (const userQualification of userQualifications) {
-      // Move class from missing to completed
-      userQualification.missingClasses = userQualification.missingClasses.filter(
-        classId => classId.toString() !== submission.trainingClass.toString()
-      );
-      
-      userQualification.completedClasses.push({
-        class: submission.trainingClass,
-        submission: submission._id,
-        completedDate: submission.approvedAt
-      });
-      
-      // Check if qualification is now complete
-      if (userQualification.missingClasses.length === 0) {
-        userQualification.isComplete = true;
-        userQualification.earnedDate = new Date();
+    const trainingClass = await TrainingClass.findById(classId).select('validityMonths');
+    if (!trainingClass) {
+      return;
+    }
+
+    const submissions = await TrainingSubmission.find({ trainingClass: classId, status: 'approved' })
+      .select('student endDate expiresAt');
+    const affectedStudents = new Set();
+
+    for (const submission of submissions) {
+      const expiresAt = getSubmissionExpirationDate(submission.endDate, trainingClass.validityMonths);
+      const previous = submission.expiresAt ? submission.expiresAt.getTime() : null;
+      if (previous === (expiresAt ? expiresAt.getTime() : null)) {
+        continue;
       }
-      
-      userQualification.lastUpdated = new Date();
-      await userQualification.save();
+      await TrainingSubmission.updateOne({ _id: submission._id }, { $set: { expiresAt } });
+      affectedStudents.add(submission.student.toString());
+    }
+
+    for (const studentId of affectedStudents) {
+      await recalculateUserQualifications(studentId);
     }
+  } catch (err) {
+    console.error('Error refreshing class expirations:', err);
+  }
+}
+
+// Recalculate anyone still credited with a submission that has since expired
+async function lapseExpiredQualifications() {
+  try {
+    const expiredSubmissionIds = await TrainingSubmission.find({
+      status: 'approved',
+      expiresAt: { $lte: new Date() }
+    }).distinct('_id');
+
+    // Hour minimums limited to recent months lapse as older training falls out of the window
+    const windowedQualificationIds = (await Qualification.find({ rules: { $ne: null } }).select('rules').lean())
+      .filter(qualification => hasWindowedHoursRule(qualification.rules))
+      .map(qualification => qualification._id);
+
+    if (expiredSubmissionIds.length === 0 && windowedQualificationIds.length === 0) {
+      return;
+    }
+
+    const userIds = await UserQualification.distinct('user', {
+      $or: [
+        { 'completedClasses.submission': { $in: expiredSubmissionIds } },
+        { qualification: { $in: windowedQualificationIds }, isComplete: true }
+      ]
+    });
+    for (const userId of userIds) {
+      await recalculateUserQualifications(userId);
+    }
+    if (userIds.length) {
+      console.log(`Rechecked qualifications for ${userIds.length} users with expired training`);
+    }
+  } catch (err) {
+    console.error('Error lapsing expired qualifications:', err);
+  }
+}
+
+// Function to update user qualifications when a certificate is approved
+async function updateUserQualificationsForApprovedSubmission(submission) {
+  try {
+    // A submission can count as a class, an option in a group or hours toward a minimum,
+    // so re-evaluate the member's qualifications as a whole
+    await recalculateUserQualifications(submission.student);
   } catch (err) {
     console.error('Error updating user qualifications:', err);
   }
 }
 
-// Function to fully recalculate a user's qualifications based on approved submissions
+// Function to fully recalculate a user's qualifications by evaluating each rule tree against
+// their approved submissions. Manual overrides are kept; task book sign-offs meet the task book requirement.
 async function recalculateUserQualifications(userId) {
   try {
     const userQualifications = await UserQualification.find({ user: userId })
       .populate('qualification');
-    if (userQualifications.length === 0) {
+    const tracked = new Map(userQualifications
+      .filter(userQualification => userQualification.qualification)
+      .map(userQualification => [userQualification.qualification._id.toString(), userQualification]));
+    if (tracked.size === 0) {
       return;
     }
 
-    const approvedSubmissions = await TrainingSubmission.find({
-      student: userId,
-      status: 'approved'
-    }).select('_id trainingClass approvedAt');
-
-    const submissionByClass = new Map();
-    approvedSubmissions.forEach(submission => {
-      submissionByClass.set(submission.trainingClass.toString(), submission);
-    });
-
-    for (const userQualification of userQualifications) {
-      if (!userQualification.qualification) {
-        continue;
+    const [context, qualifications] = await Promise.all([
+      loadRuleContext(userId),
+      Qualification.find({}).select('rules requiredClasses earnedByTaskBook').lean()
+    ]);
+    const qualificationsById = new Map(qualifications.map(qualification => [qualification._id.toString(), qualification]));
+
+    // A rule can require another qualification, so evaluate each on first use. Ones the member has
+    // not started are evaluated from their rules too. Loops are rejected when rules are saved, and
+    // the placeholder keeps an older one from recursing forever.
+    const results = new Map();
+    const evaluateQualification = (qualificationId) => {
+      if (!results.has(qualificationId)) {
+        results.set(qualificationId, null);
+        const userQualification = tracked.get(qualificationId);
+        const qualification = userQualification ? userQualification.qualification : qualificationsById.get(qualificationId);
+        if (qualification) {
+          results.set(qualificationId, evaluateRule(getEarningRules(qualification), context));
+        }
       }
+      return results.get(qualificationId);
+    };
+    context.isQualificationAwarded = (qualificationId) => {
+      const userQualification = tracked.get(qualificationId);
+      return Boolean(userQualification && userQualification.awardedVia);
+    };
+    context.isQualificationEarned = (qualificationId) => {
+      const userQualification = tracked.get(qualificationId);
+      if (userQualification && userQualification.awardedVia === 'manual') {
+        return true;
+      }
+      const result = evaluateQualification(qualificationId);
+      return Boolean(result && result.isMet);
+    };
 
-      const requiredClasses = (userQualification.qualification.requiredClasses || []).map(id => id.toString());
+    for (const [qualificationId, userQualification] of tracked) {
+      const ruleStatus = evaluateQualification(qualificationId);
+
+      // A class named twice in the tree is listed once
+      const classResults = new Map();
+      collectClassResults(ruleStatus).forEach(result => {
+        if (!classResults.has(result.classId) || result.isMet) {
+          classResults.set(result.classId, result);
+        }
+      });
       const updatedCompleted = [];
       const updatedMissing = [];
-
-      requiredClasses.forEach(classId => {
-        const submission = submissionByClass.get(classId);
-        if (submission) {
+      classResults.forEach(result => {
+        if (result.isMet) {
           updatedCompleted.push({
-            class: submission.trainingClass,
-            submission: submission._id,
-            completedDate: submission.approvedAt
+            class: new mongoose.Types.ObjectId(result.classId),
+            submission: result.submission,
+            completedDate: result.completedDate
           });
         } else {
-          updatedMissing.push(mongoose.Types.ObjectId(classId));
+          updatedMissing.push(new mongoose.Types.ObjectId(result.classId));
         }
       });
 
       userQualification.completedClasses = updatedCompleted;
       userQualification.missingClasses = updatedMissing;
-      userQualification.isComplete = updatedMissing.length === 0;
+      userQualification.ruleStatus = ruleStatus;
+      userQualification.unmetRequirements = listUnmetRequirements(ruleStatus);
+      userQualification.isComplete = ruleStatus.isMet || userQualification.awardedVia === 'manual';
       userQualification.earnedDate = userQualification.isComplete
         ? (userQualification.earnedDate || new Date())
         : null;
       userQualification.lastUpdated = new Date();
       userQualification.markModified('completedClasses');
       userQualification.markModified('missingClasses');
+      userQualification.markModified('ruleStatus');
 
       await userQualification.save();
     }
@@ -529,37 +799,9 @@ async function recalculateUserQualifications(userId) {
 // Function to update user qualifications when a qualification definition changes
 async function updateUserQualificationsForChangedDefinition(qualificationId) {
   try {
-    const qualification = await Qualification.findById(qualificationId);
-    if (!qualification) {
-      return;
-    }
-    
-    const userQualifications = await UserQualification.find({
-      qualification: qualificationId
-    }).populate('completedClasses.class');
-    
-    for (const userQualification of userQualifications) {
-      // Get completed class IDs
-      const completedClassIds = userQualification.completedClasses.map(
-        c => c.class._id.toString()
-      );
-      
-      // Update missing classes based on the new definition
-      userQualification.missingClasses = qualification.requiredClasses.filter(
-        classId => !completedClassIds.includes(classId.toString())
-      );
-      // Update completion status
-      userQualification.isComplete = userQualification.missingClasses.length === 0;
-      
-      // Update earned date if newly completed
-      if (userQualification.isComplete && !userQualification.earnedDate) {
-        userQualification.earnedDate = new Date();
-      } else if (!userQualification.isComplete) {
-        userQualification.earnedDate = null;
-      }
-      
-      userQualification.lastUpdated = new Date();
-      await userQualification.save();
+    const userIds = await UserQualification.distinct('user', { qualification: qualificationId });
+    for (const userId of userIds) {
+      await recalculateUserQualifications(userId);
     }
   } catch (err) {
     console.error('Error updating user qualifications for changed definition:', err);
@@ -612,5 +854,8 @@ router.get('/import-mfri-classes', isAuthenticated, isTrainingOfficer, async (re
 module.exports = {
   router,
   updateUserQualificationsForApprovedSubmission,
-  recalculateUserQualifications
+  recalculateUserQualifications,
+  applySubmissionExpiration,
+  refreshClassExpirations,
+  lapseExpiredQualifications
 }; 
\ No newline at end of file
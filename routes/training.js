@@ -5,16 +5,66 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
-const fsPromises = fs.promises;
+const crypto = require('crypto');
+const zlib = require('zlib');
 const Tesseract = require('tesseract.js');
 const pdfParse = require('pdf-parse');
-
-const uploadsDir = path.join(__dirname, '../public/uploads');
+const AdmZip = require('adm-zip');
+const ejs = require('ejs');
+
+// Certificates live outside public/ (local disk or S3) so they are only reachable through access-checked routes
+const certificateStorage = require('../lib/storage');
+const { toContentDispositionFilename } = require('../lib/storage');
+const { parseCertificateText, getSupportedFormats } = require('../lib/certificate-parsers');
+const { normalizeWhitespace } = require('../lib/certificate-parsers/common');
+// OCR is slow and CPU-bound, so it runs on queued jobs instead of inside requests
+const { registerJobHandler, enqueueJob } = require('../lib/jobs');
+const { withTimeout, generatePdfBufferFromHtml } = require('../lib/pdf');
+const {
+  registerDocumentType,
+  issueDocument,
+  buildVerificationUrl,
+  buildQrCodeDataUrl,
+  getVerifyBaseUrl
+} = require('../lib/document-verification');
+const { loadCategoryTree, findClassIdsInCategory, summarizeHoursByCategory } = require('../lib/training-categories');
+const {
+  getComplianceForMembers,
+  loadRequirements,
+  loadRequirementCategoryOptions
+} = require('../lib/hour-requirements');
+const {
+  parsePrerequisiteIds,
+  loadPrerequisiteGraph,
+  loadCompletedClassIds,
+  findPrerequisiteCycle,
+  findMissingPrerequisites
+} = require('../lib/class-prerequisites');
+const {
+  CHECK_IN_WINDOW_SECONDS,
+  generateCheckInSecret,
+  buildCheckInToken,
+  isValidCheckInToken,
+  calculateCreditedHours,
+  isMissingCheckOut
+} = require('../lib/session-check-in');
+const { findClassForCourseCode, normalizeCoursePrefix } = require('../lib/class-equivalencies');
+const { previewClassMerge, mergeClasses } = require('../lib/class-merge');
 
 // Import models
 const TrainingClass = require('../models/TrainingClass');
 const TrainingSubmission = require('../models/TrainingSubmission');
+const CertificateImportBatch = require('../models/CertificateImportBatch');
+const Job = require('../models/Job');
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const UserQualification = require('../models/UserQualification');
+const TrainingCategory = require('../models/TrainingCategory');
+const HourRequirement = require('../models/HourRequirement');
+const TrainingSession = require('../models/TrainingSession');
+const ClassEquivalencyGroup = require('../models/ClassEquivalencyGroup');
+const CourseCodeMapping = require('../models/CourseCodeMapping');
 const User = mongoose.model('User');
 const qualificationsModule = require('./qualifications');
 
@@ -92,23 +142,13 @@ const canReviewSubmissions = (currentUser) => {
     ));
 };
 
-// Ensure uploads directory exists
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Set up multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'certificate-' + uniqueSuffix + ext);
-  }
-});
+const buildCertificateFilename = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ext = path.extname(originalName || '');
+  return 'certificate-' + uniqueSuffix + ext;
+};
 
+// Set up multer for file uploads; files are buffered and then handed to the storage backend
 const fileFilter = (req, file, cb) => {
   // Accept images and PDFs
   const validTypes = ['image/jpeg', 'image/png', 'application/pdf'];
@@ -120,7 +160,7 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({ 
-  storage: storage, 
+  storage: multer.memoryStorage(), 
   fileFilter: fileFilter,
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
@@ -131,6 +171,85 @@ const extractionUpload = multer({
   limits: { fileSize: 8 * 1024 * 1024 }
 });
 
+// Bulk imports accept individual certificates and/or ZIP archives of certificates
+const MAX_CERTIFICATE_FILE_SIZE = 5 * 1024 * 1024;
+const BULK_IMPORT_MAX_CERTIFICATES = 60;
+const CERTIFICATE_EXTENSION_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+const isZipUpload = (file) => {
+  return ZIP_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname || '').toLowerCase() === '.zip';
+};
+
+// Bulk uploads can be large, so they are spooled to temp files and read one certificate at a time
+const bulkUpload = multer({
+  dest: path.join(os.tmpdir(), 'training-bulk-uploads'),
+  fileFilter: (req, file, cb) => {
+    if (isZipUpload(file)) {
+      return cb(null, true);
+    }
+    return fileFilter(req, file, cb);
+  },
+  limits: { fileSize: 50 * 1024 * 1024, files: BULK_IMPORT_MAX_CERTIFICATES }
+});
+
+const removeBulkUploadTempFiles = async (files) => {
+  for (const file of files || []) {
+    try {
+      await fs.promises.unlink(file.path);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn('Unable to delete bulk upload temp file:', file.path, err.message);
+      }
+    }
+  }
+};
+
+// Blank or 0 means the class never expires
+// ?category= filter value; anything that is not an id means "all categories"
+const parseCategoryFilter = (value) => (
+  value && mongoose.Types.ObjectId.isValid(value) ? value.toString() : ''
+);
+
+// Validates the category/subcategory picked on a class form; the subcategory must sit under the category
+const resolveClassCategories = async (categoryId, subcategoryId) => {
+  if (!categoryId) {
+    if (subcategoryId) {
+      throw new Error('Choose a category before choosing a subcategory');
+    }
+    return { category: null, subcategory: null };
+  }
+
+  const category = mongoose.Types.ObjectId.isValid(categoryId)
+    ? await TrainingCategory.findOne({ _id: categoryId, parent: null })
+    : null;
+  if (!category) {
+    throw new Error('Selected category could not be found');
+  }
+
+  if (!subcategoryId) {
+    return { category: category._id, subcategory: null };
+  }
+
+  const subcategory = mongoose.Types.ObjectId.isValid(subcategoryId)
+    ? await TrainingCategory.findOne({ _id: subcategoryId, parent: category._id })
+    : null;
+  if (!subcategory) {
+    throw new Error('Selected subcategory does not belong to that category');
+  }
+  return { category: category._id, subcategory: subcategory._id };
+};
+
+const parseValidityMonths = (value) => {
+  const months = parseInt(value, 10);
+  return Number.isFinite(months) && months > 0 ? months : null;
+};
+
 const toSafeNumber = (value) => {
   const parsed = parseFloat(value);
   return Number.isFinite(parsed) ? parsed : null;
@@ -168,246 +287,274 @@ const deleteFileIfExists = async (filename) => {
     return;
   }
 
-  const fullPath = path.join(uploadsDir, filename);
   try {
-    await fsPromises.access(fullPath, fs.constants.F_OK);
-    await fsPromises.unlink(fullPath);
+    await certificateStorage.remove(filename);
   } catch (err) {
     if (err && err.code !== 'ENOENT') {
-      console.warn('Unable to delete file:', fullPath, err.message);
+      console.warn('Unable to delete file:', filename, err.message);
     }
   }
 };
 
-const normalizeWhitespace = (text) => (text || '').replace(/\s+/g, ' ').trim();
-
-const toSingleLine = (text) => normalizeWhitespace((text || '').replace(/[\r\n]+/g, ' '));
+// Stream a stored certificate file; missing files render a 404 page
+const sendCertificateFile = async (res, certificateFile, asAttachment) => {
+  if (!certificateFile || !certificateFile.filename) {
+    return res.status(404).render('error', { message: 'Certificate file not found' });
+  }
 
-const cleanupName = (value) => {
-  if (!value) {
-    return null;
+  let stream;
+  try {
+    stream = await certificateStorage.createReadStream(certificateFile.filename);
+  } catch (err) {
+    console.warn('Unable to send certificate file:', certificateFile.filename, err.message);
+    return res.status(404).render('error', { message: 'Certificate file not found' });
   }
 
-  let cleaned = toSingleLine(value)
-    .replace(/\b(has\s+passed|successfully\s+completed|completed\s+all\s+course\s+work)\b.*$/i, '')
-    .replace(/[^A-Za-z'.,\-\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+  const disposition = asAttachment ? 'attachment' : 'inline';
+  const downloadName = toContentDispositionFilename(certificateFile.originalName || certificateFile.filename, 'certificate');
 
-  cleaned = cleaned.replace(/[.,\-\s]+$/, '').trim();
-  if (!cleaned) {
-    return null;
-  }
+  res.setHeader('Content-Type', certificateFile.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${downloadName}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
 
-  const words = cleaned.split(' ').filter(Boolean);
-  if (words.length < 2) {
-    return null;
-  }
+  stream.on('error', (err) => {
+    console.warn('Certificate stream failed:', certificateFile.filename, err.message);
+    res.destroy(err);
+  });
+  return stream.pipe(res);
+};
 
-  return cleaned;
+const hashCertificateBuffer = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
 };
 
-const tryParseDate = (value) => {
-  if (!value) {
-    return null;
-  }
+const saveCertificateBuffer = async (buffer, originalName, mimeType) => {
+  const filename = buildCertificateFilename(originalName);
+  const stored = await certificateStorage.save(filename, buffer, mimeType);
+  return {
+    filename,
+    originalName,
+    path: stored.path,
+    mimeType,
+    contentHash: hashCertificateBuffer(buffer),
+    uploadDate: new Date()
+  };
+};
 
-  const parsed = new Date(value);
-  if (!Number.isNaN(parsed.getTime())) {
-    return parsed;
+// Persist a multer upload to the storage backend; req.file gains filename/path like diskStorage set
+const persistUploadedCertificate = async (req) => {
+  if (!req.file) {
+    return;
   }
 
-  const normalized = value.replace(/(\d{1,2})\.(\d{1,2})\.(\d{2,4})/, '$1/$2/$3');
-  const fallback = new Date(normalized);
-  return Number.isNaN(fallback.getTime()) ? null : fallback;
+  const saved = await saveCertificateBuffer(req.file.buffer, req.file.originalname, req.file.mimetype);
+  req.file.filename = saved.filename;
+  req.file.path = saved.path;
+  req.file.contentHash = saved.contentHash;
 };
 
-const parseCertificateFields = (rawText) => {
-  const text = typeof rawText === 'string' ? rawText : '';
-  const multiline = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-  const lines = multiline
-    .split('\n')
-    .map((line) => normalizeWhitespace(line))
-    .filter(Boolean);
-  const compact = toSingleLine(multiline);
-
-  const extracted = {
-    rawText: text,
-    recipientName: null,
-    trainingClassName: null,
-    hoursLogged: null,
-    courseIdentifier: null,
-    logNumber: null,
-    courseDate: null,
-    courseDateText: null,
-    isLikelyMfri: false
-  };
+const normalizeCourseNumber = (value) => (value || '').toString().replace(/\s+/g, '').toUpperCase();
 
-  if (!compact) {
-    return extracted;
+// Existing submissions that look like the same training: identical certificate file, or the
+// same student + class with overlapping dates and compatible course numbers (a blank
+// course number matches anything, since member submissions often leave it empty).
+const findPossibleDuplicateSubmissions = async ({ submissionId, student, trainingClass, startDate, endDate, courseNumber, contentHash }) => {
+  const clauses = [];
+  if (contentHash) {
+    clauses.push({ 'certificateFile.contentHash': contentHash });
   }
-
-  const awardLineIdx = lines.findIndex((line) => /\b(awarded\s+to|this\s+certificate\s+awarded\s+to)\b/i.test(line));
-  if (awardLineIdx >= 0) {
-    for (let i = awardLineIdx + 1; i < Math.min(awardLineIdx + 4, lines.length); i += 1) {
-      if (/\b(has\s+passed|completed\s+all\s+course\s+work|course\s+work)\b/i.test(lines[i])) {
-        break;
-      }
-      const candidateName = cleanupName(lines[i]);
-      if (candidateName) {
-        extracted.recipientName = candidateName;
-        break;
-      }
-    }
+  if (student && trainingClass && startDate && endDate) {
+    clauses.push({
+      student,
+      trainingClass,
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate }
+    });
+  }
+  if (!clauses.length) {
+    return [];
   }
 
-  if (!extracted.recipientName) {
-    const blockRecipient = multiline.match(/awarded\s+to\s*\n+([\s\S]{0,120}?)\n+has\s+passed/i);
-    if (blockRecipient && blockRecipient[1]) {
-      extracted.recipientName = cleanupName(blockRecipient[1]);
-    }
+  const query = { $or: clauses, status: { $nin: ['rejected', 'withdrawn'] } };
+  if (submissionId) {
+    query._id = { $ne: submissionId };
   }
 
-  const recipientPatterns = [
-    /(?:awarded|presented|issued|granted)\s+to\s*[:\-]?\s*([A-Z][A-Za-z'.,\-\s]{2,80})/i,
-    /(?:participant|student|member|recipient|name)\s*[:\-]\s*([A-Z][A-Za-z'.,\-\s]{2,80})/i,
-    /this certifies that\s+([A-Z][A-Za-z'.,\-\s]{2,80})/i,
-    /completed by\s*[:\-]?\s*([A-Z][A-Za-z'.,\-\s]{2,80})/i
-  ];
+  const candidates = await TrainingSubmission.find(query)
+    .select('student trainingClass startDate endDate courseNumber certificateFile.contentHash')
+    .limit(20);
+  const course = normalizeCourseNumber(courseNumber);
 
-  if (!extracted.recipientName) {
-    for (const pattern of recipientPatterns) {
-      const match = compact.match(pattern);
-      if (match && match[1]) {
-        extracted.recipientName = cleanupName(match[1]);
-        if (extracted.recipientName) {
-          break;
-        }
-      }
+  return candidates.reduce((matches, candidate) => {
+    const reasons = [];
+    if (contentHash && candidate.certificateFile && candidate.certificateFile.contentHash === contentHash) {
+      reasons.push('same_file');
     }
-  }
 
-  const courseWorkLineIdx = lines.findIndex((line) => /\bcompleted\s+all\s+course\s+work\s+in\b/i.test(line));
-  if (courseWorkLineIdx >= 0) {
-    const classParts = [];
-    for (let i = courseWorkLineIdx + 1; i < Math.min(courseWorkLineIdx + 6, lines.length); i += 1) {
-      const candidateLine = lines[i];
-      if (/\(\s*\d+(?:\.\d+)?\s*hours?\s*\)/i.test(candidateLine)) {
-        break;
-      }
-      if (/\b(log\s+number|date|location|director)\b/i.test(candidateLine)) {
-        break;
-      }
-      if (/^[A-Z]{2,6}-\d{2,4}-[A-Z0-9]{2,8}-\d{4}\b/i.test(candidateLine)) {
-        break;
-      }
-      classParts.push(candidateLine);
+    const candidateCourse = normalizeCourseNumber(candidate.courseNumber);
+    const sameTraining = student && trainingClass &&
+      candidate.student.toString() === student.toString() &&
+      candidate.trainingClass.toString() === trainingClass.toString() &&
+      candidate.startDate <= endDate && candidate.endDate >= startDate &&
+      (!course || !candidateCourse || course === candidateCourse);
+    if (sameTraining) {
+      reasons.push('same_training');
     }
 
-    if (classParts.length) {
-      extracted.trainingClassName = toSingleLine(classParts.join(' '));
+    if (reasons.length) {
+      matches.push({ submission: candidate, reasons });
     }
-  }
+    return matches;
+  }, []);
+};
 
-  if (!extracted.trainingClassName) {
-    const classBlock = multiline.match(/completed\s+all\s+course\s+work\s+in\s*\n+([\s\S]{0,180}?)\n+\(?\s*\d+(?:\.\d+)?\s*hours?\s*\)?/i);
-    if (classBlock && classBlock[1]) {
-      extracted.trainingClassName = toSingleLine(classBlock[1]);
+// Record each match on both submissions so either side of the pair shows the flag
+const flagPossibleDuplicates = async (submission, matches) => {
+  for (const match of matches) {
+    const pairs = [
+      [submission._id, match.submission._id],
+      [match.submission._id, submission._id]
+    ];
+    for (const [ownerId, otherId] of pairs) {
+      await TrainingSubmission.updateOne(
+        { _id: ownerId, 'possibleDuplicates.submission': { $ne: otherId } },
+        { $push: { possibleDuplicates: { submission: otherId, reasons: match.reasons, detectedAt: new Date() } } }
+      );
     }
   }
+};
 
-  const classPatterns = [
-    /(?:course|class|training|program)\s*(?:title|name)?\s*[:\-]\s*([^\n]{3,120})/i,
-    /has successfully completed\s+([^\n]{3,120})/i,
-    /successful completion of\s+([^\n]{3,120})/i,
-    /successfully completed\s+([^\n]{3,120})/i
-  ];
-
-  if (!extracted.trainingClassName) {
-    for (const pattern of classPatterns) {
-      const match = compact.match(pattern);
-      if (match && match[1]) {
-        const candidate = normalizeWhitespace(match[1]).replace(/\s+(on|dated?)\s+.*$/i, '').trim();
-        if (candidate && !/^\d/.test(candidate)) {
-          extracted.trainingClassName = candidate;
-          break;
-        }
-      }
+// Check a freshly saved submission for duplicates; never blocks the upload itself
+const checkSubmissionForDuplicates = async (submission) => {
+  try {
+    const matches = await findPossibleDuplicateSubmissions({
+      submissionId: submission._id,
+      student: submission.student,
+      trainingClass: submission.trainingClass,
+      startDate: submission.startDate,
+      endDate: submission.endDate,
+      courseNumber: submission.courseNumber,
+      contentHash: submission.certificateFile ? submission.certificateFile.contentHash : null
+    });
+    if (matches.length) {
+      await flagPossibleDuplicates(submission, matches);
     }
+    return matches;
+  } catch (err) {
+    console.error('Error checking for duplicate submissions:', err);
+    return [];
   }
+};
 
-  const hoursPatterns = [
-    /total\s*(?:training\s*)?hours?\s*[:\-]?\s*(\d+(?:\.\d+)?)/i,
-    /(\d+(?:\.\d+)?)\s*(?:clock\s*)?(?:hours?|hrs?)\b/i,
-    /hours\s*completed\s*[:\-]?\s*(\d+(?:\.\d+)?)/i
-  ];
-
-  for (const pattern of hoursPatterns) {
-    const match = compact.match(pattern);
-    const hours = match && match[1] ? toSafeNumber(match[1]) : null;
-    if (hours !== null) {
-      extracted.hoursLogged = hours;
-      break;
-    }
+const describeDuplicateWarning = (matches) => {
+  if (!matches || !matches.length) {
+    return '';
   }
+  const sameFile = matches.some(match => match.reasons.includes('same_file'));
+  const noun = matches.length === 1 ? 'an existing submission' : `${matches.length} existing submissions`;
+  return ` Warning: this looks like a duplicate of ${noun}${sameFile ? ' (identical certificate file)' : ''}. It has been flagged for approver review.`;
+};
 
-  const mfriIdDirectMatch = compact.match(/\b([A-Z]{2,6}-\d{2,4}-[A-Z0-9]{2,8}-\d{4})\b/i);
-  if (mfriIdDirectMatch && mfriIdDirectMatch[1]) {
-    extracted.courseIdentifier = mfriIdDirectMatch[1].toUpperCase();
+const storeUploadedCertificate = async (req, res, next) => {
+  try {
+    await persistUploadedCertificate(req);
+    next();
+  } catch (err) {
+    next(err);
   }
+};
 
-  const idPatterns = [
-    /(?:course|class|program)\s*(?:id|number|no\.?|#)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-_/]{2,30})/i,
-    /(?:certificate|log)\s*(?:id|number|no\.?|#)\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-_/]{2,30})/i
-  ];
+// Inflate a ZIP entry with the size cap applied to the bytes actually produced; the sizes in the
+// archive's headers can be faked, so a zip bomb stops at the cap. Resolves null when over the cap.
+const readZipEntryCapped = (entry, maxBytes) => {
+  if (entry.header.flags & 1) {
+    throw new Error('Encrypted ZIP entries are not supported.');
+  }
 
-  if (!extracted.courseIdentifier) {
-    for (const pattern of idPatterns) {
-      const match = compact.match(pattern);
-      if (match && match[1]) {
-        extracted.courseIdentifier = match[1].trim();
-        break;
-      }
-    }
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === 0) {
+    return compressed.length > maxBytes ? null : compressed;
+  }
+  if (entry.header.method !== 8) {
+    throw new Error('Unsupported ZIP compression method.');
   }
 
-  const logMatch = compact.match(/\blog\s*(?:number|no\.?|#)\s*[:\-]?\s*([A-Z0-9\-_/]{2,30})/i);
-  if (logMatch && logMatch[1]) {
-    extracted.logNumber = logMatch[1].trim();
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      return null;
+    }
+    throw err;
   }
+};
 
-  const datePatterns = [
-    /(?:completion|course|class|issued?|date)\s*(?:date)?\s*[:\-]\s*([A-Za-z]{3,9}\s+\d{1,2},\s+\d{2,4})/i,
-    /(?:completion|course|class|issued?|date)\s*(?:date)?\s*[:\-]\s*(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/i,
-    /\b([A-Za-z]{3,9}\s+\d{1,2},\s+\d{2,4})\b/,
-    /\b(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})\b/
-  ];
+// Flatten uploaded files and ZIP archives into a list of certificates whose contents are read
+// on demand with readBuffer(), so only one certificate (and one open archive) is held in memory.
+// readBuffer() resolves null for an archived certificate that inflates past the size limit.
+const expandBulkCertificateUploads = (files) => {
+  const certificates = [];
+  const skipped = [];
+  let openArchive = null;
+
+  const readArchive = (archivePath) => {
+    if (!openArchive || openArchive.path !== archivePath) {
+      openArchive = { path: archivePath, zip: new AdmZip(archivePath) };
+    }
+    return openArchive.zip;
+  };
 
-  for (const pattern of datePatterns) {
-    const match = compact.match(pattern);
-    if (!match || !match[1]) {
-      continue;
+  (files || []).forEach((file) => {
+    if (!isZipUpload(file)) {
+      certificates.push({
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        readBuffer: () => fs.promises.readFile(file.path)
+      });
+      return;
     }
 
-    const parsedDate = tryParseDate(match[1]);
-    if (parsedDate) {
-      extracted.courseDate = parsedDate.toISOString();
-      extracted.courseDateText = match[1].trim();
-      break;
+    let entries;
+    try {
+      entries = readArchive(file.path).getEntries();
+    } catch (zipErr) {
+      skipped.push(`${file.originalname} (unreadable ZIP archive)`);
+      return;
     }
-  }
 
-  const mfriMarkers = [
-    /\bthis\s+certificate\s+awarded\s+to\b/i,
-    /\bhas\s+passed\s+all\s+examinations\b/i,
-    /\bcompleted\s+all\s+course\s+work\s+in\b/i,
-    /\blog\s+number\b/i,
-    /\b[a-z]{2,6}-\d{2,4}-[a-z0-9]{2,8}-\d{4}\b/i
-  ];
-  const markerHits = mfriMarkers.reduce((count, pattern) => (pattern.test(compact) ? count + 1 : count), 0);
-  extracted.isLikelyMfri = markerHits >= 2;
+    entries.forEach((entry) => {
+      const entryName = path.basename(entry.entryName);
+      if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/') || entryName.startsWith('.')) {
+        return;
+      }
+
+      const mimeType = CERTIFICATE_EXTENSION_MIME_TYPES[path.extname(entryName).toLowerCase()];
+      if (!mimeType) {
+        skipped.push(`${entryName} (unsupported file type)`);
+        return;
+      }
+
+      if (entry.header.size > MAX_CERTIFICATE_FILE_SIZE) {
+        skipped.push(`${entryName} (larger than 5MB)`);
+        return;
+      }
+
+      certificates.push({
+        originalname: entryName,
+        mimetype: mimeType,
+        readBuffer: async () => readZipEntryCapped(readArchive(file.path).getEntry(entry.entryName), MAX_CERTIFICATE_FILE_SIZE)
+      });
+    });
+  });
+  openArchive = null;
+
+  if (certificates.length > BULK_IMPORT_MAX_CERTIFICATES) {
+    certificates.splice(BULK_IMPORT_MAX_CERTIFICATES).forEach((file) => {
+      skipped.push(`${file.originalname} (more than ${BULK_IMPORT_MAX_CERTIFICATES} certificates in one batch)`);
+    });
+  }
 
-  return extracted;
+  return { certificates, skipped };
 };
 
 const extractCertificateText = async (file) => {
@@ -417,7 +564,7 @@ const extractCertificateText = async (file) => {
 
   const mimeType = (file.mimetype || '').toLowerCase();
   const textChunks = [];
-  const buffer = file.buffer || (file.path ? await fsPromises.readFile(file.path) : null);
+  const buffer = file.buffer || (file.filename ? await certificateStorage.read(file.filename) : null);
 
   if (!buffer) {
     throw new Error('Unable to read the uploaded certificate.');
@@ -460,935 +607,4078 @@ const extractCertificateText = async (file) => {
   return combinedText;
 };
 
-const uploadCertificate = (req, res, next) => {
-  upload.single('certificateFile')(req, res, (err) => {
-    if (!err) {
-      return next();
-    }
-
-    const message = err.message || 'File upload failed';
-    return res.redirect('/training/submit?error=' + encodeURIComponent(message));
-  });
-};
+const EXTRACTED_FIELD_NAMES = ['recipientName', 'trainingClassName', 'hoursLogged', 'courseIdentifier', 'courseDate'];
+
+// Snapshot of a parse result in the shape stored on submissions and import rows
+const buildExtractionRecord = (parsed) => ({
+  status: 'completed',
+  format: parsed.format.id,
+  formatLabel: parsed.format.label,
+  rawText: parsed.rawText,
+  fields: EXTRACTED_FIELD_NAMES
+    .filter(name => parsed[name] !== null && parsed[name] !== undefined && parsed[name] !== '')
+    .map(name => {
+      const details = parsed.fieldDetails[name] || {};
+      return {
+        name,
+        value: String(parsed[name]),
+        confidence: details.confidence || 'low',
+        snippet: details.snippet || null
+      };
+    }),
+  extractedAt: new Date()
+});
 
-const uploadCertificateForAdmin = (req, res, next) => {
-  upload.single('certificateFile')(req, res, (err) => {
-    if (!err) {
-      return next();
-    }
+const buildFailedExtractionRecord = (err) => ({
+  status: 'failed',
+  error: (err && err.message) || 'Unable to read certificate text.',
+  fields: [],
+  extractedAt: new Date()
+});
 
-    const message = err.message || 'File upload failed';
-    return res.redirect(`/training/admin/members?selectedUser=${req.params.id}&error=${encodeURIComponent(message)}`);
+// Autofill for the certificate forms: read an uploaded file and return the parsed fields
+registerJobHandler('certificate-extract', async (job) => {
+  const text = await extractCertificateText({
+    buffer: Buffer.from(job.inputFile.data),
+    mimetype: job.inputFile.mimeType
   });
-};
-
-// STUDENT ROUTES
+  const parsed = parseCertificateText(text);
 
-// Show submission form
-router.get('/submit', isAuthenticated, async (req, res) => {
-  try {
-    const trainingClasses = await TrainingClass.find({ isActive: true }).sort('name');
-    const selectedClassId = req.query.class;
-    
-    res.render('training-submission', { 
-      user: req.user, 
-      trainingClasses,
-      selectedClassId,
-      error: req.query.error,
-      success: req.query.success
-    });
-  } catch (err) {
-    console.error('Error fetching training classes:', err);
-    res.status(500).render('error', { message: 'Error loading submission form' });
+  if (parsed.format.id === 'generic' && (!parsed.recipientName || !parsed.trainingClassName)) {
+    const supported = getSupportedFormats().map(format => format.label).join(', ');
+    throw new Error(`Certificate format was not recognized (supported: ${supported}). Please upload manually and fill in details.`);
   }
-});
 
-// Handle submission
-router.post('/submit', isAuthenticated, uploadCertificate, async (req, res) => {
-  try {
-    const { trainingClass, startDate, endDate, hoursLogged, courseNumber } = req.body;
-    
-    if (!req.file) {
-      return res.redirect('/training/submit?error=Certificate file is required');
+  const { rawText, ...extracted } = parsed;
+  const courseCodeMatch = await findClassForCourseCode(parsed.courseIdentifier);
+  if (courseCodeMatch) {
+    extracted.mappedClass = {
+      id: courseCodeMatch.trainingClass._id.toString(),
+      name: courseCodeMatch.trainingClass.name,
+      prefix: courseCodeMatch.prefix
+    };
+  }
+  return {
+    result: {
+      text: rawText || '',
+      format: parsed.format,
+      extracted
     }
+  };
+}, { concurrency: 2 });
 
-    // Validate dates
-    const start = parseDateAsLocal(startDate);
-    const end = parseDateAsLocal(endDate);
-    if (end < start) {
-      // Delete uploaded file if there's an error
-      fs.unlinkSync(path.join('public/uploads/', req.file.filename));
-      return res.redirect('/training/submit?error=End date cannot be earlier than start date');
-    }
-    
-    // Create new submission
-    const submission = new TrainingSubmission({
-      student: req.user._id,
-      trainingClass,
-      startDate,
-      endDate,
-      hoursLogged,
-      createdByAdmin: null,
-      uploadedForUser: null,
-      certificateFile: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        path: req.file.path,
-        mimeType: req.file.mimetype
-      }
-    });
-    
-    await submission.save();
-    res.redirect('/training/submit?success=Your training submission has been received and is pending review');
-    
+// Store what a submitted certificate says on the submission; failures are recorded, not retried
+registerJobHandler('submission-extraction', async (job) => {
+  const { submissionId, filename, mimeType } = job.payload;
+  let extraction;
+  try {
+    const text = await extractCertificateText({ filename, mimetype: mimeType });
+    extraction = buildExtractionRecord(parseCertificateText(text));
   } catch (err) {
-    console.error('Error submitting training:', err);
-    
-    // Clean up uploaded file if there was an error
-    if (req.file) {
-      fs.unlinkSync(path.join('public/uploads/', req.file.filename));
-    }
-    
-    res.redirect('/training/submit?error=An error occurred while submitting your training');
+    extraction = buildFailedExtractionRecord(err);
   }
-});
 
-// View student's submissions
-router.get('/my-submissions', isAuthenticated, async (req, res) => {
+  await TrainingSubmission.updateOne({ _id: submissionId }, { $set: { extraction } });
+  return { result: { status: extraction.status } };
+}, { concurrency: 1 });
+
+// Queue extraction for a newly stored certificate; never fails the request that saved it
+const recordSubmissionExtraction = async (submissionId, file, user) => {
   try {
-    const submissions = await TrainingSubmission.find({ student: req.user._id })
-      .populate('trainingClass')
-      .sort('-createdAt');
-      
-    res.render('my-submissions', { 
-      user: req.user, 
-      submissions,
-      error: req.query.error,
-      success: req.query.success
-    });
+    await enqueueJob('submission-extraction', {
+      submissionId,
+      filename: file.filename,
+      mimeType: file.mimetype
+    }, { createdBy: user ? user._id : null });
   } catch (err) {
-    console.error('Error fetching submissions:', err);
-    res.status(500).render('error', { message: 'Error loading your submissions' });
+    console.error('Error queueing certificate extraction:', err);
   }
-});
+};
 
-router.get('/admin/members', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const searchTerm = (req.query.q || '').trim();
-    const selectedUserId = req.query.selectedUser;
+const normalizeForMatch = (value, { keepNumbers = false } = {}) => {
+  const source = (value || '').toLowerCase();
+  const pattern = keepNumbers ? /[^a-z0-9]+/g : /[^a-z]+/g;
+  return source.replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+};
 
-    const userQuery = {};
-    if (searchTerm) {
-      const safePattern = new RegExp(escapeRegex(searchTerm), 'i');
-      userQuery.$or = [
-        { displayName: safePattern },
-        { firstName: safePattern },
-        { lastName: safePattern },
-        { email: safePattern }
-      ];
-    }
+const parseNameParts = (nameValue) => {
+  const normalized = normalizeForMatch(nameValue || '');
+  const parts = normalized.split(' ').filter(Boolean);
+  return {
+    normalized,
+    first: parts[0] || '',
+    last: parts.length > 1 ? parts[parts.length - 1] : '',
+    middle: parts.length > 2 ? parts.slice(1, -1) : []
+  };
+};
 
-    const users = await User.find(userQuery).sort('displayName').limit(200);
-    const trainingClasses = await TrainingClass.find({ isActive: true }).sort('name');
+const getUserNameVariantSet = (user) => {
+  const first = user.firstName || '';
+  const middle = user.middleName || '';
+  const last = user.lastName || '';
+  const middleInitial = middle ? middle.charAt(0) : '';
+  const firstInitial = first ? first.charAt(0) : '';
+
+  return new Set([
+    `${first} ${last}`,
+    `${first} ${middle} ${last}`,
+    `${first} ${middleInitial} ${last}`,
+    `${firstInitial} ${last}`,
+    `${last}, ${first} ${middle}`,
+    user.displayName || ''
+  ].map((value) => normalizeForMatch(value)).filter(Boolean));
+};
 
-    let selectedUser = null;
-    let selectedUserSubmissions = [];
-    if (selectedUserId && mongoose.Types.ObjectId.isValid(selectedUserId)) {
-      selectedUser = await User.findById(selectedUserId);
-      if (selectedUser) {
-        selectedUserSubmissions = await TrainingSubmission.find({ student: selectedUser._id })
-          .populate('trainingClass')
-          .populate('approvedBy', 'displayName')
-          .populate('createdByAdmin', 'displayName')
-          .sort('-createdAt')
-          .limit(100);
-      }
-    }
+// Same scoring the certificate manager uses client-side to suggest recipients
+const scoreUserNameMatch = (searchName, user) => {
+  const search = parseNameParts(searchName);
+  const userFirst = normalizeForMatch(user.firstName || '');
+  const userLast = normalizeForMatch(user.lastName || '');
+  const userDisplay = normalizeForMatch(user.displayName || '');
+  const variants = getUserNameVariantSet(user);
 
-    res.render('admin-member-management', {
-      user: req.user,
-      users,
-      selectedUser,
-      selectedUserSubmissions,
-      trainingClasses,
-      searchTerm,
-      error: req.query.error,
-      success: req.query.success
+  if (search.normalized && variants.has(search.normalized)) {
+    return 100;
+  }
+
+  let score = 0;
+  if (search.first && userFirst && search.first === userFirst) {
+    score += 45;
+  }
+  if (search.last && userLast && search.last === userLast) {
+    score += 45;
+  }
+  if (search.first && search.last && userDisplay.includes(`${search.first} ${search.last}`)) {
+    score += 20;
+  }
+  if (search.middle.length && userDisplay.includes(search.middle.join(' '))) {
+    score += 5;
+  }
+
+  if (score < 60 && search.normalized) {
+    const searchWords = search.normalized.split(' ').filter(Boolean);
+    const variantScores = Array.from(variants).map((variant) => {
+      const variantWords = variant.split(' ').filter(Boolean);
+      const overlap = searchWords.filter((word) => variantWords.includes(word)).length;
+      return searchWords.length ? (overlap / searchWords.length) * 70 : 0;
     });
-  } catch (err) {
-    console.error('Error loading admin member management:', err);
-    res.status(500).render('error', { message: 'Error loading member management' });
+    score = Math.max(score, variantScores.length ? Math.max(...variantScores) : 0);
   }
-});
 
-router.post('/admin/members/:id/upload-certificate', isAuthenticated, isAdmin, uploadCertificateForAdmin, async (req, res) => {
-  try {
-    const selectedUserId = req.params.id;
-    const userToSubmitFor = await User.findById(selectedUserId);
-    if (!userToSubmitFor) {
-      return res.redirect('/training/admin/members?error=User not found');
-    }
+  return Math.min(100, score);
+};
 
-    const { trainingClass, startDate, endDate, hoursLogged, adminComment } = req.body;
+const findUserMatchesForName = async (name, limit = 5) => {
+  const search = parseNameParts(name);
+  const terms = [search.first, search.last].filter(Boolean);
+  if (!terms.length) {
+    return [];
+  }
 
-    if (!req.file) {
-      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Certificate file is required`);
-    }
+  const conditions = [];
+  terms.forEach((term) => {
+    const regex = new RegExp(escapeRegex(term), 'i');
+    conditions.push({ displayName: regex }, { firstName: regex }, { lastName: regex });
+  });
 
-    const classRecord = await TrainingClass.findById(trainingClass);
-    if (!classRecord) {
-      fs.unlinkSync(path.join('public/uploads/', req.file.filename));
-      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Training class not found`);
+  const users = await User.find({ $or: conditions })
+    .select('displayName email firstName middleName lastName')
+    .limit(50);
+
+  return users
+    .map((candidate) => ({ user: candidate, score: scoreUserNameMatch(name, candidate) }))
+    .filter((entry) => entry.score >= 60)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+const findTrainingClassMatch = (name, trainingClasses) => {
+  const normalizedTarget = normalizeForMatch(name, { keepNumbers: true });
+  if (!normalizedTarget) {
+    return null;
+  }
+
+  let bestClass = null;
+  let bestScore = 0;
+
+  trainingClasses.forEach((trainingClass) => {
+    const normalized = normalizeForMatch(trainingClass.name, { keepNumbers: true });
+    if (!normalized) {
+      return;
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
-      fs.unlinkSync(path.join('public/uploads/', req.file.filename));
-      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Please provide a valid date range`);
+    let score = 0;
+    if (normalized === normalizedTarget) {
+      score = 100;
+    } else if (normalized.includes(normalizedTarget) || normalizedTarget.includes(normalized)) {
+      score = 85 - Math.abs(normalized.length - normalizedTarget.length);
+    } else {
+      const targetWords = normalizedTarget.split(' ').filter(Boolean);
+      const classWords = normalized.split(' ').filter(Boolean);
+      const overlap = targetWords.filter((word) => classWords.includes(word)).length;
+      score = overlap ? (overlap / targetWords.length) * 70 : 0;
     }
 
-    const parsedHours = Number(hoursLogged);
-    if (!Number.isFinite(parsedHours) || parsedHours < 0) {
-      fs.unlinkSync(path.join('public/uploads/', req.file.filename));
-      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Hours must be 0 or greater`);
+    if (score > bestScore) {
+      bestScore = score;
+      bestClass = trainingClass;
     }
+  });
 
-    const submission = new TrainingSubmission({
-      student: userToSubmitFor._id,
-      trainingClass,
-      startDate,
-      endDate,
-      hoursLogged: parsedHours,
-      createdByAdmin: req.user._id,
-      uploadedForUser: userToSubmitFor._id,
-      certificateFile: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        path: req.file.path,
-        mimeType: req.file.mimetype
-      },
-      status: 'approved',
-      approvedBy: req.user._id,
-      approvedAt: new Date(),
-      comments: [{
-        author: req.user._id,
-        text: (adminComment || '').trim() || `Uploaded by admin ${req.user.displayName} on behalf of ${userToSubmitFor.displayName}`
-      }]
+  return bestScore >= 45 ? { trainingClass: bestClass, score: bestScore } : null;
+};
+
+// BULK CERTIFICATE IMPORT HELPERS
+
+const toLocalDayKey = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Side-by-side rows of entered vs. extracted values for the submission detail page.
+// Expects student and trainingClass to be populated.
+const buildExtractionComparison = (submission) => {
+  const extraction = submission.extraction;
+  if (!extraction || extraction.status !== 'completed' || !extraction.fields.length) {
+    return [];
+  }
+
+  const rows = [];
+  const fieldsByName = new Map(extraction.fields.map(field => [field.name, field]));
+  const addRow = (name, label, entered, extractedDisplay, differs) => {
+    const field = fieldsByName.get(name);
+    rows.push({
+      name,
+      label,
+      entered,
+      extracted: extractedDisplay,
+      confidence: field.confidence,
+      snippet: field.snippet,
+      differs
     });
+  };
 
-    await submission.save();
+  const recipient = fieldsByName.get('recipientName');
+  if (recipient && submission.student) {
+    addRow('recipientName', 'Recipient', submission.student.displayName, recipient.value,
+      scoreUserNameMatch(recipient.value, submission.student) < 60);
+  }
 
-    try {
-      await qualificationsModule.updateUserQualificationsForApprovedSubmission(submission);
-    } catch (qualificationErr) {
-      console.error('Error updating qualifications for admin-uploaded submission:', qualificationErr);
-    }
+  const className = fieldsByName.get('trainingClassName');
+  if (className && submission.trainingClass) {
+    addRow('trainingClassName', 'Training Class', submission.trainingClass.name, className.value,
+      !findTrainingClassMatch(className.value, [submission.trainingClass]));
+  }
 
-    res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&success=Certificate uploaded and recorded for ${encodeURIComponent(userToSubmitFor.displayName)}`);
-  } catch (err) {
-    console.error('Error uploading certificate for member:', err);
-    if (req.file) {
-      fs.unlinkSync(path.join('public/uploads/', req.file.filename));
-    }
-    res.redirect(`/training/admin/members?selectedUser=${req.params.id}&error=${encodeURIComponent(err.message || 'Error uploading certificate')}`);
+  const hours = fieldsByName.get('hoursLogged');
+  if (hours) {
+    const extractedHours = parseFloat(hours.value);
+    addRow('hoursLogged', 'Hours', submission.hoursLogged, hours.value,
+      Number.isFinite(extractedHours) && Math.abs(extractedHours - submission.hoursLogged) > 0.01);
   }
-});
 
-// ADMIN/TRAINING OFFICER ROUTES
+  const courseId = fieldsByName.get('courseIdentifier');
+  if (courseId) {
+    addRow('courseIdentifier', 'Course Number', submission.courseNumber || '', courseId.value,
+      normalizeCourseNumber(courseId.value) !== normalizeCourseNumber(submission.courseNumber));
+  }
 
-// Manage classes
-router.get('/manage-classes', isAuthenticated, isTrainingOfficer, async (req, res) => {
-  try {
-    const trainingClasses = await TrainingClass.find()
-      .populate('createdBy', 'displayName')
-      .populate('prerequisites', 'name')
-      .sort('name');
-    
-    res.render('manage-classes', { 
-      user: req.user, 
-      trainingClasses,
-      error: req.query.error,
-      success: req.query.success
-    });
-  } catch (err) {
-    console.error('Error fetching training classes:', err);
-    res.status(500).render('error', { message: 'Error loading training classes' });
+  const courseDate = fieldsByName.get('courseDate');
+  if (courseDate) {
+    const extractedDay = toLocalDayKey(courseDate.value);
+    const startDay = toLocalDayKey(submission.startDate);
+    const endDay = toLocalDayKey(submission.endDate);
+    const enteredRange = startDay === endDay
+      ? new Date(submission.startDate).toLocaleDateString()
+      : `${new Date(submission.startDate).toLocaleDateString()} to ${new Date(submission.endDate).toLocaleDateString()}`;
+    addRow('courseDate', 'Course Date', enteredRange, new Date(courseDate.value).toLocaleDateString(),
+      !!extractedDay && (extractedDay < startDay || extractedDay > endDay));
   }
+
+  return rows;
+};
+
+// Submission values as they read in the revision log; the class is recorded by name
+const snapshotRevisionValues = (submission, className) => ({
+  trainingClass: className || (submission.trainingClass ? submission.trainingClass.toString() : ''),
+  startDate: toLocalDayKey(submission.startDate) || '',
+  endDate: toLocalDayKey(submission.endDate) || '',
+  hoursLogged: submission.hoursLogged === null || submission.hoursLogged === undefined ? '' : String(submission.hoursLogged),
+  courseNumber: submission.courseNumber || '',
+  status: submission.status || ''
 });
 
-// Approver dashboard
-router.get('/approver/dashboard', isAuthenticated, hasRole(['Approver', 'Training Officer']), async (req, res) => {
-  try {
-    const filter = {
-      status: req.query.status || 'pending'
-    };
-    
-    const query = filter.status === 'all' ? {} : { status: filter.status };
-    
-    const submissions = await TrainingSubmission.find(query)
-      .populate('student')
-      .populate('trainingClass')
-      .sort('-createdAt');
-      
-    res.render('approver-dashboard', { 
-      user: req.user, 
-      submissions,
-      filter,
-      error: req.query.error,
-      success: req.query.success
+const pickCertificateFile = (certificateFile) => {
+  if (!certificateFile || !certificateFile.filename) {
+    return null;
+  }
+  const { filename, originalName, path: filePath, mimeType, contentHash, uploadDate } = certificateFile;
+  return { filename, originalName, path: filePath, mimeType, contentHash, uploadDate };
+};
+
+// Push a revision for whatever changed since `before` (a snapshotRevisionValues result).
+// Edits that change nothing are not logged.
+const addSubmissionRevision = (submission, before, { editor, className, replacedFile = null }) => {
+  const after = snapshotRevisionValues(submission, className);
+  const changes = Object.keys(before)
+    .filter(field => before[field] !== after[field])
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+  if (replacedFile) {
+    changes.push({
+      field: 'certificateFile',
+      from: replacedFile.originalName || replacedFile.filename,
+      to: submission.certificateFile.originalName || submission.certificateFile.filename
     });
-  } catch (err) {
-    console.error('Error fetching submissions for approval:', err);
-    res.status(500).render('error', { message: 'Error loading approver dashboard' });
   }
-});
 
-// Certificate management dashboard for training officers and approvers
-router.get('/manage-certificates', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
-  try {
-    const trainingClasses = await TrainingClass.find({ isActive: true }).sort('name');
-    let selectedUser = null;
-    const canCreateTrainingClass = req.user.isAdmin || (req.user.roles && req.user.roles.includes('Training Officer'));
+  if (!changes.length) {
+    return false;
+  }
 
-    if (req.query.selected && mongoose.Types.ObjectId.isValid(req.query.selected)) {
-      selectedUser = await User.findById(req.query.selected).select('displayName email roles firstName middleName lastName');
-    }
+  submission.revisions.push({
+    editedBy: editor,
+    editedAt: new Date(),
+    changes,
+    replacedFile
+  });
+  return true;
+};
 
-    res.render('manage-certificates', {
-      user: req.user,
-      trainingClasses,
-      selectedUser,
-      canCreateTrainingClass,
-      error: req.query.error,
-      success: req.query.success
-    });
-  } catch (err) {
-    console.error('Error loading certificate management page:', err);
-    res.status(500).render('error', { message: 'Error loading certificate management page' });
+const getImportRowMissingFields = (row) => {
+  const missing = [];
+  if (!row.student) {
+    missing.push('member');
   }
-});
-
-// Fast user search endpoint for certificate management
-router.get('/users/search', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
-  try {
-    const query = (req.query.q || '').trim();
-    if (!query) {
-      return res.json([]);
-    }
+  if (!row.trainingClass) {
+    missing.push('training class');
+  }
+  if (!row.startDate || !row.endDate) {
+    missing.push('dates');
+  }
+  if (row.hoursLogged === null || row.hoursLogged === undefined) {
+    missing.push('hours');
+  }
+  return missing;
+};
 
-    const regex = new RegExp(escapeRegex(query), 'i');
-    const users = await User.find({
-      $or: [
-        { displayName: regex },
-        { email: regex },
-        { firstName: regex },
-        { lastName: regex },
-        { middleName: regex }
-      ]
-    })
-      .sort('displayName')
-      .limit(10)
-      .select('displayName email roles firstName middleName lastName');
+const refreshImportRowStatus = (row) => {
+  if (row.status === 'committed') {
+    return;
+  }
+  row.status = getImportRowMissingFields(row).length ? 'needs_review' : 'ready';
+};
 
-    res.json(users.map(user => ({
-      id: user._id,
-      displayName: user.displayName,
-      email: user.email,
-      roles: user.roles,
-      firstName: user.firstName,
-      middleName: user.middleName,
-      lastName: user.lastName
-    })));
-  } catch (err) {
-    console.error('Error searching users:', err);
-    res.status(500).json({ error: 'Error searching users' });
+// Run a staged row's stored certificate through extraction and matching to fill in the row
+const extractCertificateImportRow = async (row, trainingClasses) => {
+  const existingCopy = await TrainingSubmission.exists({
+    'certificateFile.contentHash': row.file.contentHash,
+    status: { $nin: ['rejected', 'withdrawn'] }
+  });
+  if (existingCopy) {
+    row.notes.push('This exact certificate file has already been submitted; committing it will flag a duplicate.');
   }
-});
 
-// Fetch a user's existing training submissions (certificates)
-router.get('/users/:id/submissions', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  let parsed;
   try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.json([]);
-    }
-
-    const submissions = await TrainingSubmission.find({ student: req.params.id })
-      .populate('trainingClass')
-      .sort({ approvedAt: -1, createdAt: -1 });
+    const text = await extractCertificateText({ filename: row.file.filename, mimetype: row.file.mimeType });
+    parsed = parseCertificateText(text);
+  } catch (extractErr) {
+    row.notes.push(extractErr.message || 'Unable to read certificate text.');
+    row.extraction = buildFailedExtractionRecord(extractErr);
+    row.status = 'needs_review';
+    return;
+  }
 
-    const response = submissions.map(submission => ({
-      id: submission._id,
-      trainingClassId: submission.trainingClass ? submission.trainingClass._id : null,
-      trainingClassName: submission.trainingClass ? submission.trainingClass.name : 'Class Removed',
-      startDate: submission.startDate ? submission.startDate.toISOString() : null,
-      endDate: submission.endDate ? submission.endDate.toISOString() : null,
-      hoursLogged: submission.hoursLogged,
-      courseNumber: submission.courseNumber || null,
-      status: submission.status,
-      approvedAt: submission.approvedAt ? submission.approvedAt.toISOString() : null,
-      certificateUrl: submission.certificateFile && submission.certificateFile.filename ? `/uploads/${submission.certificateFile.filename}` : null,
-      certificateOriginalName: submission.certificateFile ? submission.certificateFile.originalName : null
-    }));
+  row.extraction = buildExtractionRecord(parsed);
+
+  row.extracted = {
+    recipientName: parsed.recipientName,
+    trainingClassName: parsed.trainingClassName,
+    hoursLogged: parsed.hoursLogged,
+    courseIdentifier: parsed.courseIdentifier,
+    courseDateText: parsed.courseDateText,
+    format: parsed.format.id,
+    formatLabel: parsed.format.label,
+    isLikelyMfri: parsed.isLikelyMfri
+  };
 
-    res.json(response);
-  } catch (err) {
-    console.error('Error fetching user submissions:', err);
-    res.status(500).json({ error: 'Error fetching user submissions' });
+  if (parsed.format.id === 'generic') {
+    row.notes.push('Certificate format was not recognized; verify every field.');
   }
-});
 
-// Attempt to extract certificate details for auto-fill
-router.post('/certificates/extract', isAuthenticated, hasRole(certificateManagerRoles), (req, res) => {
-  extractionUpload.single('certificateFile')(req, res, async (uploadErr) => {
-    if (uploadErr) {
-      console.error('Certificate extraction upload error:', uploadErr);
-      return res.status(400).json({
-        success: false,
-        error: uploadErr.message || 'Invalid certificate file.'
-      });
+  if (parsed.recipientName) {
+    const candidates = await findUserMatchesForName(parsed.recipientName);
+    row.studentCandidates = candidates.map(({ user, score }) => ({ user: user._id, score: Math.round(score) }));
+    const [best, runnerUp] = candidates;
+    if (best && best.score >= 90 && (!runnerUp || runnerUp.score < best.score)) {
+      row.student = best.user._id;
+    } else if (candidates.length) {
+      row.notes.push(`Several members could match "${parsed.recipientName}".`);
+    } else {
+      row.notes.push(`No member matches "${parsed.recipientName}".`);
     }
+  } else {
+    row.notes.push('Recipient name was not found on the certificate.');
+  }
 
-    try {
-      if (!req.file) {
-        throw new Error('Certificate file is required.');
+  let matchedClass = null;
+  const courseCodeMatch = await findClassForCourseCode(parsed.courseIdentifier);
+  const mappedClass = courseCodeMatch
+    ? trainingClasses.find(trainingClass => trainingClass._id.toString() === courseCodeMatch.trainingClass._id.toString())
+    : null;
+  if (mappedClass) {
+    matchedClass = mappedClass;
+    row.trainingClass = mappedClass._id;
+  } else if (parsed.trainingClassName) {
+    const classMatch = findTrainingClassMatch(parsed.trainingClassName, trainingClasses);
+    if (classMatch) {
+      matchedClass = classMatch.trainingClass;
+      row.trainingClass = matchedClass._id;
+      if (classMatch.score < 100) {
+        row.notes.push(`Class guessed from "${parsed.trainingClassName}".`);
       }
+    } else {
+      row.notes.push(`No training class matches "${parsed.trainingClassName}".`);
+    }
+  } else {
+    row.notes.push('Class name was not found on the certificate.');
+  }
 
-      const text = await extractCertificateText(req.file);
-      const parsed = parseCertificateFields(text);
+  const courseDate = parsed.courseDate ? new Date(parsed.courseDate) : null;
+  if (courseDate && !Number.isNaN(courseDate.getTime())) {
+    row.startDate = courseDate;
+    row.endDate = courseDate;
+  } else {
+    row.notes.push('Course date was not found on the certificate.');
+  }
 
-      if (!parsed.isLikelyMfri && (!parsed.recipientName || !parsed.trainingClassName)) {
-        throw new Error('Certificate format does not match a supported MFRI certificate. Please upload manually and fill in details.');
-      }
+  if (parsed.hoursLogged !== null) {
+    row.hoursLogged = parsed.hoursLogged;
+  } else if (matchedClass) {
+    row.hoursLogged = matchedClass.hoursValue || 0;
+    row.notes.push('Hours defaulted from the training class.');
+  }
 
-      const { rawText, ...extracted } = parsed;
+  row.courseNumber = parsed.courseIdentifier || '';
+  refreshImportRowStatus(row);
+};
 
-      res.json({
-        success: true,
-        text: rawText || '',
-        extracted
-      });
-    } catch (error) {
-      console.error('Error extracting certificate data:', error);
-      res.status(400).json({
-        success: false,
-        error: error.message || 'Unable to extract certificate details.'
-      });
+// Rows the extraction job never reached (it failed or timed out) open for manual review
+const markUnreadImportRows = (batch, message) => {
+  batch.rows.forEach(row => {
+    if (!row.extraction) {
+      row.notes.push(message);
+      row.extraction = buildFailedExtractionRecord(new Error(message));
+      row.status = 'needs_review';
     }
   });
-});
+  batch.status = 'staged';
+};
 
-// Add a certificate on behalf of a user (auto-approves submission)
-router.post('/certificates/add',
-  isAuthenticated,
-  hasRole(certificateManagerRoles),
-  upload.single('certificateFile'),
-  async (req, res) => {
-    const { studentId, trainingClass, startDate, endDate, hoursLogged, courseNumber } = req.body;
+// Read every certificate in a bulk import batch. Each row is saved as it finishes, and the
+// batch opens for review once all of them are done.
+registerJobHandler('certificate-import-extract', async (job) => {
+  const batch = await CertificateImportBatch.findById(job.payload.batchId);
+  if (!batch || batch.status !== 'extracting') {
+    return { result: { skipped: true } };
+  }
 
+  const trainingClasses = await TrainingClass.find({ isActive: true }).select('name hoursValue');
+  for (const row of batch.rows) {
+    if (row.extraction) {
+      continue;
+    }
     try {
-      if (!studentId || !mongoose.Types.ObjectId.isValid(studentId)) {
-        throw new Error('A valid user must be selected.');
-      }
-
-      if (!trainingClass || !mongoose.Types.ObjectId.isValid(trainingClass)) {
-        throw new Error('A valid training class must be selected.');
-      }
-
-      if (!req.file) {
-        throw new Error('A certificate file is required.');
-      }
+      await extractCertificateImportRow(row, trainingClasses);
+    } catch (rowErr) {
+      console.error('Error reading bulk import certificate:', rowErr);
+      row.notes.push('Unable to read this certificate; fill in the details manually.');
+      row.extraction = buildFailedExtractionRecord(rowErr);
+      row.status = 'needs_review';
+    }
+    await batch.save();
+  }
 
-      const student = await User.findById(studentId).select('_id');
-      if (!student) {
-        throw new Error('Selected user could not be found.');
-      }
+  batch.status = 'staged';
+  await batch.save();
+  return {
+    result: {
+      rows: batch.rows.length,
+      ready: batch.rows.filter(row => row.status === 'ready').length
+    }
+  };
+}, { concurrency: 1, timeoutMs: 30 * 60 * 1000 });
 
-      const classRecord = await TrainingClass.findById(trainingClass).select('_id');
-      if (!classRecord) {
-        throw new Error('Selected training class could not be found.');
-      }
+const applyImportRowEdits = (row, input) => {
+  if (!input || row.status === 'committed') {
+    return;
+  }
 
-      const start = parseDateAsLocal(startDate);
-      const end = parseDateAsLocal(endDate);
-      if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
-        throw new Error('Start and end dates are required.');
-      }
+  row.student = input.student && mongoose.Types.ObjectId.isValid(input.student) ? input.student : null;
+  row.trainingClass = input.trainingClass && mongoose.Types.ObjectId.isValid(input.trainingClass) ? input.trainingClass : null;
+  row.startDate = parseDateAsLocal(input.startDate);
+  row.endDate = parseDateAsLocal(input.endDate);
+  row.hoursLogged = input.hoursLogged === '' || input.hoursLogged == null ? null : toSafeNumber(input.hoursLogged);
+  row.courseNumber = (input.courseNumber || '').trim();
+  row.commitError = '';
+  refreshImportRowStatus(row);
+};
 
-      if (end < start) {
-        throw new Error('End date cannot be earlier than start date.');
-      }
+const commitCertificateImportRow = async (row, actingUser) => {
+  const missing = getImportRowMissingFields(row);
+  if (missing.length) {
+    throw new Error(`Missing ${missing.join(', ')}.`);
+  }
 
-      const hours = parseFloat(hoursLogged);
-      if (Number.isNaN(hours) || hours < 0) {
-        throw new Error('Hours completed must be a non-negative number.');
-      }
+  if (row.endDate < row.startDate) {
+    throw new Error('End date cannot be earlier than start date.');
+  }
 
-      const submission = new TrainingSubmission({
-        student: studentId,
-        trainingClass,
-        startDate: start,
-        endDate: end,
-        hoursLogged: hours,
-        courseNumber: (courseNumber || '').trim(),
-        certificateFile: {
-          filename: req.file.filename,
-          originalName: req.file.originalname,
-          path: req.file.path,
-          mimeType: req.file.mimetype,
-          uploadDate: new Date()
-        },
-        status: 'approved',
-        approvedBy: req.user._id,
-        approvedAt: new Date()
-      });
+  if (!Number.isFinite(row.hoursLogged) || row.hoursLogged < 0) {
+    throw new Error('Hours completed must be a non-negative number.');
+  }
 
-      await submission.save();
-      await qualificationsModule.updateUserQualificationsForApprovedSubmission(submission);
+  const [student, classRecord] = await Promise.all([
+    User.findById(row.student).select('_id'),
+    TrainingClass.findById(row.trainingClass).select('_id')
+  ]);
+  if (!student) {
+    throw new Error('Selected member could not be found.');
+  }
+  if (!classRecord) {
+    throw new Error('Selected training class could not be found.');
+  }
 
-      const successMessage = encodeURIComponent('Certificate uploaded and auto-approved successfully');
-      return res.redirect(`/training/manage-certificates?success=${successMessage}&selected=${studentId}`);
-    } catch (err) {
-      console.error('Error adding certificate for user:', err);
-      if (req.file) {
-        await deleteFileIfExists(req.file.filename);
-      }
-      const errorMessage = encodeURIComponent(err.message || 'Error adding certificate');
-      const redirectTarget = studentId && mongoose.Types.ObjectId.isValid(studentId)
-        ? `&selected=${studentId}`
-        : '';
-      return res.redirect(`/training/manage-certificates?error=${errorMessage}${redirectTarget}`);
-    }
+  const submission = new TrainingSubmission({
+    student: student._id,
+    trainingClass: classRecord._id,
+    startDate: row.startDate,
+    endDate: row.endDate,
+    hoursLogged: row.hoursLogged,
+    courseNumber: row.courseNumber || '',
+    createdByAdmin: actingUser._id,
+    uploadedForUser: student._id,
+    certificateFile: {
+      filename: row.file.filename,
+      originalName: row.file.originalName,
+      path: row.file.path,
+      mimeType: row.file.mimeType,
+      contentHash: row.file.contentHash || null,
+      uploadDate: row.file.uploadDate || new Date()
+    },
+    extraction: row.extraction || null,
+    status: 'pending',
+    comments: [{
+      author: actingUser._id,
+      text: `Imported from bulk certificate upload by ${actingUser.displayName}`
+    }]
   });
+  await submission.save();
 
-// Update an existing submission (certificate)
-router.post('/submission/:id/update',
-  isAuthenticated,
-  hasRole(certificateManagerRoles),
-  upload.single('certificateFile'),
-  async (req, res) => {
-    const { trainingClass, startDate, endDate, hoursLogged, courseNumber, redirectStudentId } = req.body;
-    const redirectTarget = redirectStudentId && mongoose.Types.ObjectId.isValid(redirectStudentId)
-      ? redirectStudentId
-      : null;
-
-    try {
-      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-        throw new Error('Invalid submission identifier.');
-      }
+  // The importer's sign-off goes through the same policy as /approve: flagged classes and
+  // high-hour certificates wait for a second approver, and blocked prerequisites stay pending
+  try {
+    const { needsSecondApproval } = await recordApproval(submission, actingUser._id);
+    return {
+      submission,
+      note: needsSecondApproval ? 'Imported with a first approval; it needs a second approver.' : ''
+    };
+  } catch (approvalErr) {
+    return {
+      submission,
+      note: `Imported as pending review: ${approvalErr.message}`
+    };
+  }
+};
 
-      const submission = await TrainingSubmission.findById(req.params.id);
-      if (!submission) {
-        throw new Error('Submission not found.');
-      }
+// A commit that has held the batch this long is assumed to have died with its process
+const IMPORT_COMMIT_STALE_MS = 15 * 60 * 1000;
 
-      if (!trainingClass || !mongoose.Types.ObjectId.isValid(trainingClass)) {
-        throw new Error('A valid training class must be selected.');
-      }
+// Atomically move a staged batch to 'committing' so only one request commits its rows at a time
+const claimCertificateImportBatch = (batchId) => {
+  if (!mongoose.Types.ObjectId.isValid(batchId)) {
+    return null;
+  }
+  return CertificateImportBatch.findOneAndUpdate(
+    {
+      _id: batchId,
+      $or: [
+        { status: 'staged' },
+        { status: 'committing', commitStartedAt: { $lt: new Date(Date.now() - IMPORT_COMMIT_STALE_MS) } }
+      ]
+    },
+    { $set: { status: 'committing', commitStartedAt: new Date() } },
+    { new: true }
+  );
+};
 
-      const classRecord = await TrainingClass.findById(trainingClass).select('_id');
-      if (!classRecord) {
-        throw new Error('Selected training class could not be found.');
-      }
+const loadCertificateImportBatch = async (batchId) => {
+  if (!mongoose.Types.ObjectId.isValid(batchId)) {
+    return null;
+  }
+  return CertificateImportBatch.findById(batchId);
+};
 
-      const start = parseDateAsLocal(startDate);
-      const end = parseDateAsLocal(endDate);
-      if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
-        throw new Error('Start and end dates are required.');
-      }
+const uploadCertificate = (req, res, next) => {
+  upload.single('certificateFile')(req, res, (err) => {
+    const redirectWithError = (uploadErr) => {
+      const message = uploadErr.message || 'File upload failed';
+      return res.redirect('/training/submit?error=' + encodeURIComponent(message));
+    };
 
-      if (end < start) {
-        throw new Error('End date cannot be earlier than start date.');
-      }
+    if (err) {
+      return redirectWithError(err);
+    }
 
-      const hours = parseFloat(hoursLogged);
-      if (Number.isNaN(hours) || hours < 0) {
-        throw new Error('Hours completed must be a non-negative number.');
-      }
+    return persistUploadedCertificate(req)
+      .then(() => next())
+      .catch(redirectWithError);
+  });
+};
 
-      submission.trainingClass = trainingClass;
-      submission.startDate = start;
-      submission.endDate = end;
-      submission.hoursLogged = hours;
-      submission.courseNumber = (courseNumber || '').trim();
-      submission.status = 'approved';
-      submission.approvedBy = req.user._id;
-      submission.approvedAt = new Date();
+// Optional replacement file on the member edit and resubmit forms; errors go back to the form
+const uploadReplacementCertificate = (req, res, next) => {
+  upload.single('certificateFile')(req, res, (err) => {
+    const redirectWithError = (uploadErr) => {
+      const message = uploadErr.message || 'File upload failed';
+      return res.redirect(`${req.originalUrl.split('?')[0]}?error=${encodeURIComponent(message)}`);
+    };
 
-      let previousFilename = null;
-      if (req.file) {
-        previousFilename = submission.certificateFile && submission.certificateFile.filename
-          ? submission.certificateFile.filename
-          : null;
-        submission.certificateFile = {
-          filename: req.file.filename,
-          originalName: req.file.originalname,
-          path: req.file.path,
-          mimeType: req.file.mimetype,
-          uploadDate: new Date()
-        };
-      }
+    if (err) {
+      return redirectWithError(err);
+    }
 
-      await submission.save();
+    return persistUploadedCertificate(req)
+      .then(() => next())
+      .catch(redirectWithError);
+  });
+};
 
-      if (req.file && previousFilename && previousFilename !== submission.certificateFile.filename) {
-        await deleteFileIfExists(previousFilename);
-      }
-      await qualificationsModule.recalculateUserQualifications(submission.student);
+const uploadCertificateForAdmin = (req, res, next) => {
+  upload.single('certificateFile')(req, res, (err) => {
+    const redirectWithError = (uploadErr) => {
+      const message = uploadErr.message || 'File upload failed';
+      return res.redirect(`/training/admin/members?selectedUser=${req.params.id}&error=${encodeURIComponent(message)}`);
+    };
 
-      const successMessage = encodeURIComponent('Certificate updated successfully');
-      const selectedParam = redirectTarget || submission.student.toString();
-      return res.redirect(`/training/manage-certificates?success=${successMessage}&selected=${selectedParam}`);
-    } catch (err) {
-      console.error('Error updating certificate:', err);
-      if (req.file) {
-        await deleteFileIfExists(req.file.filename);
-      }
-      const errorMessage = encodeURIComponent(err.message || 'Error updating certificate');
-      const selectedParam = redirectTarget ? `&selected=${redirectTarget}` : '';
-      return res.redirect(`/training/manage-certificates?error=${errorMessage}${selectedParam}`);
+    if (err) {
+      return redirectWithError(err);
     }
+
+    return persistUploadedCertificate(req)
+      .then(() => next())
+      .catch(redirectWithError);
   });
+};
 
-// View submission details
-router.get('/submission/:id', isAuthenticated, async (req, res) => {
+// STUDENT ROUTES
+
+// Show submission form
+router.get('/submit', isAuthenticated, async (req, res) => {
   try {
-    const submission = await TrainingSubmission.findById(req.params.id)
-      .populate('student')
-      .populate('trainingClass')
-      .populate('approvedBy')
-      .populate('createdByAdmin')
-      .populate('uploadedForUser')
-      .populate({
-        path: 'comments.author',
-        model: 'User'
-      });
-    
-    if (!submission) {
-      return res.status(404).render('error', { message: 'Submission not found' });
-    }
-    
-    // Check if user is allowed to view this submission
-    const isOwner = submission.student._id.toString() === req.user._id.toString();
-    if (!isOwner && !canReviewSubmissions(req.user)) {
-      return res.status(403).render('error', { message: 'Access denied to this submission' });
-    }
+    const trainingClasses = await TrainingClass.find({ isActive: true }).sort('name');
+    const selectedClassId = req.query.class;
     
-    res.render('submission-detail', { 
+    res.render('training-submission', { 
       user: req.user, 
-      submission,
-      canManageCertificates: req.user.isAdmin || hasManagementRole,
+      trainingClasses,
+      selectedClassId,
       error: req.query.error,
       success: req.query.success
     });
   } catch (err) {
-    console.error('Error fetching submission details:', err);
-    res.status(500).render('error', { message: 'Error loading submission details' });
+    console.error('Error fetching training classes:', err);
+    res.status(500).render('error', { message: 'Error loading submission form' });
   }
 });
 
-// Approve submission
-router.post('/submission/:id/approve', isAuthenticated, isApprover, async (req, res) => {
+// Handle submission
+router.post('/submit', isAuthenticated, uploadCertificate, async (req, res) => {
   try {
-    const submission = await TrainingSubmission.findById(req.params.id);
+    const { trainingClass, startDate, endDate, hoursLogged, courseNumber } = req.body;
     
-    if (!submission) {
-      return res.status(404).render('error', { message: 'Submission not found' });
+    if (!req.file) {
+      return res.redirect('/training/submit?error=Certificate file is required');
     }
-    
-    if (submission.status !== 'pending') {
-      return res.redirect(`/training/submission/${submission._id}?error=This submission has already been processed`);
+
+    // Validate dates
+    const start = parseDateAsLocal(startDate);
+    const end = parseDateAsLocal(endDate);
+    if (end < start) {
+      // Delete uploaded file if there's an error
+      await deleteFileIfExists(req.file.filename);
+      return res.redirect('/training/submit?error=End date cannot be earlier than start date');
     }
     
-    submission.status = 'approved';
-    submission.approvedBy = req.user._id;
-    submission.approvedAt = new Date();
-    
-    // Add comment if provided
-    if (req.body.comment && req.body.comment.trim() !== '') {
-      submission.comments.push({
-        author: req.user._id,
-        text: req.body.comment.trim()
-      });
-    }
+    // Create new submission
+    const submission = new TrainingSubmission({
+      student: req.user._id,
+      trainingClass,
+      startDate,
+      endDate,
+      hoursLogged,
+      createdByAdmin: null,
+      uploadedForUser: null,
+      certificateFile: {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        path: req.file.path,
+        mimeType: req.file.mimetype,
+        contentHash: req.file.contentHash
+      }
+    });
     
     await submission.save();
+    await recordSubmissionExtraction(submission._id, req.file, req.user);
+    const duplicates = await checkSubmissionForDuplicates(submission);
+
+    const successMessage = 'Your training submission has been received and is pending review.' + describeDuplicateWarning(duplicates);
+    res.redirect('/training/submit?success=' + encodeURIComponent(successMessage));
     
-    // Update qualifications immediately
-    try {
-      await qualificationsModule.updateUserQualificationsForApprovedSubmission(submission);
-      console.log(`Qualifications updated for submission ${submission._id}`);
+  } catch (err) {
+    console.error('Error submitting training:', err);
+    
+    // Clean up uploaded file if there was an error
+    if (req.file) {
+      await deleteFileIfExists(req.file.filename);
+    }
+    
+    res.redirect('/training/submit?error=An error occurred while submitting your training');
+  }
+});
+
+// View student's submissions
+router.get('/my-submissions', isAuthenticated, async (req, res) => {
+  try {
+    const submissions = await TrainingSubmission.find({ student: req.user._id })
+      .populate('trainingClass')
+      .sort('-createdAt');
+    const hoursSummary = await summarizeHoursByCategory(submissions);
+    const complianceYear = new Date().getFullYear();
+    const [compliance] = await getComplianceForMembers([req.user], complianceYear);
+      
+    res.render('my-submissions', { 
+      user: req.user, 
+      submissions,
+      hoursSummary,
+      compliance,
+      complianceYear,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error fetching submissions:', err);
+    res.status(500).render('error', { message: 'Error loading your submissions' });
+  }
+});
+
+// Which prerequisites a member still lacks for each class that has any.
+// Members see their own; certificate managers can look up anyone with ?member=
+router.get('/prerequisites', isAuthenticated, async (req, res) => {
+  try {
+    const canLookUpMembers = req.user.isAdmin || certificateManagerRoles.some(role => req.user.roles && req.user.roles.includes(role));
+    let member = req.user;
+    if (req.query.member && canLookUpMembers) {
+      member = mongoose.Types.ObjectId.isValid(req.query.member)
+        ? await User.findById(req.query.member).select('displayName email')
+        : null;
+      if (!member) {
+        return res.status(404).render('error', { message: 'Member not found' });
+      }
+    }
+
+    const [graph, completedClassIds, trainingClasses] = await Promise.all([
+      loadPrerequisiteGraph(),
+      loadCompletedClassIds(member._id),
+      TrainingClass.find({ isActive: true, 'prerequisites.0': { $exists: true } })
+        .select('name prerequisites')
+        .populate('prerequisites', 'name')
+        .sort('name')
+    ]);
+
+    const classes = await Promise.all(trainingClasses.map(async trainingClass => ({
+      trainingClass,
+      isCompleted: completedClassIds.has(trainingClass._id.toString()),
+      missing: await findMissingPrerequisites(member._id, trainingClass._id, { graph, completedClassIds })
+    })));
+
+    res.render('class-prerequisites', {
+      user: req.user,
+      member,
+      isOwnRecord: member._id.toString() === req.user._id.toString(),
+      canLookUpMembers,
+      members: canLookUpMembers ? await User.find({}).sort('displayName').select('displayName') : [],
+      classes
+    });
+  } catch (err) {
+    console.error('Error loading class prerequisites:', err);
+    res.status(500).render('error', { message: 'Error loading class prerequisites' });
+  }
+});
+
+// MEMBER TRANSCRIPTS
+
+// Members can download their own transcript; officers can download anyone's
+const canViewTranscript = (user, memberId) => (
+  user._id.toString() === memberId.toString() ||
+  user.isAdmin ||
+  certificateManagerRoles.some(role => user.roles && user.roles.includes(role))
+);
+
+const loadTranscriptRecord = async (memberId) => {
+  const member = await User.findById(memberId).select('displayName firstName middleName lastName email');
+  if (!member) {
+    return null;
+  }
+
+  const [submissions, qualifications] = await Promise.all([
+    TrainingSubmission.find({ student: member._id, status: 'approved' })
+      .populate('trainingClass', 'name category subcategory')
+      .sort({ endDate: -1, startDate: -1, _id: 1 }),
+    UserQualification.find({ user: member._id, isComplete: true })
+      .populate('qualification', 'name description')
+      .sort({ earnedDate: -1, _id: 1 })
+  ]);
+
+  return {
+    member,
+    submissions,
+    qualifications: qualifications.filter(userQualification => userQualification.qualification)
+  };
+};
+
+// Canonical transcript content; its hash backs the verification code printed on the PDF
+const buildTranscriptContent = ({ member, submissions, qualifications }) => ({
+  member: {
+    id: member._id.toString(),
+    name: member.displayName || ''
+  },
+  classes: submissions.map(submission => ({
+    submission: submission._id.toString(),
+    className: submission.trainingClass ? submission.trainingClass.name : 'Class Removed',
+    courseNumber: submission.courseNumber || '',
+    startDate: toLocalDayKey(submission.startDate),
+    endDate: toLocalDayKey(submission.endDate),
+    hours: submission.hoursLogged
+  })),
+  qualifications: qualifications.map(userQualification => ({
+    name: userQualification.qualification.name,
+    earnedDate: userQualification.earnedDate ? toLocalDayKey(userQualification.earnedDate) : ''
+  })),
+  totalHours: submissions.reduce((total, submission) => total + (submission.hoursLogged || 0), 0)
+});
+
+registerDocumentType('transcript', {
+  loadCurrentContent: async (memberId) => {
+    const record = await loadTranscriptRecord(memberId);
+    return record ? buildTranscriptContent(record) : null;
+  }
+});
+
+const buildTranscriptFilename = (member, generatedAt) => {
+  const safeName = (member.displayName || 'member').replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase();
+  return `transcript-${safeName || 'member'}-${toLocalDayKey(generatedAt)}.pdf`;
+};
+
+// Transcripts go through the same EJS + Chromium pipeline as attendant packets, one at a time.
+// Each generated PDF is issued a verification code and QR code for outside agencies.
+registerJobHandler('member-transcript-pdf', async (job) => {
+  const record = await loadTranscriptRecord(job.payload.memberId);
+  if (!record) {
+    throw new Error('Member not found.');
+  }
+
+  const issuedDocument = await issueDocument({
+    type: 'transcript',
+    title: 'Official Training Transcript',
+    subjectId: record.member._id,
+    subjectName: record.member.displayName,
+    content: buildTranscriptContent(record),
+    issuedBy: job.createdBy
+  });
+
+  try {
+    const verificationUrl = buildVerificationUrl(job.payload.verifyBaseUrl, issuedDocument.code);
+    const viewModel = {
+      ...record,
+      hoursSummary: await summarizeHoursByCategory(record.submissions),
+      generatedAt: issuedDocument.issuedAt,
+      verification: {
+        code: issuedDocument.code,
+        url: verificationUrl,
+        qrCodeDataUrl: await buildQrCodeDataUrl(verificationUrl)
+      }
+    };
+
+    const html = await ejs.renderFile(path.join(__dirname, '..', 'views', 'transcript-pdf.ejs'), viewModel, { async: true });
+    const pdfBuffer = await withTimeout(
+      generatePdfBufferFromHtml(html),
+      45000,
+      'Timed out while generating PDF (45s limit reached).'
+    );
+
+    if (!Buffer.isBuffer(pdfBuffer) || pdfBuffer.length < 5 || pdfBuffer.slice(0, 5).toString() !== '%PDF-') {
+      throw new Error('Generated file is not a valid PDF payload.');
+    }
+
+    return {
+      result: { verificationCode: issuedDocument.code },
+      resultFile: {
+        data: pdfBuffer,
+        mimeType: 'application/pdf',
+        filename: buildTranscriptFilename(record.member, viewModel.generatedAt)
+      }
+    };
+  } catch (err) {
+    // No PDF went out, so the code should not verify
+    await issuedDocument.deleteOne().catch(() => {});
+    throw err;
+  }
+}, { concurrency: 1, timeoutMs: 90000 });
+
+// Queue a transcript PDF; the client polls /jobs/:id and downloads from its fileUrl
+router.post('/users/:id/transcript', isAuthenticated, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Member not found.' });
+    }
+
+    if (!canViewTranscript(req.user, req.params.id)) {
+      return res.status(403).json({ success: false, error: 'Access denied.' });
+    }
+
+    const member = await User.exists({ _id: req.params.id });
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Member not found.' });
+    }
+
+    const job = await enqueueJob('member-transcript-pdf', {
+      memberId: req.params.id,
+      verifyBaseUrl: getVerifyBaseUrl(req)
+    }, { createdBy: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      statusUrl: `/jobs/${job._id}`
+    });
+  } catch (err) {
+    console.error('Error queueing transcript PDF:', err);
+    res.status(500).json({ success: false, error: 'Error generating transcript' });
+  }
+});
+
+router.get('/admin/members', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const searchTerm = (req.query.q || '').trim();
+    const selectedUserId = req.query.selectedUser;
+    const categoryFilter = parseCategoryFilter(req.query.category);
+
+    const userQuery = {};
+    if (searchTerm) {
+      const safePattern = new RegExp(escapeRegex(searchTerm), 'i');
+      userQuery.$or = [
+        { displayName: safePattern },
+        { firstName: safePattern },
+        { lastName: safePattern },
+        { email: safePattern }
+      ];
+    }
+
+    const users = await User.find(userQuery).sort('displayName').limit(200);
+    const trainingClasses = await TrainingClass.find({ isActive: true }).sort('name');
+
+    let selectedUser = null;
+    let selectedUserSubmissions = [];
+    if (selectedUserId && mongoose.Types.ObjectId.isValid(selectedUserId)) {
+      selectedUser = await User.findById(selectedUserId);
+      if (selectedUser) {
+        const submissionQuery = { student: selectedUser._id };
+        if (categoryFilter) {
+          submissionQuery.trainingClass = { $in: await findClassIdsInCategory(categoryFilter) };
+        }
+        selectedUserSubmissions = await TrainingSubmission.find(submissionQuery)
+          .populate('trainingClass')
+          .populate('approvedBy', 'displayName')
+          .populate('createdByAdmin', 'displayName')
+          .sort('-createdAt')
+          .limit(100);
+      }
+    }
+
+    res.render('admin-member-management', {
+      user: req.user,
+      users,
+      selectedUser,
+      selectedUserSubmissions,
+      trainingClasses,
+      searchTerm,
+      categories: await loadCategoryTree(),
+      categoryFilter,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading admin member management:', err);
+    res.status(500).render('error', { message: 'Error loading member management' });
+  }
+});
+
+router.post('/admin/members/:id/upload-certificate', isAuthenticated, isAdmin, uploadCertificateForAdmin, async (req, res) => {
+  try {
+    const selectedUserId = req.params.id;
+    const userToSubmitFor = await User.findById(selectedUserId);
+    if (!userToSubmitFor) {
+      return res.redirect('/training/admin/members?error=User not found');
+    }
+
+    const { trainingClass, startDate, endDate, hoursLogged, adminComment } = req.body;
+
+    if (!req.file) {
+      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Certificate file is required`);
+    }
+
+    const classRecord = await TrainingClass.findById(trainingClass);
+    if (!classRecord) {
+      await deleteFileIfExists(req.file.filename);
+      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Training class not found`);
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+      await deleteFileIfExists(req.file.filename);
+      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Please provide a valid date range`);
+    }
+
+    const parsedHours = Number(hoursLogged);
+    if (!Number.isFinite(parsedHours) || parsedHours < 0) {
+      await deleteFileIfExists(req.file.filename);
+      return res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&error=Hours must be 0 or greater`);
+    }
+
+    const submission = new TrainingSubmission({
+      student: userToSubmitFor._id,
+      trainingClass,
+      startDate,
+      endDate,
+      hoursLogged: parsedHours,
+      createdByAdmin: req.user._id,
+      uploadedForUser: userToSubmitFor._id,
+      certificateFile: {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        path: req.file.path,
+        mimeType: req.file.mimetype,
+        contentHash: req.file.contentHash
+      },
+      status: 'approved',
+      approvedBy: req.user._id,
+      approvedAt: new Date(),
+      comments: [{
+        author: req.user._id,
+        text: (adminComment || '').trim() || `Uploaded by admin ${req.user.displayName} on behalf of ${userToSubmitFor.displayName}`
+      }]
+    });
+
+    await qualificationsModule.applySubmissionExpiration(submission);
+    await submission.save();
+    await recordSubmissionExtraction(submission._id, req.file, req.user);
+
+    try {
+      await qualificationsModule.updateUserQualificationsForApprovedSubmission(submission);
+    } catch (qualificationErr) {
+      console.error('Error updating qualifications for admin-uploaded submission:', qualificationErr);
+    }
+
+    const duplicates = await checkSubmissionForDuplicates(submission);
+    const successMessage = `Certificate uploaded and recorded for ${userToSubmitFor.displayName}.` + describeDuplicateWarning(duplicates);
+    res.redirect(`/training/admin/members?selectedUser=${selectedUserId}&success=${encodeURIComponent(successMessage)}`);
+  } catch (err) {
+    console.error('Error uploading certificate for member:', err);
+    if (req.file) {
+      await deleteFileIfExists(req.file.filename);
+    }
+    res.redirect(`/training/admin/members?selectedUser=${req.params.id}&error=${encodeURIComponent(err.message || 'Error uploading certificate')}`);
+  }
+});
+
+// ADMIN/TRAINING OFFICER ROUTES
+
+// Manage classes
+router.get('/manage-classes', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const categoryFilter = parseCategoryFilter(req.query.category);
+    const classQuery = categoryFilter
+      ? { $or: [{ category: categoryFilter }, { subcategory: categoryFilter }] }
+      : {};
+    const trainingClasses = await TrainingClass.find(classQuery)
+      .populate('createdBy', 'displayName')
+      .populate('prerequisites', 'name')
+      .populate('category', 'name')
+      .populate('subcategory', 'name')
+      .sort('name');
+    const [approvalPolicy, categories, allCategories] = await Promise.all([
+      ApprovalPolicy.getCurrent(),
+      loadCategoryTree(),
+      loadCategoryTree({ includeInactive: true })
+    ]);
+    
+    res.render('manage-classes', { 
+      user: req.user, 
+      trainingClasses,
+      approvalPolicy,
+      categories,
+      allCategories,
+      categoryFilter,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error fetching training classes:', err);
+    res.status(500).render('error', { message: 'Error loading training classes' });
+  }
+});
+
+const PREREQUISITE_ENFORCEMENT_OPTIONS = ['off', 'warn', 'block'];
+
+// Second-approval hours threshold, review SLA days and prerequisite enforcement
+router.post('/approval-policy', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const rawThreshold = (req.body.secondApprovalHoursThreshold || '').toString().trim();
+    const threshold = rawThreshold === '' ? null : parseFloat(rawThreshold);
+    if (threshold !== null && (Number.isNaN(threshold) || threshold < 0)) {
+      return res.redirect('/training/manage-classes?error=' + encodeURIComponent('The hours threshold must be a non-negative number.'));
+    }
+
+    const warningDays = parseInt(req.body.reviewSlaWarningDays, 10);
+    const overdueDays = parseInt(req.body.reviewSlaOverdueDays, 10);
+    if (!Number.isInteger(warningDays) || !Number.isInteger(overdueDays) || warningDays < 1 || overdueDays < warningDays) {
+      return res.redirect('/training/manage-classes?error=' + encodeURIComponent('Review SLA days must be whole numbers, with overdue at or after due soon.'));
+    }
+
+    const prerequisiteEnforcement = PREREQUISITE_ENFORCEMENT_OPTIONS.includes(req.body.prerequisiteEnforcement)
+      ? req.body.prerequisiteEnforcement
+      : 'warn';
+
+    await ApprovalPolicy.findOneAndUpdate(
+      { key: 'default' },
+      { $set: {
+        secondApprovalHoursThreshold: threshold,
+        reviewSlaWarningDays: warningDays,
+        reviewSlaOverdueDays: overdueDays,
+        prerequisiteEnforcement,
+        updatedBy: req.user._id
+      } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.redirect('/training/manage-classes?success=' + encodeURIComponent('Approval policy updated.'));
+  } catch (err) {
+    console.error('Error updating approval policy:', err);
+    res.status(500).render('error', { message: 'Error updating approval policy' });
+  }
+});
+
+// Certifications that lapse within the window and have not been renewed
+const EXPIRING_WINDOW_OPTIONS = [30, 60, 90, 180];
+
+router.get('/expiring', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const requestedDays = parseInt(req.query.days, 10);
+    const days = EXPIRING_WINDOW_OPTIONS.includes(requestedDays) ? requestedDays : 90;
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const categoryFilter = parseCategoryFilter(req.query.category);
+    const expiringQuery = {
+      status: 'approved',
+      expiresAt: { $gt: now, $lte: windowEnd }
+    };
+    if (categoryFilter) {
+      expiringQuery.trainingClass = { $in: await findClassIdsInCategory(categoryFilter) };
+    }
+
+    const expiringSubmissions = await TrainingSubmission.find(expiringQuery)
+      .populate('student', 'displayName email')
+      .populate('trainingClass', 'name validityMonths')
+      .sort('expiresAt');
+
+    // A later completion of the same class that outlasts the window counts as renewed
+    const renewals = await TrainingSubmission.find({
+      status: 'approved',
+      student: { $in: expiringSubmissions.map(submission => submission.student && submission.student._id) },
+      trainingClass: { $in: expiringSubmissions.map(submission => submission.trainingClass && submission.trainingClass._id) },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: windowEnd } }]
+    }).select('student trainingClass');
+    const renewedKeys = new Set(renewals.map(renewal => `${renewal.student}:${renewal.trainingClass}`));
+
+    const seenKeys = new Set();
+    const expiring = expiringSubmissions
+      .filter(submission => submission.student && submission.trainingClass)
+      .filter(submission => {
+        const key = `${submission.student._id}:${submission.trainingClass._id}`;
+        if (renewedKeys.has(key) || seenKeys.has(key)) {
+          return false;
+        }
+        seenKeys.add(key);
+        return true;
+      })
+      .map(submission => ({
+        submission,
+        daysRemaining: Math.ceil((submission.expiresAt - now) / (24 * 60 * 60 * 1000))
+      }));
+
+    res.render('expiring-certifications', {
+      user: req.user,
+      expiring,
+      days,
+      windowOptions: EXPIRING_WINDOW_OPTIONS,
+      categories: await loadCategoryTree(),
+      categoryFilter,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading expiring certifications:', err);
+    res.status(500).render('error', { message: 'Error loading expiring certifications' });
+  }
+});
+
+// Annual continuing-education hour requirements and department compliance
+const parseComplianceYear = (value) => {
+  const currentYear = new Date().getFullYear();
+  const year = parseInt(value, 10);
+  return Number.isInteger(year) && year >= 2000 && year <= currentYear + 1 ? year : currentYear;
+};
+
+router.get('/compliance', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const year = parseComplianceYear(req.query.year);
+    const showAll = req.query.show === 'all';
+    const role = ALLOWED_ROLES.includes(req.query.role) ? req.query.role : '';
+
+    const memberQuery = role ? { roles: role } : {};
+    const [members, requirements, categoryOptions] = await Promise.all([
+      User.find(memberQuery).select('displayName email roles').sort('displayName'),
+      loadRequirements(),
+      loadRequirementCategoryOptions()
+    ]);
+
+    const compliance = await getComplianceForMembers(members, year);
+    const counts = {
+      compliant: compliance.filter(entry => entry.status === 'compliant').length,
+      nonCompliant: compliance.filter(entry => entry.status === 'non_compliant').length,
+      notApplicable: compliance.filter(entry => entry.status === 'not_applicable').length
+    };
+    const rows = compliance
+      .filter(entry => showAll ? entry.status !== 'not_applicable' : entry.status === 'non_compliant')
+      .sort((a, b) => b.totalShortfall - a.totalShortfall);
+
+    const currentYear = new Date().getFullYear();
+    res.render('ce-compliance', {
+      user: req.user,
+      year,
+      yearOptions: Array.from({ length: 5 }, (_, index) => currentYear - index),
+      role,
+      roles: ALLOWED_ROLES,
+      showAll,
+      rows,
+      counts,
+      requirements,
+      categoryOptions,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading CE compliance:', err);
+    res.status(500).render('error', { message: 'Error loading continuing education compliance' });
+  }
+});
+
+// Add or change the minimum for a role and category
+router.post('/compliance/requirements', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ALLOWED_ROLES.includes(role)) {
+      return res.redirect('/training/compliance?error=' + encodeURIComponent('Choose a role for the requirement.'));
+    }
+
+    const minimumHours = parseFloat(req.body.minimumHours);
+    if (Number.isNaN(minimumHours) || minimumHours < 0) {
+      return res.redirect('/training/compliance?error=' + encodeURIComponent('Minimum hours must be a non-negative number.'));
+    }
+
+    let category = null;
+    if (req.body.category) {
+      category = mongoose.Types.ObjectId.isValid(req.body.category)
+        ? await TrainingCategory.findById(req.body.category).select('_id')
+        : null;
+      if (!category) {
+        return res.redirect('/training/compliance?error=' + encodeURIComponent('Selected category could not be found.'));
+      }
+    }
+
+    await HourRequirement.findOneAndUpdate(
+      { role, category: category ? category._id : null },
+      { $set: {
+        minimumHours,
+        notes: (req.body.notes || '').trim(),
+        updatedBy: req.user._id
+      } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.redirect('/training/compliance?success=' + encodeURIComponent('Hour requirement saved.'));
+  } catch (err) {
+    console.error('Error saving hour requirement:', err);
+    res.status(500).render('error', { message: 'Error saving hour requirement' });
+  }
+});
+
+router.post('/compliance/requirements/:id/delete', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+      await HourRequirement.deleteOne({ _id: req.params.id });
+    }
+    res.redirect('/training/compliance?success=' + encodeURIComponent('Hour requirement removed.'));
+  } catch (err) {
+    console.error('Error removing hour requirement:', err);
+    res.status(500).render('error', { message: 'Error removing hour requirement' });
+  }
+});
+
+// Approver dashboard
+// Statuses an approver can act on; awaiting_second_approval only accepts a different approver
+const REVIEWABLE_STATUSES = ['pending', 'awaiting_second_approval'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the current wait for a reviewer began: the first approval for second-stage items,
+// otherwise the latest (re)submission
+const getReviewWaitingSince = (submission) => {
+  if (submission.status === 'awaiting_second_approval' && submission.firstApproval && submission.firstApproval.approvedAt) {
+    return submission.firstApproval.approvedAt;
+  }
+  return submission.resubmittedAt || submission.createdAt;
+};
+
+// Days waiting and SLA level ('ok' | 'warning' | 'overdue'); null once the review is done
+const getReviewAging = (submission, policy, now = new Date()) => {
+  if (!REVIEWABLE_STATUSES.includes(submission.status)) {
+    return null;
+  }
+  const days = Math.max(0, Math.floor((now - new Date(getReviewWaitingSince(submission))) / DAY_MS));
+  let level = 'ok';
+  if (days >= policy.reviewSlaOverdueDays) {
+    level = 'overdue';
+  } else if (days >= policy.reviewSlaWarningDays) {
+    level = 'warning';
+  }
+  return { days, level };
+};
+
+// Open reviews per assignee (null key for unassigned), with SLA counts and the oldest wait
+const buildApproverBacklog = (openSubmissions, policy) => {
+  const backlog = new Map();
+  const now = new Date();
+
+  openSubmissions.forEach(submission => {
+    const assignee = submission.assignedTo;
+    const key = assignee ? assignee._id.toString() : null;
+    if (!backlog.has(key)) {
+      backlog.set(key, {
+        approver: assignee || null,
+        total: 0,
+        warning: 0,
+        overdue: 0,
+        oldestDays: 0
+      });
+    }
+
+    const entry = backlog.get(key);
+    const aging = getReviewAging(submission, policy, now);
+    entry.total += 1;
+    if (aging.level === 'warning') {
+      entry.warning += 1;
+    } else if (aging.level === 'overdue') {
+      entry.overdue += 1;
+    }
+    entry.oldestDays = Math.max(entry.oldestDays, aging.days);
+  });
+
+  return [...backlog.values()].sort((a, b) => {
+    if (!a.approver) return -1;
+    if (!b.approver) return 1;
+    return (a.approver.displayName || '').localeCompare(b.approver.displayName || '');
+  });
+};
+
+// Users who can be assigned reviews
+const findAssignableApprovers = () => User.find({
+  $or: [{ roles: 'Approver' }, { isAdmin: true }]
+}).select('displayName email').sort('displayName');
+
+router.get('/approver/dashboard', isAuthenticated, hasRole(['Approver', 'Training Officer']), async (req, res) => {
+  try {
+    const filter = {
+      status: req.query.status || 'pending',
+      duplicatesOnly: req.query.duplicates === '1',
+      assignee: req.query.assignee || '',
+      overdueOnly: req.query.overdue === '1',
+      category: parseCategoryFilter(req.query.category)
+    };
+    
+    const query = {};
+    if (filter.status === 'open') {
+      query.status = { $in: REVIEWABLE_STATUSES };
+    } else if (filter.status !== 'all') {
+      query.status = filter.status;
+    }
+    if (filter.duplicatesOnly) {
+      query.possibleDuplicates = { $elemMatch: { dismissedAt: null } };
+    }
+    if (filter.assignee === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (filter.assignee === 'unassigned') {
+      query.assignedTo = null;
+    } else if (mongoose.Types.ObjectId.isValid(filter.assignee)) {
+      query.assignedTo = filter.assignee;
+    } else {
+      filter.assignee = '';
+    }
+    if (filter.category) {
+      query.trainingClass = { $in: await findClassIdsInCategory(filter.category) };
+    }
+    
+    // Review queues read oldest first so the longest waits are at the top
+    const isReviewQueue = filter.status === 'open' || REVIEWABLE_STATUSES.includes(filter.status);
+    const [foundSubmissions, openSubmissions, approvers, policy, categories] = await Promise.all([
+      TrainingSubmission.find(query)
+        .populate('student')
+        .populate('trainingClass')
+        .populate('firstApproval.approvedBy', 'displayName')
+        .populate('assignedTo', 'displayName')
+        .sort(isReviewQueue ? 'createdAt' : '-createdAt'),
+      TrainingSubmission.find({ status: { $in: REVIEWABLE_STATUSES } })
+        .select('status createdAt resubmittedAt firstApproval assignedTo')
+        .populate('assignedTo', 'displayName'),
+      findAssignableApprovers(),
+      ApprovalPolicy.getCurrent(),
+      loadCategoryTree()
+    ]);
+    
+    const now = new Date();
+    let submissions = foundSubmissions.map(submission => {
+      submission.aging = getReviewAging(submission, policy, now);
+      return submission;
+    });
+    if (filter.overdueOnly) {
+      submissions = submissions.filter(submission => submission.aging && submission.aging.level === 'overdue');
+    }
+    if (isReviewQueue) {
+      submissions.sort((a, b) => b.aging.days - a.aging.days);
+    }
+      
+    res.render('approver-dashboard', { 
+      user: req.user, 
+      submissions,
+      secondApprovalCount: openSubmissions.filter(submission => submission.status === 'awaiting_second_approval').length,
+      backlog: buildApproverBacklog(openSubmissions, policy),
+      approvers,
+      policy,
+      categories,
+      canAssign: req.user.isAdmin || req.user.roles.includes('Training Officer'),
+      filter,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error fetching submissions for approval:', err);
+    res.status(500).render('error', { message: 'Error loading approver dashboard' });
+  }
+});
+
+// Where claim/assign forms send the reviewer back to (dashboard filters or the submission)
+const getReviewRedirect = (req, submissionId) => {
+  const target = (req.body.returnTo || '').toString();
+  return target.startsWith('/training/approver/dashboard') ? target : `/training/submission/${submissionId}`;
+};
+
+const appendQueryMessage = (url, key, message) => {
+  return `${url}${url.includes('?') ? '&' : '?'}${key}=${encodeURIComponent(message)}`;
+};
+
+// Claim a review so other approvers can see it is being handled
+router.post('/submission/:id/claim', isAuthenticated, isApprover, async (req, res) => {
+  const redirectTo = getReviewRedirect(req, req.params.id);
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    const submission = await TrainingSubmission.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: REVIEWABLE_STATUSES }, assignedTo: null },
+      { $set: { assignedTo: req.user._id, assignedBy: req.user._id, assignedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!submission) {
+      const existing = await TrainingSubmission.findById(req.params.id).populate('assignedTo', 'displayName');
+      if (!existing) {
+        return res.status(404).render('error', { message: 'Submission not found' });
+      }
+      const message = existing.assignedTo
+        ? `Already claimed by ${existing.assignedTo.displayName}.`
+        : 'This submission is no longer waiting for review.';
+      return res.redirect(appendQueryMessage(redirectTo, 'error', message));
+    }
+
+    res.redirect(appendQueryMessage(redirectTo, 'success', 'Submission claimed.'));
+  } catch (err) {
+    console.error('Error claiming submission:', err);
+    res.redirect(appendQueryMessage(redirectTo, 'error', 'Error claiming submission'));
+  }
+});
+
+// Training Officers assign (or unassign) a review; the assignee can also release their own claim
+router.post('/submission/:id/assign', isAuthenticated, hasRole(['Approver', 'Training Officer']), async (req, res) => {
+  const redirectTo = getReviewRedirect(req, req.params.id);
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    const submission = await TrainingSubmission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    if (!REVIEWABLE_STATUSES.includes(submission.status)) {
+      return res.redirect(appendQueryMessage(redirectTo, 'error', 'This submission is no longer waiting for review.'));
+    }
+
+    const approverId = (req.body.approverId || '').toString();
+    const canAssign = req.user.isAdmin || req.user.roles.includes('Training Officer');
+    const isReleasingOwnClaim = !approverId && submission.assignedTo &&
+      submission.assignedTo.toString() === req.user._id.toString();
+
+    if (!canAssign && !isReleasingOwnClaim) {
+      return res.status(403).render('error', { message: 'Access denied. Training Officer privileges required.' });
+    }
+
+    if (approverId) {
+      if (!mongoose.Types.ObjectId.isValid(approverId)) {
+        throw new Error('Select a valid approver.');
+      }
+      const approver = await User.findOne({
+        _id: approverId,
+        $or: [{ roles: 'Approver' }, { isAdmin: true }]
+      }).select('displayName');
+      if (!approver) {
+        throw new Error('The selected user cannot approve submissions.');
+      }
+      submission.assignedTo = approver._id;
+      submission.assignedBy = req.user._id;
+      submission.assignedAt = new Date();
+      await submission.save();
+      return res.redirect(appendQueryMessage(redirectTo, 'success', `Assigned to ${approver.displayName}.`));
+    }
+
+    submission.assignedTo = null;
+    submission.assignedBy = null;
+    submission.assignedAt = null;
+    await submission.save();
+    res.redirect(appendQueryMessage(redirectTo, 'success', 'Submission unassigned.'));
+  } catch (err) {
+    console.error('Error assigning submission:', err);
+    res.redirect(appendQueryMessage(redirectTo, 'error', err.message || 'Error assigning submission'));
+  }
+});
+
+// Certificate management dashboard for training officers and approvers
+router.get('/manage-certificates', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const trainingClasses = await TrainingClass.find({ isActive: true }).sort('name');
+    let selectedUser = null;
+    const canCreateTrainingClass = req.user.isAdmin || (req.user.roles && req.user.roles.includes('Training Officer'));
+
+    if (req.query.selected && mongoose.Types.ObjectId.isValid(req.query.selected)) {
+      selectedUser = await User.findById(req.query.selected).select('displayName email roles firstName middleName lastName');
+    }
+
+    res.render('manage-certificates', {
+      user: req.user,
+      trainingClasses,
+      selectedUser,
+      canCreateTrainingClass,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading certificate management page:', err);
+    res.status(500).render('error', { message: 'Error loading certificate management page' });
+  }
+});
+
+// Fast user search endpoint for certificate management
+router.get('/users/search', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.json([]);
+    }
+
+    const regex = new RegExp(escapeRegex(query), 'i');
+    const users = await User.find({
+      $or: [
+        { displayName: regex },
+        { email: regex },
+        { firstName: regex },
+        { lastName: regex },
+        { middleName: regex }
+      ]
+    })
+      .sort('displayName')
+      .limit(10)
+      .select('displayName email roles firstName middleName lastName');
+
+    res.json(users.map(user => ({
+      id: user._id,
+      displayName: user.displayName,
+      email: user.email,
+      roles: user.roles,
+      firstName: user.firstName,
+      middleName: user.middleName,
+      lastName: user.lastName
+    })));
+  } catch (err) {
+    console.error('Error searching users:', err);
+    res.status(500).json({ error: 'Error searching users' });
+  }
+});
+
+// Fetch a user's existing training submissions (certificates)
+router.get('/users/:id/submissions', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.json([]);
+    }
+
+    const submissions = await TrainingSubmission.find({ student: req.params.id })
+      .populate('trainingClass')
+      .sort({ approvedAt: -1, createdAt: -1 });
+
+    const response = submissions.map(submission => ({
+      id: submission._id,
+      trainingClassId: submission.trainingClass ? submission.trainingClass._id : null,
+      trainingClassName: submission.trainingClass ? submission.trainingClass.name : 'Class Removed',
+      startDate: submission.startDate ? submission.startDate.toISOString() : null,
+      endDate: submission.endDate ? submission.endDate.toISOString() : null,
+      hoursLogged: submission.hoursLogged,
+      courseNumber: submission.courseNumber || null,
+      status: submission.status,
+      approvedAt: submission.approvedAt ? submission.approvedAt.toISOString() : null,
+      certificateUrl: submission.certificateFile && submission.certificateFile.filename ? `/training/submission/${submission._id}/certificate` : null,
+      certificateOriginalName: submission.certificateFile ? submission.certificateFile.originalName : null
+    }));
+
+    res.json(response);
+  } catch (err) {
+    console.error('Error fetching user submissions:', err);
+    res.status(500).json({ error: 'Error fetching user submissions' });
+  }
+});
+
+// Queue certificate extraction for auto-fill; the client polls /jobs/:id for the result
+router.post('/certificates/extract', isAuthenticated, hasRole(certificateManagerRoles), (req, res) => {
+  extractionUpload.single('certificateFile')(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      console.error('Certificate extraction upload error:', uploadErr);
+      return res.status(400).json({
+        success: false,
+        error: uploadErr.message || 'Invalid certificate file.'
+      });
+    }
+
+    try {
+      if (!req.file) {
+        throw new Error('Certificate file is required.');
+      }
+
+      const job = await enqueueJob('certificate-extract', {
+        originalName: req.file.originalname
+      }, {
+        createdBy: req.user._id,
+        inputFile: {
+          data: req.file.buffer,
+          mimeType: req.file.mimetype,
+          filename: req.file.originalname
+        }
+      });
+
+      res.status(202).json({
+        success: true,
+        jobId: job._id,
+        statusUrl: `/jobs/${job._id}`
+      });
+    } catch (error) {
+      console.error('Error queueing certificate extraction:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Unable to extract certificate details.'
+      });
+    }
+  });
+});
+
+// Add a certificate on behalf of a user (auto-approves submission)
+router.post('/certificates/add',
+  isAuthenticated,
+  hasRole(certificateManagerRoles),
+  upload.single('certificateFile'),
+  storeUploadedCertificate,
+  async (req, res) => {
+    const { studentId, trainingClass, startDate, endDate, hoursLogged, courseNumber } = req.body;
+
+    try {
+      if (!studentId || !mongoose.Types.ObjectId.isValid(studentId)) {
+        throw new Error('A valid user must be selected.');
+      }
+
+      if (!trainingClass || !mongoose.Types.ObjectId.isValid(trainingClass)) {
+        throw new Error('A valid training class must be selected.');
+      }
+
+      if (!req.file) {
+        throw new Error('A certificate file is required.');
+      }
+
+      const student = await User.findById(studentId).select('_id');
+      if (!student) {
+        throw new Error('Selected user could not be found.');
+      }
+
+      const classRecord = await TrainingClass.findById(trainingClass).select('_id');
+      if (!classRecord) {
+        throw new Error('Selected training class could not be found.');
+      }
+
+      const start = parseDateAsLocal(startDate);
+      const end = parseDateAsLocal(endDate);
+      if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new Error('Start and end dates are required.');
+      }
+
+      if (end < start) {
+        throw new Error('End date cannot be earlier than start date.');
+      }
+
+      const hours = parseFloat(hoursLogged);
+      if (Number.isNaN(hours) || hours < 0) {
+        throw new Error('Hours completed must be a non-negative number.');
+      }
+
+      const submission = new TrainingSubmission({
+        student: studentId,
+        trainingClass,
+        startDate: start,
+        endDate: end,
+        hoursLogged: hours,
+        courseNumber: (courseNumber || '').trim(),
+        certificateFile: {
+          filename: req.file.filename,
+          originalName: req.file.originalname,
+          path: req.file.path,
+          mimeType: req.file.mimetype,
+          contentHash: req.file.contentHash,
+          uploadDate: new Date()
+        },
+        status: 'approved',
+        approvedBy: req.user._id,
+        approvedAt: new Date()
+      });
+
+      await qualificationsModule.applySubmissionExpiration(submission);
+      await submission.save();
+      await recordSubmissionExtraction(submission._id, req.file, req.user);
+      await qualificationsModule.updateUserQualificationsForApprovedSubmission(submission);
+      const duplicates = await checkSubmissionForDuplicates(submission);
+
+      const successMessage = encodeURIComponent('Certificate uploaded and auto-approved successfully.' + describeDuplicateWarning(duplicates));
+      return res.redirect(`/training/manage-certificates?success=${successMessage}&selected=${studentId}`);
+    } catch (err) {
+      console.error('Error adding certificate for user:', err);
+      if (req.file) {
+        await deleteFileIfExists(req.file.filename);
+      }
+      const errorMessage = encodeURIComponent(err.message || 'Error adding certificate');
+      const redirectTarget = studentId && mongoose.Types.ObjectId.isValid(studentId)
+        ? `&selected=${studentId}`
+        : '';
+      return res.redirect(`/training/manage-certificates?error=${errorMessage}${redirectTarget}`);
+    }
+  });
+
+// Bulk certificate import: upload form and staged batches
+router.get('/certificates/bulk', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const batches = await CertificateImportBatch.find({ status: { $in: ['extracting', 'staged', 'committing'] } })
+      .populate('createdBy', 'displayName')
+      .sort('-updatedAt')
+      .limit(25);
+
+    res.render('certificate-import', {
+      user: req.user,
+      batches,
+      maxCertificates: BULK_IMPORT_MAX_CERTIFICATES,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading bulk certificate import:', err);
+    res.status(500).render('error', { message: 'Error loading bulk certificate import' });
+  }
+});
+
+// Store every uploaded certificate in a new batch and queue the job that reads and matches them
+router.post('/certificates/bulk', isAuthenticated, hasRole(certificateManagerRoles), (req, res) => {
+  bulkUpload.array('certificateFiles', BULK_IMPORT_MAX_CERTIFICATES)(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      console.error('Bulk certificate upload error:', uploadErr);
+      return res.redirect('/training/certificates/bulk?error=' + encodeURIComponent(uploadErr.message || 'File upload failed'));
+    }
+
+    const savedFiles = [];
+    let savedBatch = null;
+    try {
+      const { certificates, skipped } = expandBulkCertificateUploads(req.files);
+      if (!certificates.length) {
+        throw new Error('No PDF, JPG or PNG certificates were found in the upload.');
+      }
+
+      const rows = [];
+      for (const certificate of certificates) {
+        let buffer;
+        try {
+          buffer = await certificate.readBuffer();
+        } catch (readErr) {
+          skipped.push(`${certificate.originalname} (unreadable: ${readErr.message})`);
+          continue;
+        }
+        if (!buffer) {
+          skipped.push(`${certificate.originalname} (larger than 5MB)`);
+          continue;
+        }
+        const file = await saveCertificateBuffer(buffer, certificate.originalname, certificate.mimetype);
+        savedFiles.push(file.filename);
+        rows.push({ file, notes: [] });
+      }
+      if (!rows.length) {
+        throw new Error(`None of the certificates could be read: ${skipped.join(', ')}`);
+      }
+
+      savedBatch = await CertificateImportBatch.create({
+        createdBy: req.user._id,
+        rows,
+        skippedFiles: skipped,
+        status: 'extracting'
+      });
+      const job = await enqueueJob('certificate-import-extract', {
+        batchId: savedBatch._id.toString()
+      }, { createdBy: req.user._id });
+      await CertificateImportBatch.updateOne({ _id: savedBatch._id }, { $set: { extractionJob: job._id } });
+
+      const successMessage = encodeURIComponent(`Uploaded ${rows.length} certificates. They are being read now.`);
+      return res.redirect(`/training/certificates/bulk/${savedBatch._id}?success=${successMessage}`);
+    } catch (err) {
+      console.error('Error processing bulk certificate upload:', err);
+      if (savedBatch) {
+        await CertificateImportBatch.deleteOne({ _id: savedBatch._id });
+      }
+      for (const filename of savedFiles) {
+        await deleteFileIfExists(filename);
+      }
+      return res.redirect('/training/certificates/bulk?error=' + encodeURIComponent(err.message || 'Error processing certificates'));
+    } finally {
+      await removeBulkUploadTempFiles(req.files);
+    }
+  });
+});
+
+// Review staging table for a bulk import
+router.get('/certificates/bulk/:id', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const batch = await loadCertificateImportBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).render('error', { message: 'Import batch not found' });
+    }
+
+    // The job is gone or finished but the batch never opened: it failed or timed out part way
+    if (batch.status === 'extracting' && batch.extractionJob) {
+      const job = await Job.findById(batch.extractionJob).select('status');
+      if (!job || !['queued', 'running'].includes(job.status)) {
+        markUnreadImportRows(batch, 'Reading this certificate did not finish; fill in the details manually.');
+        await batch.save();
+      }
+    }
+
+    await batch.populate([
+      { path: 'createdBy', select: 'displayName' },
+      { path: 'rows.studentCandidates.user', select: 'displayName email' },
+      { path: 'rows.submission', select: '_id' }
+    ]);
+
+    const [members, trainingClasses] = await Promise.all([
+      User.find({}).sort('displayName').select('displayName email'),
+      TrainingClass.find({ isActive: true }).sort('name').select('name hoursValue')
+    ]);
+
+    res.render('certificate-import-review', {
+      user: req.user,
+      batch,
+      members,
+      trainingClasses,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading certificate import batch:', err);
+    res.status(500).render('error', { message: 'Error loading import batch' });
+  }
+});
+
+// View a staged certificate file from a bulk import
+router.get('/certificates/bulk/:id/rows/:rowId/file', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const batch = await loadCertificateImportBatch(req.params.id);
+    const row = batch && mongoose.Types.ObjectId.isValid(req.params.rowId) ? batch.rows.id(req.params.rowId) : null;
+    if (!row) {
+      return res.status(404).render('error', { message: 'Certificate file not found' });
+    }
+
+    return sendCertificateFile(res, row.file, req.query.download === '1');
+  } catch (err) {
+    console.error('Error sending staged certificate file:', err);
+    res.status(500).render('error', { message: 'Error loading certificate' });
+  }
+});
+
+// Save corrections to staged rows without committing
+router.post('/certificates/bulk/:id/save', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const batch = await loadCertificateImportBatch(req.params.id);
+    if (!batch || batch.status !== 'staged') {
+      return res.redirect('/training/certificates/bulk?error=Import batch is no longer available');
+    }
+
+    const rowInputs = req.body.rows || {};
+    batch.rows.forEach(row => applyImportRowEdits(row, rowInputs[row._id.toString()]));
+    await batch.save();
+
+    res.redirect(`/training/certificates/bulk/${batch._id}?success=Changes saved`);
+  } catch (err) {
+    console.error('Error saving certificate import batch:', err);
+    res.redirect(`/training/certificates/bulk/${req.params.id}?error=` + encodeURIComponent(err.message || 'Error saving changes'));
+  }
+});
+
+// Commit selected staged rows as approved training submissions
+router.post('/certificates/bulk/:id/commit', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  let batch = null;
+  try {
+    batch = await claimCertificateImportBatch(req.params.id);
+    if (!batch) {
+      return res.redirect('/training/certificates/bulk?error=' + encodeURIComponent('Import batch is no longer available or is already being committed'));
+    }
+
+    const rowInputs = req.body.rows || {};
+    let committedCount = 0;
+    let failedCount = 0;
+    let flaggedCount = 0;
+
+    for (const row of batch.rows) {
+      // A row with a submission was committed by an earlier attempt that stopped before marking it
+      if (row.submission && row.status !== 'committed') {
+        row.status = 'committed';
+        row.commitError = '';
+        continue;
+      }
+
+      const input = rowInputs[row._id.toString()];
+      applyImportRowEdits(row, input);
+      if (row.status === 'committed' || !input || !input.include) {
+        continue;
+      }
+
+      try {
+        const { submission, note } = await commitCertificateImportRow(row, req.user);
+        row.submission = submission._id;
+        if (note) {
+          row.notes.push(note);
+        }
+        row.status = 'committed';
+        row.commitError = '';
+        committedCount += 1;
+        // Record each commit as it happens so a retry after a later failure cannot import it twice
+        await batch.save();
+
+        const duplicates = await checkSubmissionForDuplicates(submission);
+        if (duplicates.length) {
+          row.notes.push(describeDuplicateWarning(duplicates).trim());
+          flaggedCount += 1;
+        }
+      } catch (rowErr) {
+        row.commitError = rowErr.message || 'Unable to commit this row.';
+        failedCount += 1;
+      }
+    }
+
+    if (batch.rows.every(row => row.status === 'committed')) {
+      batch.status = 'committed';
+      batch.committedBy = req.user._id;
+      batch.committedAt = new Date();
+    } else {
+      batch.status = 'staged';
+    }
+    batch.commitStartedAt = null;
+
+    await batch.save();
+
+    const summary = `Committed ${committedCount} certificate${committedCount === 1 ? '' : 's'}` +
+      (failedCount ? `; ${failedCount} row${failedCount === 1 ? '' : 's'} need attention` : '') +
+      (flaggedCount ? `; ${flaggedCount} flagged as possible duplicate${flaggedCount === 1 ? '' : 's'}` : '');
+    const messageKey = failedCount ? 'error' : 'success';
+    res.redirect(`/training/certificates/bulk/${batch._id}?${messageKey}=${encodeURIComponent(summary)}`);
+  } catch (err) {
+    console.error('Error committing certificate import batch:', err);
+    if (batch) {
+      await CertificateImportBatch.updateOne(
+        { _id: batch._id, status: 'committing' },
+        { $set: { status: 'staged', commitStartedAt: null } }
+      ).catch(releaseErr => console.error('Error releasing certificate import batch:', releaseErr));
+    }
+    res.redirect(`/training/certificates/bulk/${req.params.id}?error=` + encodeURIComponent(err.message || 'Error committing certificates'));
+  }
+});
+
+// Discard a staged batch and remove files that were never committed
+router.post('/certificates/bulk/:id/discard', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const batch = await loadCertificateImportBatch(req.params.id);
+    if (!batch || batch.status !== 'staged') {
+      return res.redirect('/training/certificates/bulk?error=Import batch is no longer available');
+    }
+
+    for (const row of batch.rows) {
+      if (row.status !== 'committed' && row.file) {
+        await deleteFileIfExists(row.file.filename);
+      }
+    }
+
+    batch.status = 'discarded';
+    await batch.save();
+
+    res.redirect('/training/certificates/bulk?success=Import batch discarded');
+  } catch (err) {
+    console.error('Error discarding certificate import batch:', err);
+    res.redirect('/training/certificates/bulk?error=' + encodeURIComponent(err.message || 'Error discarding batch'));
+  }
+});
+
+// Update an existing submission (certificate)
+router.post('/submission/:id/update',
+  isAuthenticated,
+  hasRole(certificateManagerRoles),
+  upload.single('certificateFile'),
+  storeUploadedCertificate,
+  async (req, res) => {
+    const { trainingClass, startDate, endDate, hoursLogged, courseNumber, redirectStudentId } = req.body;
+    const redirectTarget = redirectStudentId && mongoose.Types.ObjectId.isValid(redirectStudentId)
+      ? redirectStudentId
+      : null;
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        throw new Error('Invalid submission identifier.');
+      }
+
+      const submission = await TrainingSubmission.findById(req.params.id);
+      if (!submission) {
+        throw new Error('Submission not found.');
+      }
+
+      if (!trainingClass || !mongoose.Types.ObjectId.isValid(trainingClass)) {
+        throw new Error('A valid training class must be selected.');
+      }
+
+      const classRecord = await TrainingClass.findById(trainingClass).select('_id name');
+      if (!classRecord) {
+        throw new Error('Selected training class could not be found.');
+      }
+
+      const start = parseDateAsLocal(startDate);
+      const end = parseDateAsLocal(endDate);
+      if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new Error('Start and end dates are required.');
+      }
+
+      if (end < start) {
+        throw new Error('End date cannot be earlier than start date.');
+      }
+
+      const hours = parseFloat(hoursLogged);
+      if (Number.isNaN(hours) || hours < 0) {
+        throw new Error('Hours completed must be a non-negative number.');
+      }
+
+      const previousClass = await TrainingClass.findById(submission.trainingClass).select('name');
+      const previousValues = snapshotRevisionValues(submission, previousClass ? previousClass.name : null);
+
+      submission.trainingClass = trainingClass;
+      submission.startDate = start;
+      submission.endDate = end;
+      submission.hoursLogged = hours;
+      submission.courseNumber = (courseNumber || '').trim();
+
+      // The replaced file stays in storage and is referenced from the revision log
+      const replacedFile = req.file ? pickCertificateFile(submission.certificateFile) : null;
+      if (req.file) {
+        submission.certificateFile = {
+          filename: req.file.filename,
+          originalName: req.file.originalname,
+          path: req.file.path,
+          mimeType: req.file.mimetype,
+          contentHash: req.file.contentHash,
+          uploadDate: new Date()
+        };
+      }
+
+      addSubmissionRevision(submission, previousValues, {
+        editor: req.user._id,
+        className: classRecord.name,
+        replacedFile
+      });
+
+      // Editing keeps the review status; approval only happens through /approve
+      if (submission.status === 'approved') {
+        await qualificationsModule.applySubmissionExpiration(submission);
+      }
+      await submission.save();
+
+      if (req.file) {
+        await recordSubmissionExtraction(submission._id, req.file, req.user);
+      }
+      if (submission.status === 'approved') {
+        await qualificationsModule.recalculateUserQualifications(submission.student);
+      }
+      const duplicates = await checkSubmissionForDuplicates(submission);
+
+      const successMessage = encodeURIComponent('Certificate updated successfully.' + describeDuplicateWarning(duplicates));
+      const selectedParam = redirectTarget || submission.student.toString();
+      return res.redirect(`/training/manage-certificates?success=${successMessage}&selected=${selectedParam}`);
+    } catch (err) {
+      console.error('Error updating certificate:', err);
+      if (req.file) {
+        await deleteFileIfExists(req.file.filename);
+      }
+      const errorMessage = encodeURIComponent(err.message || 'Error updating certificate');
+      const selectedParam = redirectTarget ? `&selected=${redirectTarget}` : '';
+      return res.redirect(`/training/manage-certificates?error=${errorMessage}${selectedParam}`);
+    }
+  });
+
+// Download a submission's certificate (owner, reviewers and admins only)
+router.get('/submission/:id/certificate', isAuthenticated, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    const submission = await TrainingSubmission.findById(req.params.id).select('student certificateFile');
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    const isOwner = submission.student.toString() === req.user._id.toString();
+    if (!isOwner && !canReviewSubmissions(req.user)) {
+      return res.status(403).render('error', { message: 'Access denied to this certificate' });
+    }
+
+    return sendCertificateFile(res, submission.certificateFile, req.query.download === '1');
+  } catch (err) {
+    console.error('Error sending certificate file:', err);
+    res.status(500).render('error', { message: 'Error loading certificate' });
+  }
+});
+
+// Download a certificate file that a later edit replaced
+router.get('/submission/:id/revisions/:revisionId/certificate', isAuthenticated, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    const submission = await TrainingSubmission.findById(req.params.id).select('student revisions');
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    const isOwner = submission.student.toString() === req.user._id.toString();
+    if (!isOwner && !canReviewSubmissions(req.user)) {
+      return res.status(403).render('error', { message: 'Access denied to this certificate' });
+    }
+
+    const revision = submission.revisions.id(req.params.revisionId);
+    if (!revision || !revision.replacedFile) {
+      return res.status(404).render('error', { message: 'Certificate file not found' });
+    }
+
+    return sendCertificateFile(res, revision.replacedFile, req.query.download === '1');
+  } catch (err) {
+    console.error('Error sending replaced certificate file:', err);
+    res.status(500).render('error', { message: 'Error loading certificate' });
+  }
+});
+
+// View submission details
+router.get('/submission/:id', isAuthenticated, async (req, res) => {
+  try {
+    const submission = await TrainingSubmission.findById(req.params.id)
+      .populate('student')
+      .populate('trainingClass')
+      .populate('approvedBy')
+      .populate('firstApproval.approvedBy', 'displayName')
+      .populate('assignedTo', 'displayName')
+      .populate('createdByAdmin')
+      .populate('uploadedForUser')
+      .populate({
+        path: 'trainingSession',
+        select: 'sessionDate instructor instructorName',
+        populate: { path: 'instructor', select: 'displayName' }
+      })
+      .populate({
+        path: 'comments.author',
+        model: 'User'
+      })
+      .populate({
+        path: 'possibleDuplicates.submission',
+        select: 'student trainingClass startDate endDate status courseNumber',
+        populate: [
+          { path: 'student', select: 'displayName' },
+          { path: 'trainingClass', select: 'name' }
+        ]
+      })
+      .populate('possibleDuplicates.dismissedBy', 'displayName')
+      .populate('revisions.editedBy', 'displayName');
+    
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+    
+    // Check if user is allowed to view this submission
+    const isOwner = submission.student._id.toString() === req.user._id.toString();
+    if (!isOwner && !canReviewSubmissions(req.user)) {
+      return res.status(403).render('error', { message: 'Access denied to this submission' });
+    }
+    
+    // Reviewers see missing prerequisites before they approve
+    const prerequisiteCheck = canReviewSubmissions(req.user) && REVIEWABLE_STATUSES.includes(submission.status) && submission.trainingClass
+      ? await checkSubmissionPrerequisites(submission)
+      : null;
+    
+    res.render('submission-detail', { 
+      user: req.user, 
+      submission,
+      extractionComparison: buildExtractionComparison(submission),
+      prerequisiteCheck,
+      canManageCertificates: canReviewSubmissions(req.user),
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error fetching submission details:', err);
+    res.status(500).render('error', { message: 'Error loading submission details' });
+  }
+});
+
+// Dismiss a duplicate flag once a reviewer confirms the pair are separate trainings
+router.post('/submission/:id/duplicates/:otherId/dismiss', isAuthenticated, hasRole(['Approver', 'Training Officer']), async (req, res) => {
+  try {
+    const { id, otherId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(otherId)) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+
+    const pairs = [[id, otherId], [otherId, id]];
+    for (const [ownerId, flaggedId] of pairs) {
+      await TrainingSubmission.updateOne(
+        { _id: ownerId, 'possibleDuplicates.submission': flaggedId },
+        { $set: {
+          'possibleDuplicates.$.dismissedBy': req.user._id,
+          'possibleDuplicates.$.dismissedAt': new Date()
+        } }
+      );
+    }
+
+    res.redirect(`/training/submission/${id}?success=` + encodeURIComponent('Duplicate flag dismissed'));
+  } catch (err) {
+    console.error('Error dismissing duplicate flag:', err);
+    res.redirect(`/training/submission/${req.params.id}?error=` + encodeURIComponent('Error dismissing duplicate flag'));
+  }
+});
+
+// Why a pending submission needs two approvers (empty when one is enough)
+const getSecondApprovalReasons = async (submission) => {
+  const [trainingClass, policy] = await Promise.all([
+    TrainingClass.findById(submission.trainingClass).select('requiresSecondApproval'),
+    ApprovalPolicy.getCurrent()
+  ]);
+
+  const reasons = [];
+  if (trainingClass && trainingClass.requiresSecondApproval) {
+    reasons.push('flagged_class');
+  }
+  const threshold = policy.secondApprovalHoursThreshold;
+  if (threshold !== null && threshold !== undefined && submission.hoursLogged >= threshold) {
+    reasons.push('hours_threshold');
+  }
+  return reasons;
+};
+
+// Prerequisites the submitting member lacks for the submission's class, and whether policy blocks approval
+const checkSubmissionPrerequisites = async (submission) => {
+  const policy = await ApprovalPolicy.getCurrent();
+  const enforcement = policy.prerequisiteEnforcement || 'warn';
+  if (enforcement === 'off') {
+    return { enforcement, missing: [] };
+  }
+
+  const missing = await findMissingPrerequisites(submission.student, submission.trainingClass);
+  return { enforcement, missing };
+};
+
+const describeMissingPrerequisites = (missing) => missing.map(prerequisite => prerequisite.name).join(', ');
+
+// Record one approver's sign-off and save. Final approvals also update the member's
+// qualifications; flagged classes and high-hour submissions stop at a first approval.
+// Throws with a reviewer-facing message when the approval is not allowed, including when
+// policy blocks approvals for members missing the class's prerequisites.
+const recordApproval = async (submission, approverId, comment) => {
+  if (!REVIEWABLE_STATUSES.includes(submission.status)) {
+    throw new Error('This submission has already been processed');
+  }
+
+  const prerequisiteCheck = await checkSubmissionPrerequisites(submission);
+  if (prerequisiteCheck.missing.length && prerequisiteCheck.enforcement === 'block') {
+    throw new Error(`Cannot approve: the member has not completed the prerequisites ${describeMissingPrerequisites(prerequisiteCheck.missing)}.`);
+  }
+
+  let needsSecondApproval = false;
+  if (submission.status === 'pending') {
+    const reasons = await getSecondApprovalReasons(submission);
+    if (reasons.length) {
+      submission.status = 'awaiting_second_approval';
+      submission.firstApproval = { approvedBy: approverId, approvedAt: new Date() };
+      submission.secondApprovalReasons = reasons;
+      submission.assignedTo = null;
+      submission.assignedBy = null;
+      submission.assignedAt = null;
+      needsSecondApproval = true;
+    }
+  } else if (submission.firstApproval && submission.firstApproval.approvedBy &&
+    submission.firstApproval.approvedBy.toString() === approverId.toString()) {
+    throw new Error('The second approval must come from a different approver.');
+  }
+
+  if (!needsSecondApproval) {
+    submission.status = 'approved';
+    submission.approvedBy = approverId;
+    submission.approvedAt = new Date();
+    await qualificationsModule.applySubmissionExpiration(submission);
+  }
+
+  if (comment && comment.trim() !== '') {
+    submission.comments.push({
+      author: approverId,
+      text: comment.trim()
+    });
+  }
+
+  await submission.save();
+
+  if (!needsSecondApproval) {
+    try {
+      await qualificationsModule.updateUserQualificationsForApprovedSubmission(submission);
+      console.log(`Qualifications updated for submission ${submission._id}`);
     } catch (err) {
       console.error('Error updating qualifications:', err);
     }
-    
-    res.redirect(`/training/submission/${submission._id}?success=Submission has been approved`);
-    
+  }
+
+  return { needsSecondApproval, missingPrerequisites: prerequisiteCheck.missing };
+};
+
+const recordRejection = async (submission, reviewerId, comment) => {
+  if (!REVIEWABLE_STATUSES.includes(submission.status)) {
+    throw new Error('This submission has already been processed');
+  }
+
+  if (!comment || comment.trim() === '') {
+    throw new Error('A reason is required when rejecting a submission');
+  }
+
+  submission.status = 'rejected';
+  submission.approvedBy = reviewerId;
+  submission.approvedAt = new Date();
+  submission.comments.push({
+    author: reviewerId,
+    text: comment.trim()
+  });
+
+  await submission.save();
+};
+
+// Approve submission
+router.post('/submission/:id/approve', isAuthenticated, isApprover, async (req, res) => {
+  try {
+    const submission = await TrainingSubmission.findById(req.params.id);
+    
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+    
+    const { needsSecondApproval, missingPrerequisites } = await recordApproval(submission, req.user._id, req.body.comment);
+    const prerequisiteNote = missingPrerequisites.length
+      ? ` Note: the member has not completed the prerequisites ${describeMissingPrerequisites(missingPrerequisites)}.`
+      : '';
+    
+    if (needsSecondApproval) {
+      return res.redirect(`/training/submission/${submission._id}?success=` + encodeURIComponent('First approval recorded. The submission now needs a second approver.' + prerequisiteNote));
+    }
+    
+    res.redirect(`/training/submission/${submission._id}?success=` + encodeURIComponent('Submission has been approved.' + prerequisiteNote));
+    
+  } catch (err) {
+    console.error('Error approving submission:', err);
+    res.redirect(`/training/submission/${req.params.id}?error=` + encodeURIComponent(err.message || 'Error approving submission'));
+  }
+});
+
+// Reject submission
+router.post('/submission/:id/reject', isAuthenticated, isApprover, async (req, res) => {
+  try {
+    const submission = await TrainingSubmission.findById(req.params.id);
+    
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+    
+    await recordRejection(submission, req.user._id, req.body.comment);
+    res.redirect(`/training/submission/${submission._id}?success=Submission has been rejected`);
+    
+  } catch (err) {
+    console.error('Error rejecting submission:', err);
+    res.redirect(`/training/submission/${req.params.id}?error=` + encodeURIComponent(err.message || 'Error processing submission rejection'));
+  }
+});
+
+// Approve or reject many submissions with one shared comment. Each item is handled on its
+// own so one failure does not stop the rest; the results page lists every outcome.
+const BULK_REVIEW_MAX_ITEMS = 100;
+
+router.post('/submissions/bulk-review', isAuthenticated, isApprover, async (req, res) => {
+  const requestedReturn = (req.body.returnTo || '').toString();
+  const returnTo = requestedReturn.startsWith('/training/approver/dashboard') ? requestedReturn : '/training/approver/dashboard';
+  try {
+    const action = req.body.action;
+    if (!['approve', 'reject'].includes(action)) {
+      throw new Error('Choose whether to approve or reject the selected submissions.');
+    }
+
+    const rawIds = Array.isArray(req.body.submissionIds)
+      ? req.body.submissionIds
+      : (req.body.submissionIds ? [req.body.submissionIds] : []);
+    const submissionIds = [...new Set(rawIds.map(id => id.toString()))]
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (!submissionIds.length) {
+      throw new Error('Select at least one submission.');
+    }
+    if (submissionIds.length > BULK_REVIEW_MAX_ITEMS) {
+      throw new Error(`Select at most ${BULK_REVIEW_MAX_ITEMS} submissions at a time.`);
+    }
+
+    const comment = (req.body.comment || '').trim();
+    if (action === 'reject' && !comment) {
+      throw new Error('A reason is required when rejecting submissions.');
+    }
+
+    const submissions = await TrainingSubmission.find({ _id: { $in: submissionIds } });
+    const submissionsById = new Map(submissions.map(submission => [submission._id.toString(), submission]));
+
+    // Names for the results page are looked up separately so the submissions keep plain refs
+    const [students, classes] = await Promise.all([
+      User.find({ _id: { $in: submissions.map(submission => submission.student) } }).select('displayName'),
+      TrainingClass.find({ _id: { $in: submissions.map(submission => submission.trainingClass) } }).select('name')
+    ]);
+    const studentNames = new Map(students.map(student => [student._id.toString(), student.displayName]));
+    const classNames = new Map(classes.map(trainingClass => [trainingClass._id.toString(), trainingClass.name]));
+
+    const results = [];
+    for (const id of submissionIds) {
+      const submission = submissionsById.get(id);
+      const result = {
+        id,
+        found: Boolean(submission),
+        studentName: submission ? studentNames.get(String(submission.student)) || null : null,
+        className: submission ? classNames.get(String(submission.trainingClass)) || null : null,
+        success: false,
+        message: ''
+      };
+
+      try {
+        if (!submission) {
+          throw new Error('Submission not found');
+        }
+
+        if (action === 'approve') {
+          const { needsSecondApproval, missingPrerequisites } = await recordApproval(submission, req.user._id, comment);
+          result.message = needsSecondApproval ? 'First approval recorded; needs a second approver' : 'Approved';
+          if (missingPrerequisites.length) {
+            result.message += ` (missing prerequisites: ${describeMissingPrerequisites(missingPrerequisites)})`;
+          }
+        } else {
+          await recordRejection(submission, req.user._id, comment);
+          result.message = 'Rejected';
+        }
+        result.success = true;
+      } catch (err) {
+        console.error(`Bulk ${action} failed for submission ${id}:`, err);
+        result.message = err.message || `Unable to ${action} submission`;
+      }
+
+      results.push(result);
+    }
+
+    res.render('bulk-review-results', {
+      user: req.user,
+      action,
+      comment,
+      results,
+      succeeded: results.filter(result => result.success).length,
+      returnTo
+    });
+  } catch (err) {
+    console.error('Error processing bulk review:', err);
+    res.redirect(appendQueryMessage(returnTo, 'error', err.message || 'Error processing bulk review'));
+  }
+});
+
+// Send a submission back to the member to fix instead of rejecting it outright
+router.post('/submission/:id/request-changes', isAuthenticated, isApprover, async (req, res) => {
+  try {
+    const submission = await TrainingSubmission.findById(req.params.id);
+    
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+    
+    if (!REVIEWABLE_STATUSES.includes(submission.status)) {
+      return res.redirect(`/training/submission/${submission._id}?error=This submission has already been processed`);
+    }
+    
+    if (!req.body.comment || req.body.comment.trim() === '') {
+      return res.redirect(`/training/submission/${submission._id}?error=Explain what needs to change before sending the submission back`);
+    }
+    
+    submission.status = 'changes_requested';
+    submission.approvedBy = req.user._id;
+    submission.approvedAt = new Date();
+    submission.firstApproval = null;
+    submission.secondApprovalReasons = [];
+    submission.comments.push({
+      author: req.user._id,
+      text: req.body.comment.trim()
+    });
+    
+    await submission.save();
+    res.redirect(`/training/submission/${submission._id}?success=Changes have been requested from the member`);
+    
+  } catch (err) {
+    console.error('Error requesting submission changes:', err);
+    res.status(500).render('error', { message: 'Error requesting changes' });
+  }
+});
+
+// Loads one of the current member's own submissions if it is in an editable status,
+// or explains why not
+const loadOwnSubmission = async (req, allowedStatus, statusError) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return { error: 'Submission not found' };
+  }
+
+  const submission = await TrainingSubmission.findById(req.params.id);
+  if (!submission || submission.student.toString() !== req.user._id.toString()) {
+    return { error: 'Submission not found' };
+  }
+
+  if (submission.status !== allowedStatus) {
+    return { error: statusError, submission };
+  }
+
+  return { submission };
+};
+
+const loadResubmittableSubmission = (req) =>
+  loadOwnSubmission(req, 'changes_requested', 'Only submissions with requested changes can be resubmitted');
+
+const loadEditableSubmission = (req) =>
+  loadOwnSubmission(req, 'pending', 'Only submissions that are still pending review can be changed');
+
+// Renders the submission form prefilled with one of the member's own submissions
+const renderMemberSubmissionForm = async (req, res, loadSubmission) => {
+  try {
+    const { submission, error } = await loadSubmission(req);
+    if (error) {
+      return submission
+        ? res.redirect(`/training/submission/${submission._id}?error=${encodeURIComponent(error)}`)
+        : res.status(404).render('error', { message: error });
+    }
+
+    await submission.populate('comments.author', 'displayName');
+    const trainingClasses = await TrainingClass.find({
+      $or: [{ isActive: true }, { _id: submission.trainingClass }]
+    }).sort('name');
+
+    res.render('training-submission', {
+      user: req.user,
+      trainingClasses,
+      selectedClassId: submission.trainingClass.toString(),
+      submission,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading submission form:', err);
+    res.status(500).render('error', { message: 'Error loading submission form' });
+  }
+};
+
+// Applies a member's corrected fields (and optional replacement file) to their submission,
+// records the revision and re-runs the extraction and duplicate checks. Resubmitting also
+// returns the submission to the pending queue.
+const saveMemberSubmissionChanges = async (submission, req, { resubmit }) => {
+  const { trainingClass, startDate, endDate, hoursLogged, courseNumber, comment } = req.body;
+  if (!trainingClass || !mongoose.Types.ObjectId.isValid(trainingClass)) {
+    throw new Error('A valid training class must be selected.');
+  }
+
+  const classRecord = await TrainingClass.findById(trainingClass).select('_id name');
+  if (!classRecord) {
+    throw new Error('Selected training class could not be found.');
+  }
+
+  const start = parseDateAsLocal(startDate);
+  const end = parseDateAsLocal(endDate);
+  if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new Error('Start and end dates are required.');
+  }
+
+  if (end < start) {
+    throw new Error('End date cannot be earlier than start date.');
+  }
+
+  const hours = parseFloat(hoursLogged);
+  if (Number.isNaN(hours) || hours < 0) {
+    throw new Error('Hours completed must be a non-negative number.');
+  }
+
+  const previousClass = await TrainingClass.findById(submission.trainingClass).select('name');
+  const previousValues = snapshotRevisionValues(submission, previousClass ? previousClass.name : null);
+
+  submission.trainingClass = classRecord._id;
+  submission.startDate = start;
+  submission.endDate = end;
+  submission.hoursLogged = hours;
+  submission.courseNumber = (courseNumber || '').trim();
+  if (resubmit) {
+    submission.status = 'pending';
+    submission.approvedBy = undefined;
+    submission.approvedAt = undefined;
+    submission.resubmittedAt = new Date();
+  }
+
+  const replacedFile = req.file ? pickCertificateFile(submission.certificateFile) : null;
+  if (req.file) {
+    submission.certificateFile = {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      path: req.file.path,
+      mimeType: req.file.mimetype,
+      contentHash: req.file.contentHash,
+      uploadDate: new Date()
+    };
+  }
+
+  const changed = addSubmissionRevision(submission, previousValues, {
+    editor: req.user._id,
+    className: classRecord.name,
+    replacedFile
+  });
+
+  if (comment && comment.trim()) {
+    submission.comments.push({
+      author: req.user._id,
+      text: comment.trim()
+    });
+  }
+
+  await submission.save();
+  if (req.file) {
+    await recordSubmissionExtraction(submission._id, req.file, req.user);
+  }
+  const duplicates = await checkSubmissionForDuplicates(submission);
+
+  return { changed, duplicates };
+};
+
+// Member form to correct a submission that was sent back
+router.get('/submission/:id/resubmit', isAuthenticated, (req, res) =>
+  renderMemberSubmissionForm(req, res, loadResubmittableSubmission));
+
+// Member corrects fields and/or replaces the file; the submission goes back to the pending queue
+router.post('/submission/:id/resubmit', isAuthenticated, uploadReplacementCertificate, async (req, res) => {
+  const formUrl = `/training/submission/${req.params.id}/resubmit`;
+  try {
+    const { submission, error } = await loadResubmittableSubmission(req);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const { duplicates } = await saveMemberSubmissionChanges(submission, req, { resubmit: true });
+
+    const successMessage = 'Your submission has been resubmitted for review.' + describeDuplicateWarning(duplicates);
+    res.redirect(`/training/submission/${submission._id}?success=${encodeURIComponent(successMessage)}`);
+  } catch (err) {
+    console.error('Error resubmitting training:', err);
+    if (req.file) {
+      await deleteFileIfExists(req.file.filename);
+    }
+    res.redirect(`${formUrl}?error=${encodeURIComponent(err.message || 'An error occurred while resubmitting your training')}`);
+  }
+});
+
+// Member fixes their own submission while it is still waiting for review
+router.get('/submission/:id/edit', isAuthenticated, (req, res) =>
+  renderMemberSubmissionForm(req, res, loadEditableSubmission));
+
+router.post('/submission/:id/edit', isAuthenticated, uploadReplacementCertificate, async (req, res) => {
+  const formUrl = `/training/submission/${req.params.id}/edit`;
+  try {
+    const { submission, error } = await loadEditableSubmission(req);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const { changed, duplicates } = await saveMemberSubmissionChanges(submission, req, { resubmit: false });
+
+    const successMessage = (changed ? 'Your submission has been updated.' : 'No changes were made.') +
+      describeDuplicateWarning(duplicates);
+    res.redirect(`/training/submission/${submission._id}?success=${encodeURIComponent(successMessage)}`);
+  } catch (err) {
+    console.error('Error editing training submission:', err);
+    if (req.file) {
+      await deleteFileIfExists(req.file.filename);
+    }
+    res.redirect(`${formUrl}?error=${encodeURIComponent(err.message || 'An error occurred while updating your submission')}`);
+  }
+});
+
+// Member withdraws a pending submission; it leaves the review queue but stays on record
+router.post('/submission/:id/withdraw', isAuthenticated, async (req, res) => {
+  try {
+    const { submission, error } = await loadEditableSubmission(req);
+    if (error) {
+      return submission
+        ? res.redirect(`/training/submission/${submission._id}?error=${encodeURIComponent(error)}`)
+        : res.status(404).render('error', { message: error });
+    }
+
+    const trainingClass = await TrainingClass.findById(submission.trainingClass).select('name');
+    const previousValues = snapshotRevisionValues(submission, trainingClass ? trainingClass.name : null);
+
+    submission.status = 'withdrawn';
+    submission.withdrawnAt = new Date();
+    submission.assignedTo = null;
+    submission.assignedBy = null;
+    submission.assignedAt = null;
+    addSubmissionRevision(submission, previousValues, {
+      editor: req.user._id,
+      className: trainingClass ? trainingClass.name : null
+    });
+
+    if (req.body.reason && req.body.reason.trim()) {
+      submission.comments.push({
+        author: req.user._id,
+        text: req.body.reason.trim()
+      });
+    }
+
+    await submission.save();
+    res.redirect(`/training/submission/${submission._id}?success=` + encodeURIComponent('Your submission has been withdrawn.'));
+  } catch (err) {
+    console.error('Error withdrawing submission:', err);
+    res.status(500).render('error', { message: 'Error withdrawing submission' });
+  }
+});
+
+// Add comment to submission
+router.post('/submission/:id/comment', isAuthenticated, async (req, res) => {
+  try {
+    const submission = await TrainingSubmission.findById(req.params.id);
+    
+    if (!submission) {
+      return res.status(404).render('error', { message: 'Submission not found' });
+    }
+    
+    // Check if user is allowed to comment
+    const isOwner = submission.student.toString() === req.user._id.toString();
+    if (!isOwner && !canReviewSubmissions(req.user)) {
+      return res.status(403).render('error', { message: 'Access denied to this submission' });
+    }
+    
+    if (!req.body.comment || req.body.comment.trim() === '') {
+      return res.redirect(`/training/submission/${submission._id}?error=Comment cannot be empty`);
+    }
+    
+    submission.comments.push({
+      author: req.user._id,
+      text: req.body.comment.trim()
+    });
+    
+    await submission.save();
+    res.redirect(`/training/submission/${submission._id}?success=Comment added`);
+    
+  } catch (err) {
+    console.error('Error adding comment:', err);
+    res.status(500).render('error', { message: 'Error adding comment' });
+  }
+});
+
+// TRAINING CLASS MANAGEMENT ROUTES
+
+// Add new training class
+router.post('/class/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const { name, description, hoursValue, validityMonths, prerequisites } = req.body;
+    
+    if (!name || name.trim() === '') {
+      return res.redirect('/training/manage-classes?error=Class name is required');
+    }
+    
+    // Check if class with same name already exists
+    const existingClass = await TrainingClass.findOne({ name: name.trim() });
+    if (existingClass) {
+      return res.redirect('/training/manage-classes?error=A class with this name already exists');
+    }
+    
+    let categories;
+    try {
+      categories = await resolveClassCategories(req.body.category, req.body.subcategory);
+    } catch (categoryErr) {
+      return res.redirect('/training/manage-classes?error=' + encodeURIComponent(categoryErr.message));
+    }
+    
+    const trainingClass = new TrainingClass({
+      name: name.trim(),
+      description: description ? description.trim() : '',
+      hoursValue: hoursValue || 0,
+      category: categories.category,
+      subcategory: categories.subcategory,
+      validityMonths: parseValidityMonths(validityMonths),
+      requiresSecondApproval: req.body.requiresSecondApproval === 'on',
+      // A new class cannot close a prerequisite loop, since nothing lists it yet
+      prerequisites: parsePrerequisiteIds(prerequisites),
+      createdBy: req.user._id
+    });
+    
+    await trainingClass.save();
+    res.redirect('/training/manage-classes?success=Training class added successfully');
+    
+  } catch (err) {
+    console.error('Error adding training class:', err);
+    res.status(500).render('error', { message: 'Error adding training class' });
+  }
+});
+
+router.post('/classes/quick-add', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+  try {
+    const canCreate = req.user.isAdmin || (req.user.roles && req.user.roles.includes('Training Officer'));
+    if (!canCreate) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only Training Officers can create new classes.'
+      });
+    }
+
+    const name = (req.body.name || '').trim();
+    const description = (req.body.description || '').trim();
+    const hoursValueRaw = req.body.hoursValue;
+    const hoursValue = hoursValueRaw === '' || hoursValueRaw == null ? 0 : Number(hoursValueRaw);
+
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Class name is required.' });
+    }
+
+    if (!Number.isFinite(hoursValue) || hoursValue < 0) {
+      return res.status(400).json({ success: false, error: 'Hours must be 0 or greater.' });
+    }
+
+    const existingClass = await TrainingClass.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') });
+    if (existingClass) {
+      return res.status(409).json({
+        success: false,
+        error: 'A class with this name already exists.',
+        class: {
+          id: existingClass._id,
+          name: existingClass.name,
+          hoursValue: existingClass.hoursValue
+        }
+      });
+    }
+
+    const trainingClass = new TrainingClass({
+      name,
+      description,
+      hoursValue,
+      createdBy: req.user._id,
+      isActive: true
+    });
+
+    await trainingClass.save();
+
+    return res.json({
+      success: true,
+      class: {
+        id: trainingClass._id,
+        name: trainingClass.name,
+        hoursValue: trainingClass.hoursValue
+      }
+    });
+  } catch (err) {
+    console.error('Error creating training class from certificate workflow:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to create class right now.'
+    });
+  }
+});
+
+// Classes whose names only differ in case, punctuation or spacing, e.g. "CPR - BLS" and "cpr bls"
+const findLikelyDuplicateClasses = (trainingClasses) => {
+  const byName = new Map();
+  trainingClasses.forEach(trainingClass => {
+    const key = normalizeForMatch(trainingClass.name, { keepNumbers: true });
+    if (!byName.has(key)) {
+      byName.set(key, []);
+    }
+    byName.get(key).push(trainingClass);
+  });
+  return [...byName.values()].filter(group => group.length > 1);
+};
+
+// Pick a class to keep and its duplicates, then preview what the merge will change
+router.get('/classes/merge', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const trainingClasses = await TrainingClass.find({}).select('name hoursValue isActive createdAt').sort({ name: 1 });
+    const survivorId = req.query.survivor || '';
+    const duplicateIds = [].concat(req.query.duplicates || []);
+
+    let preview = null;
+    let error = req.query.error;
+    if (survivorId || duplicateIds.length) {
+      try {
+        preview = await previewClassMerge(survivorId, duplicateIds);
+      } catch (previewErr) {
+        error = previewErr.message;
+      }
+    }
+
+    res.render('merge-classes', {
+      user: req.user,
+      trainingClasses,
+      likelyDuplicates: findLikelyDuplicateClasses(trainingClasses),
+      survivorId,
+      duplicateIds,
+      preview,
+      error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading class merge:', err);
+    res.status(500).render('error', { message: 'Error loading class merge' });
+  }
+});
+
+// Merge the duplicates into the surviving class and re-evaluate everyone it affects
+router.post('/classes/merge', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  const survivorId = req.body.survivor || '';
+  const duplicateIds = [].concat(req.body.duplicates || []);
+  const previewUrl = `/training/classes/merge?${new URLSearchParams([
+    ['survivor', survivorId],
+    ...duplicateIds.map(id => ['duplicates', id])
+  ]).toString()}`;
+
+  try {
+    let merged;
+    try {
+      merged = await mergeClasses(survivorId, duplicateIds);
+    } catch (mergeErr) {
+      return res.redirect(appendQueryMessage(previewUrl, 'error', mergeErr.message));
+    }
+
+    // Moved submissions take the surviving class's validity period
+    await qualificationsModule.refreshClassExpirations(merged.survivor._id);
+    for (const memberId of merged.affectedMemberIds) {
+      await qualificationsModule.recalculateUserQualifications(memberId);
+    }
+
+    const names = merged.duplicates.map(trainingClass => trainingClass.name).join(', ');
+    res.redirect('/training/manage-classes?success=' + encodeURIComponent(
+      `Merged ${names} into ${merged.survivor.name}; ${merged.affectedMemberIds.length} member${merged.affectedMemberIds.length === 1 ? '' : 's'} re-evaluated`
+    ));
+  } catch (err) {
+    console.error('Error merging training classes:', err);
+    res.status(500).render('error', { message: 'Error merging training classes' });
+  }
+});
+
+// Toggle class active status
+router.post('/class/:id/toggle', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const trainingClass = await TrainingClass.findById(req.params.id);
+    
+    if (!trainingClass) {
+      return res.status(404).render('error', { message: 'Training class not found' });
+    }
+    
+    trainingClass.isActive = !trainingClass.isActive;
+    await trainingClass.save();
+    
+    const statusText = trainingClass.isActive ? 'activated' : 'deactivated';
+    res.redirect(`/training/manage-classes?success=Training class ${statusText} successfully`);
+    
+  } catch (err) {
+    console.error('Error toggling class status:', err);
+    res.status(500).render('error', { message: 'Error updating training class' });
+  }
+});
+
+// Edit training class form
+router.get('/class/:id/edit', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const trainingClass = await TrainingClass.findById(req.params.id)
+      .populate('prerequisites');
+    
+    if (!trainingClass) {
+      return res.status(404).render('error', { message: 'Training class not found' });
+    }
+    
+    // Get all other classes to select as prerequisites
+    const otherClasses = await TrainingClass.find({
+      _id: { $ne: trainingClass._id }
+    }).sort('name');
+    
+    res.render('edit-class', { 
+      user: req.user, 
+      trainingClass,
+      otherClasses,
+      categories: await loadCategoryTree(),
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error fetching training class for edit:', err);
+    res.status(500).render('error', { message: 'Error loading training class' });
+  }
+});
+
+// Update training class
+router.post('/class/:id/update', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const { name, description, hoursValue, validityMonths, prerequisites } = req.body;
+    
+    if (!name || name.trim() === '') {
+      return res.redirect(`/training/class/${req.params.id}/edit?error=Class name is required`);
+    }
+    
+    const trainingClass = await TrainingClass.findById(req.params.id);
+    
+    if (!trainingClass) {
+      return res.status(404).render('error', { message: 'Training class not found' });
+    }
+    
+    // Check if name is being changed and already exists
+    if (name.trim() !== trainingClass.name) {
+      const existingClass = await TrainingClass.findOne({ name: name.trim() });
+      if (existingClass && existingClass._id.toString() !== trainingClass._id.toString()) {
+        return res.redirect(`/training/class/${req.params.id}/edit?error=A class with this name already exists`);
+      }
+    }
+    
+    // Reject prerequisites that would loop back to this class, directly or through other classes
+    const prerequisiteIds = parsePrerequisiteIds(prerequisites);
+    if (prerequisiteIds.includes(trainingClass._id.toString())) {
+      return res.redirect(`/training/class/${req.params.id}/edit?error=A class cannot be a prerequisite of itself`);
+    }
+    
+    const prerequisiteCycle = await findPrerequisiteCycle(trainingClass._id, prerequisiteIds);
+    if (prerequisiteCycle) {
+      return res.redirect(`/training/class/${req.params.id}/edit?error=` + encodeURIComponent(`These prerequisites would create a loop: ${prerequisiteCycle.join(' → ')}`));
+    }
+    
+    let categories;
+    try {
+      categories = await resolveClassCategories(req.body.category, req.body.subcategory);
+    } catch (categoryErr) {
+      return res.redirect(`/training/class/${req.params.id}/edit?error=` + encodeURIComponent(categoryErr.message));
+    }
+    
+    trainingClass.name = name.trim();
+    trainingClass.category = categories.category;
+    trainingClass.subcategory = categories.subcategory;
+    trainingClass.description = description ? description.trim() : '';
+    trainingClass.hoursValue = hoursValue || 0;
+    trainingClass.requiresSecondApproval = req.body.requiresSecondApproval === 'on';
+    trainingClass.prerequisites = prerequisiteIds;
+    
+    const newValidityMonths = parseValidityMonths(validityMonths);
+    const validityChanged = newValidityMonths !== (trainingClass.validityMonths || null);
+    trainingClass.validityMonths = newValidityMonths;
+    
+    await trainingClass.save();
+    
+    // Existing completions are re-dated so qualifications lapse (or recover) under the new period
+    if (validityChanged) {
+      await qualificationsModule.refreshClassExpirations(trainingClass._id);
+    }
+    
+    res.redirect(`/training/manage-classes?success=Training class updated successfully`);
+    
+  } catch (err) {
+    console.error('Error updating training class:', err);
+    res.status(500).render('error', { message: 'Error updating training class' });
+  }
+});
+
+// TRAINING CATEGORY MANAGEMENT ROUTES
+
+// Add a category, or a subcategory when a parent is chosen
+router.post('/categories/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.redirect('/training/manage-classes?error=Category name is required');
+    }
+
+    let parent = null;
+    if (req.body.parent) {
+      parent = mongoose.Types.ObjectId.isValid(req.body.parent)
+        ? await TrainingCategory.findOne({ _id: req.body.parent, parent: null })
+        : null;
+      if (!parent) {
+        return res.redirect('/training/manage-classes?error=Parent category could not be found');
+      }
+    }
+
+    const existing = await TrainingCategory.findOne({
+      parent: parent ? parent._id : null,
+      name: new RegExp(`^${escapeRegex(name)}$`, 'i')
+    });
+    if (existing) {
+      return res.redirect('/training/manage-classes?error=' + encodeURIComponent(`"${name}" already exists there`));
+    }
+
+    await TrainingCategory.create({
+      name,
+      description: (req.body.description || '').trim(),
+      parent: parent ? parent._id : null,
+      createdBy: req.user._id
+    });
+
+    const label = parent ? `Subcategory added under ${parent.name}` : 'Category added';
+    res.redirect('/training/manage-classes?success=' + encodeURIComponent(label));
+  } catch (err) {
+    console.error('Error adding training category:', err);
+    res.status(500).render('error', { message: 'Error adding training category' });
+  }
+});
+
+// Rename a category or switch it on/off; inactive categories stay on existing classes
+router.post('/categories/:id/update', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const category = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await TrainingCategory.findById(req.params.id)
+      : null;
+    if (!category) {
+      return res.status(404).render('error', { message: 'Training category not found' });
+    }
+
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.redirect('/training/manage-classes?error=Category name is required');
+    }
+
+    const clash = await TrainingCategory.findOne({
+      _id: { $ne: category._id },
+      parent: category.parent,
+      name: new RegExp(`^${escapeRegex(name)}$`, 'i')
+    });
+    if (clash) {
+      return res.redirect('/training/manage-classes?error=' + encodeURIComponent(`"${name}" already exists there`));
+    }
+
+    category.name = name;
+    category.isActive = req.body.isActive === 'on';
+    await category.save();
+
+    res.redirect('/training/manage-classes?success=Category updated');
+  } catch (err) {
+    console.error('Error updating training category:', err);
+    res.status(500).render('error', { message: 'Error updating training category' });
+  }
+});
+
+// Delete an unused category; ones still on classes or with subcategories should be deactivated instead
+router.post('/categories/:id/delete', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const category = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await TrainingCategory.findById(req.params.id)
+      : null;
+    if (!category) {
+      return res.status(404).render('error', { message: 'Training category not found' });
+    }
+
+    const [classCount, subcategoryCount, requirementCount] = await Promise.all([
+      TrainingClass.countDocuments({ $or: [{ category: category._id }, { subcategory: category._id }] }),
+      TrainingCategory.countDocuments({ parent: category._id }),
+      HourRequirement.countDocuments({ category: category._id })
+    ]);
+    if (classCount || subcategoryCount || requirementCount) {
+      let reason = 'it has subcategories';
+      if (classCount) {
+        reason = `${classCount} class${classCount === 1 ? ' uses' : 'es use'} it`;
+      } else if (requirementCount) {
+        reason = 'an annual hour requirement uses it';
+      }
+      return res.redirect('/training/manage-classes?error=' + encodeURIComponent(`Cannot delete "${category.name}" because ${reason}. Deactivate it instead.`));
+    }
+
+    await category.deleteOne();
+    res.redirect('/training/manage-classes?success=Category deleted');
+  } catch (err) {
+    console.error('Error deleting training category:', err);
+    res.status(500).render('error', { message: 'Error deleting training category' });
+  }
+});
+
+// CLASS EQUIVALENCY ROUTES
+
+// Re-evaluate qualifications for everyone with approved training in any of these classes
+const recalculateQualificationsForClasses = async (classIds) => {
+  const studentIds = await TrainingSubmission.distinct('student', {
+    trainingClass: { $in: classIds },
+    status: 'approved'
+  });
+  for (const studentId of studentIds) {
+    await qualificationsModule.recalculateUserQualifications(studentId);
+  }
+};
+
+// Equivalency groups and MFRI course-code mappings
+router.get('/equivalencies', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const [groups, mappings, trainingClasses] = await Promise.all([
+      ClassEquivalencyGroup.find({})
+        .populate('classes', 'name isActive')
+        .sort({ name: 1 }),
+      CourseCodeMapping.find({})
+        .populate('trainingClass', 'name isActive')
+        .sort({ prefix: 1 }),
+      TrainingClass.find({}).select('name isActive').sort({ name: 1 })
+    ]);
+
+    const groupedClassIds = new Set(groups.flatMap(group => group.classes.map(trainingClass => trainingClass._id.toString())));
+
+    res.render('class-equivalencies', {
+      user: req.user,
+      groups,
+      mappings,
+      trainingClasses,
+      ungroupedClasses: trainingClasses.filter(trainingClass => !groupedClassIds.has(trainingClass._id.toString())),
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading class equivalencies:', err);
+    res.status(500).render('error', { message: 'Error loading class equivalencies' });
+  }
+});
+
+// Group two or more classes so a completion of any one satisfies the others
+router.post('/equivalencies/groups/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const classIds = [...new Set([].concat(req.body.classIds || []))]
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (!name) {
+      return res.redirect('/training/equivalencies?error=Group name is required');
+    }
+    if (classIds.length < 2) {
+      return res.redirect('/training/equivalencies?error=Choose at least two classes to group');
+    }
+
+    const classCount = await TrainingClass.countDocuments({ _id: { $in: classIds } });
+    if (classCount !== classIds.length) {
+      return res.redirect('/training/equivalencies?error=One or more classes could not be found');
+    }
+
+    const existingGroup = await ClassEquivalencyGroup.findOne({ classes: { $in: classIds } });
+    if (existingGroup) {
+      return res.redirect('/training/equivalencies?error=' + encodeURIComponent(`A chosen class already belongs to "${existingGroup.name}"`));
+    }
+
+    await ClassEquivalencyGroup.create({
+      name,
+      classes: classIds,
+      notes: (req.body.notes || '').trim(),
+      createdBy: req.user._id
+    });
+    await recalculateQualificationsForClasses(classIds);
+
+    res.redirect('/training/equivalencies?success=' + encodeURIComponent(`Equivalency group "${name}" added`));
+  } catch (err) {
+    console.error('Error adding equivalency group:', err);
+    res.status(500).render('error', { message: 'Error adding equivalency group' });
+  }
+});
+
+// Ungroup the classes; anyone credited through the group is re-evaluated
+router.post('/equivalencies/groups/:id/delete', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const group = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ClassEquivalencyGroup.findById(req.params.id)
+      : null;
+    if (!group) {
+      return res.status(404).render('error', { message: 'Equivalency group not found' });
+    }
+
+    await group.deleteOne();
+    await recalculateQualificationsForClasses(group.classes);
+
+    res.redirect('/training/equivalencies?success=' + encodeURIComponent(`Equivalency group "${group.name}" removed`));
+  } catch (err) {
+    console.error('Error deleting equivalency group:', err);
+    res.status(500).render('error', { message: 'Error deleting equivalency group' });
+  }
+});
+
+// Map a course-code prefix such as EMS-202 to the class its offerings should be filed under
+router.post('/equivalencies/course-codes/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const prefix = normalizeCoursePrefix(req.body.prefix);
+    if (!prefix) {
+      return res.redirect('/training/equivalencies?error=' + encodeURIComponent('Enter a course code prefix such as EMS-202'));
+    }
+
+    const trainingClass = mongoose.Types.ObjectId.isValid(req.body.trainingClass)
+      ? await TrainingClass.findById(req.body.trainingClass).select('name')
+      : null;
+    if (!trainingClass) {
+      return res.redirect('/training/equivalencies?error=Training class could not be found');
+    }
+
+    const existing = await CourseCodeMapping.findOne({ prefix }).populate('trainingClass', 'name');
+    if (existing) {
+      const mappedTo = existing.trainingClass ? existing.trainingClass.name : 'a removed class';
+      return res.redirect('/training/equivalencies?error=' + encodeURIComponent(`${prefix} is already mapped to ${mappedTo}`));
+    }
+
+    await CourseCodeMapping.create({
+      prefix,
+      trainingClass: trainingClass._id,
+      createdBy: req.user._id
+    });
+
+    res.redirect('/training/equivalencies?success=' + encodeURIComponent(`${prefix} now maps to ${trainingClass.name}`));
+  } catch (err) {
+    console.error('Error adding course code mapping:', err);
+    res.status(500).render('error', { message: 'Error adding course code mapping' });
+  }
+});
+
+router.post('/equivalencies/course-codes/:id/delete', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const mapping = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await CourseCodeMapping.findById(req.params.id)
+      : null;
+    if (!mapping) {
+      return res.status(404).render('error', { message: 'Course code mapping not found' });
+    }
+
+    await mapping.deleteOne();
+    res.redirect('/training/equivalencies?success=' + encodeURIComponent(`${mapping.prefix} mapping removed`));
+  } catch (err) {
+    console.error('Error deleting course code mapping:', err);
+    res.status(500).render('error', { message: 'Error deleting course code mapping' });
+  }
+});
+
+// IN-HOUSE TRAINING SESSION ROUTES
+
+const TRAINING_SESSION_STATUSES = ['scheduled', 'closed', 'cancelled'];
+
+const loadTrainingSession = (sessionId, { includeCheckInSecret = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  const query = TrainingSession.findById(sessionId);
+  return includeCheckInSecret ? query.select('+checkIn.secret') : query;
+};
+
+// Training officers run check-in for any session; a member instructor can run it for their own
+const canRunSessionCheckIn = (user, session) => {
+  if (user.isAdmin || (user.roles && user.roles.includes('Training Officer'))) {
+    return true;
+  }
+  const instructorId = session.instructor && (session.instructor._id || session.instructor);
+  return Boolean(instructorId) && instructorId.toString() === user._id.toString();
+};
+
+// Shared by the create and update forms; returns { values } or { error }
+const parseTrainingSessionInput = async (body) => {
+  const trainingClass = mongoose.Types.ObjectId.isValid(body.trainingClass)
+    ? await TrainingClass.findById(body.trainingClass)
+    : null;
+  if (!trainingClass) {
+    return { error: 'Training class not found' };
+  }
+
+  const sessionDate = parseDateAsLocal(body.sessionDate);
+  if (!sessionDate) {
+    return { error: 'Please provide a valid session date' };
+  }
+
+  const hours = body.hours === undefined || body.hours === '' ? trainingClass.hoursValue : Number(body.hours);
+  if (!Number.isFinite(hours) || hours < 0) {
+    return { error: 'Hours must be 0 or greater' };
+  }
+
+  let instructor = null;
+  if (body.instructor) {
+    instructor = mongoose.Types.ObjectId.isValid(body.instructor)
+      ? await User.findById(body.instructor).select('displayName')
+      : null;
+    if (!instructor) {
+      return { error: 'Instructor not found' };
+    }
+  }
+
+  const instructorName = (body.instructorName || '').trim();
+  if (!instructor && !instructorName) {
+    return { error: 'Choose an instructor or enter an outside instructor name' };
+  }
+
+  return {
+    values: {
+      trainingClass: trainingClass._id,
+      sessionDate,
+      hours,
+      instructor: instructor ? instructor._id : null,
+      instructorName: instructor ? '' : instructorName,
+      location: (body.location || '').trim(),
+      notes: (body.notes || '').trim()
+    }
+  };
+};
+
+const describeSessionInstructor = (session) => {
+  if (session.instructor && session.instructor.displayName) {
+    return session.instructor.displayName;
+  }
+  return session.instructorName || 'Unknown instructor';
+};
+
+const describeSessionAttendance = (rosterEntry, sessionHours) => {
+  if (!rosterEntry.checkedInAt) {
+    return '';
+  }
+  const checkedIn = new Date(rosterEntry.checkedInAt).toLocaleTimeString();
+  const times = rosterEntry.checkedOutAt
+    ? `; checked in ${checkedIn}, out ${new Date(rosterEntry.checkedOutAt).toLocaleTimeString()}`
+    : `; checked in ${checkedIn}, no check-out`;
+  return calculateCreditedHours(rosterEntry, sessionHours) ? times : `${times}; hours entered at close`;
+};
+
+// Record an approved submission for one attendee; mirrors an admin upload on the member's behalf
+const createSessionSubmission = async (session, rosterEntry, closedBy) => {
+  const submission = new TrainingSubmission({
+    student: rosterEntry.member,
+    trainingClass: session.trainingClass._id,
+    startDate: session.sessionDate,
+    endDate: session.sessionDate,
+    hoursLogged: rosterEntry.creditedHours,
+    createdByAdmin: closedBy._id,
+    uploadedForUser: rosterEntry.member,
+    trainingSession: session._id,
+    status: 'approved',
+    approvedBy: closedBy._id,
+    approvedAt: new Date(),
+    comments: [{
+      author: closedBy._id,
+      text: `Recorded from the in-house ${session.trainingClass.name} session on ${toLocalDayKey(session.sessionDate)} (instructor: ${describeSessionInstructor(session)}${describeSessionAttendance(rosterEntry, session.hours)}), closed by ${closedBy.displayName}`
+    }]
+  });
+
+  await qualificationsModule.applySubmissionExpiration(submission);
+  await submission.save();
+
+  try {
+    await qualificationsModule.updateUserQualificationsForApprovedSubmission(submission);
+  } catch (qualificationErr) {
+    console.error('Error updating qualifications for session submission:', qualificationErr);
+  }
+
+  return submission;
+};
+
+// Sessions list with a scheduling form
+router.get('/sessions', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const statusFilter = TRAINING_SESSION_STATUSES.includes(req.query.status) ? req.query.status : 'scheduled';
+
+    const [sessions, trainingClasses, members] = await Promise.all([
+      TrainingSession.find({ status: statusFilter })
+        .populate('trainingClass', 'name')
+        .populate('instructor', 'displayName')
+        .sort(statusFilter === 'scheduled' ? { sessionDate: 1 } : { sessionDate: -1 })
+        .limit(200),
+      TrainingClass.find({ isActive: true }).sort('name').select('name hoursValue'),
+      User.find({}).sort('displayName').select('displayName email')
+    ]);
+
+    res.render('training-sessions', {
+      user: req.user,
+      sessions,
+      trainingClasses,
+      members,
+      statusFilter,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading training sessions:', err);
+    res.status(500).render('error', { message: 'Error loading training sessions' });
+  }
+});
+
+// Schedule a session
+router.post('/sessions/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const { values, error } = await parseTrainingSessionInput(req.body);
+    if (error) {
+      return res.redirect('/training/sessions?error=' + encodeURIComponent(error));
+    }
+
+    const session = await TrainingSession.create({
+      ...values,
+      createdBy: req.user._id
+    });
+
+    res.redirect(`/training/sessions/${session._id}?success=` + encodeURIComponent('Session scheduled. Add attendees to the roster.'));
+  } catch (err) {
+    console.error('Error scheduling training session:', err);
+    res.status(500).render('error', { message: 'Error scheduling training session' });
+  }
+});
+
+// Session detail with roster management
+router.get('/sessions/:id', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
+    }
+
+    await session.populate([
+      { path: 'trainingClass', select: 'name hoursValue' },
+      { path: 'instructor', select: 'displayName' },
+      { path: 'roster.member', select: 'displayName email' },
+      { path: 'closedBy', select: 'displayName' }
+    ]);
+
+    const rosterMemberIds = session.roster.map(entry => entry.member && entry.member._id.toString());
+    const [trainingClasses, members] = await Promise.all([
+      TrainingClass.find({ isActive: true }).sort('name').select('name hoursValue'),
+      User.find({}).sort('displayName').select('displayName email')
+    ]);
+
+    res.render('training-session', {
+      user: req.user,
+      session,
+      trainingClasses,
+      members,
+      availableMembers: members.filter(member => !rosterMemberIds.includes(member._id.toString())),
+      // Hours each attendee was (or would be) credited, from their check-in times
+      creditedHours: Object.fromEntries(session.roster.map(entry => [
+        entry._id.toString(),
+        entry.creditedHours !== null && entry.creditedHours !== undefined
+          ? entry.creditedHours
+          : calculateCreditedHours(entry, session.hours)
+      ])),
+      isMissingCheckOut,
+      error: req.query.error,
+      success: req.query.success
+    });
+  } catch (err) {
+    console.error('Error loading training session:', err);
+    res.status(500).render('error', { message: 'Error loading training session' });
+  }
+});
+
+// Change a scheduled session's details
+router.post('/sessions/:id/update', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
+    }
+
+    if (session.status !== 'scheduled') {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('Only scheduled sessions can be changed'));
+    }
+
+    const { values, error } = await parseTrainingSessionInput(req.body);
+    if (error) {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent(error));
+    }
+
+    Object.assign(session, values);
+    await session.save();
+
+    res.redirect(`/training/sessions/${session._id}?success=Session updated`);
+  } catch (err) {
+    console.error('Error updating training session:', err);
+    res.status(500).render('error', { message: 'Error updating training session' });
+  }
+});
+
+// Add members to the roster
+router.post('/sessions/:id/roster/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
+    }
+
+    if (session.status !== 'scheduled') {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('The roster is locked once a session is closed or cancelled'));
+    }
+
+    const requestedIds = [].concat(req.body.memberIds || [])
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    const members = await User.find({ _id: { $in: requestedIds } }).select('_id');
+    const existingIds = new Set(session.roster.map(entry => entry.member.toString()));
+    const newMembers = members.filter(member => !existingIds.has(member._id.toString()));
+
+    if (!newMembers.length) {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('Select at least one member who is not already on the roster'));
+    }
+
+    newMembers.forEach(member => session.roster.push({ member: member._id }));
+    await session.save();
+
+    const message = `Added ${newMembers.length} member${newMembers.length === 1 ? '' : 's'} to the roster`;
+    res.redirect(`/training/sessions/${session._id}?success=` + encodeURIComponent(message));
   } catch (err) {
-    console.error('Error approving submission:', err);
-    res.redirect(`/training/submission/${req.params.id}?error=` + encodeURIComponent(err.message || 'Error approving submission'));
+    console.error('Error adding session attendees:', err);
+    res.status(500).render('error', { message: 'Error updating session roster' });
   }
 });
 
-// Reject submission
-router.post('/submission/:id/reject', isAuthenticated, isApprover, async (req, res) => {
+// Take a member off the roster
+router.post('/sessions/:id/roster/:entryId/remove', isAuthenticated, isTrainingOfficer, async (req, res) => {
   try {
-    const submission = await TrainingSubmission.findById(req.params.id);
-    
-    if (!submission) {
-      return res.status(404).render('error', { message: 'Submission not found' });
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
     }
-    
-    if (submission.status !== 'pending') {
-      return res.redirect(`/training/submission/${submission._id}?error=This submission has already been processed`);
+
+    if (session.status !== 'scheduled') {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('The roster is locked once a session is closed or cancelled'));
     }
-    
-    if (!req.body.comment || req.body.comment.trim() === '') {
-      return res.redirect(`/training/submission/${submission._id}?error=A reason is required when rejecting a submission`);
+
+    const entry = session.roster.id(req.params.entryId);
+    if (!entry) {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('Roster entry not found'));
     }
-    
-    submission.status = 'rejected';
-    submission.approvedBy = req.user._id;
-    submission.approvedAt = new Date();
-    
-    // Add rejection comment
-    submission.comments.push({
-      author: req.user._id,
-      text: req.body.comment.trim()
-    });
-    
-    await submission.save();
-    res.redirect(`/training/submission/${submission._id}?success=Submission has been rejected`);
-    
+
+    entry.deleteOne();
+    await session.save();
+
+    res.redirect(`/training/sessions/${session._id}?success=` + encodeURIComponent('Removed from the roster'));
   } catch (err) {
-    console.error('Error rejecting submission:', err);
-    res.status(500).render('error', { message: 'Error processing submission rejection' });
+    console.error('Error removing session attendee:', err);
+    res.status(500).render('error', { message: 'Error updating session roster' });
   }
 });
 
-// Add comment to submission
-router.post('/submission/:id/comment', isAuthenticated, async (req, res) => {
+// Close the session: record an approved submission for every attendee and update their qualifications.
+// Attendees whose submission fails keep the session open so closing again retries just them.
+router.post('/sessions/:id/close', isAuthenticated, isTrainingOfficer, async (req, res) => {
   try {
-    const submission = await TrainingSubmission.findById(req.params.id);
-    
-    if (!submission) {
-      return res.status(404).render('error', { message: 'Submission not found' });
+    // Stop check-in first so the roster read below is the one the form is applied to
+    if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+      await TrainingSession.updateOne({ _id: req.params.id, status: 'scheduled' }, { $set: { 'checkIn.isOpen': false } });
     }
-    
-    // Check if user is allowed to comment
-    const isOwner = submission.student.toString() === req.user._id.toString();
-    if (!isOwner && !canReviewSubmissions(req.user)) {
-      return res.status(403).render('error', { message: 'Access denied to this submission' });
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
     }
-    
-    if (!req.body.comment || req.body.comment.trim() === '') {
-      return res.redirect(`/training/submission/${submission._id}?error=Comment cannot be empty`);
+
+    if (session.status !== 'scheduled') {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('This session is no longer open'));
     }
-    
-    submission.comments.push({
-      author: req.user._id,
-      text: req.body.comment.trim()
+
+    await session.populate([
+      { path: 'trainingClass', select: 'name' },
+      { path: 'instructor', select: 'displayName' }
+    ]);
+    if (!session.trainingClass) {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('The session\'s training class no longer exists'));
+    }
+
+    // The ticks only decide rows the officer saw in their current state. Anyone who checked in by
+    // QR code after the page was loaded counts as attended unless the officer unticks them later.
+    const toIdSet = (value) => new Set([].concat(value || []).map(String));
+    const attendedIds = toIdSet(req.body.attended);
+    const shownIds = toIdSet(req.body.shown);
+    const shownCheckedInIds = toIdSet(req.body.shownCheckedIn);
+    session.roster.forEach(entry => {
+      if (entry.submission) {
+        return;
+      }
+      const entryId = entry._id.toString();
+      if (shownIds.has(entryId) && (!entry.checkedInAt || shownCheckedInIds.has(entryId))) {
+        entry.attended = attendedIds.has(entryId);
+      } else if (entry.checkedInAt) {
+        entry.attended = true;
+      }
     });
-    
-    await submission.save();
-    res.redirect(`/training/submission/${submission._id}?success=Comment added`);
-    
+
+    const attendees = session.roster.filter(entry => entry.attended && !entry.submission);
+    if (!attendees.length && !session.roster.some(entry => entry.submission)) {
+      await session.save();
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('Mark at least one attendee before closing the session'));
+    }
+
+    // Attendees with no check-out or no creditable time need hours entered by the officer;
+    // nothing is recorded until every one of them has hours or is unticked
+    const enteredHours = req.body.hours || {};
+    const creditedHours = new Map();
+    const missingHoursCount = attendees.filter(entry => {
+      const calculated = calculateCreditedHours(entry, session.hours);
+      const entered = parseFloat(enteredHours[entry._id.toString()]);
+      const hours = calculated || (entered > 0 && entered <= session.hours ? entered : null);
+      creditedHours.set(entry, hours);
+      return !hours;
+    }).length;
+    if (missingHoursCount) {
+      await session.save();
+      const message = `Enter hours (up to ${session.hours}) for the ${missingHoursCount} attendee${missingHoursCount === 1 ? '' : 's'} with no check-out or under a quarter hour checked in, or untick them`;
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent(message));
+    }
+    attendees.forEach(entry => {
+      entry.creditedHours = creditedHours.get(entry);
+    });
+
+    let recordedCount = 0;
+    let flaggedCount = 0;
+    const failures = [];
+
+    for (const entry of attendees) {
+      try {
+        const submission = await createSessionSubmission(session, entry, req.user);
+        entry.submission = submission._id;
+        recordedCount += 1;
+
+        const duplicates = await checkSubmissionForDuplicates(submission);
+        if (duplicates.length) {
+          flaggedCount += 1;
+        }
+      } catch (entryErr) {
+        console.error('Error recording session attendance:', entryErr);
+        failures.push(entry.member.toString());
+      }
+    }
+
+    if (!failures.length) {
+      session.status = 'closed';
+      session.checkIn.isOpen = false;
+      session.closedBy = req.user._id;
+      session.closedAt = new Date();
+    }
+    await session.save();
+
+    const summary = `Recorded ${recordedCount} approved submission${recordedCount === 1 ? '' : 's'}` +
+      (flaggedCount ? `; ${flaggedCount} flagged as possible duplicate${flaggedCount === 1 ? '' : 's'}` : '') +
+      (failures.length ? `; ${failures.length} could not be recorded, so the session is still open. Close it again to retry.` : '');
+    const messageKey = failures.length ? 'error' : 'success';
+    res.redirect(`/training/sessions/${session._id}?${messageKey}=` + encodeURIComponent(summary));
   } catch (err) {
-    console.error('Error adding comment:', err);
-    res.status(500).render('error', { message: 'Error adding comment' });
+    console.error('Error closing training session:', err);
+    res.status(500).render('error', { message: 'Error closing training session' });
   }
 });
 
-// TRAINING CLASS MANAGEMENT ROUTES
+// Cancel a session that will not run; nothing is recorded for its roster
+router.post('/sessions/:id/cancel', isAuthenticated, isTrainingOfficer, async (req, res) => {
+  try {
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
+    }
 
-// Add new training class
-router.post('/class/add', isAuthenticated, isTrainingOfficer, async (req, res) => {
+    if (session.status !== 'scheduled' || session.roster.some(entry => entry.submission)) {
+      return res.redirect(`/training/sessions/${session._id}?error=` + encodeURIComponent('Only open sessions with no recorded attendance can be cancelled'));
+    }
+
+    session.status = 'cancelled';
+    session.checkIn.isOpen = false;
+    await session.save();
+
+    res.redirect('/training/sessions?success=Session cancelled');
+  } catch (err) {
+    console.error('Error cancelling training session:', err);
+    res.status(500).render('error', { message: 'Error cancelling training session' });
+  }
+});
+
+// SESSION SELF CHECK-IN ROUTES
+
+const buildCheckInUrl = (baseUrl, session, token) =>
+  `${(baseUrl || '').replace(/\/+$/, '')}/training/sessions/${session._id}/attend?token=${encodeURIComponent(token)}`;
+
+const findRosterEntryForMember = (session, memberId) =>
+  session.roster.find(entry => String(entry.member._id || entry.member) === memberId.toString());
+
+// Check-in display for the instructor's screen; the QR code is refreshed from /check-in/code
+router.get('/sessions/:id/check-in', isAuthenticated, async (req, res) => {
   try {
-    const { name, description, hoursValue, prerequisites } = req.body;
-    
-    if (!name || name.trim() === '') {
-      return res.redirect('/training/manage-classes?error=Class name is required');
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
     }
-    
-    // Check if class with same name already exists
-    const existingClass = await TrainingClass.findOne({ name: name.trim() });
-    if (existingClass) {
-      return res.redirect('/training/manage-classes?error=A class with this name already exists');
+
+    if (!canRunSessionCheckIn(req.user, session)) {
+      return res.status(403).render('error', { message: 'Only the instructor or a training officer can run check-in for this session' });
     }
-    
-    const trainingClass = new TrainingClass({
-      name: name.trim(),
-      description: description ? description.trim() : '',
-      hoursValue: hoursValue || 0,
-      prerequisites: prerequisites ? (Array.isArray(prerequisites) ? prerequisites : [prerequisites]) : [],
-      createdBy: req.user._id
+
+    await session.populate([
+      { path: 'trainingClass', select: 'name' },
+      { path: 'instructor', select: 'displayName' }
+    ]);
+
+    res.render('session-check-in', {
+      user: req.user,
+      session,
+      canManageSessions: req.user.isAdmin || req.user.roles.includes('Training Officer'),
+      refreshSeconds: CHECK_IN_WINDOW_SECONDS,
+      error: req.query.error,
+      success: req.query.success
     });
-    
-    await trainingClass.save();
-    res.redirect('/training/manage-classes?success=Training class added successfully');
-    
   } catch (err) {
-    console.error('Error adding training class:', err);
-    res.status(500).render('error', { message: 'Error adding training class' });
+    console.error('Error loading session check-in:', err);
+    res.status(500).render('error', { message: 'Error loading session check-in' });
   }
 });
 
-router.post('/classes/quick-add', isAuthenticated, hasRole(certificateManagerRoles), async (req, res) => {
+// Current QR code and who has checked in so far
+router.get('/sessions/:id/check-in/code', isAuthenticated, async (req, res) => {
   try {
-    const canCreate = req.user.isAdmin || (req.user.roles && req.user.roles.includes('Training Officer'));
-    if (!canCreate) {
-      return res.status(403).json({
-        success: false,
-        error: 'Only Training Officers can create new classes.'
-      });
+    const session = await loadTrainingSession(req.params.id, { includeCheckInSecret: true });
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Training session not found.' });
     }
 
-    const name = (req.body.name || '').trim();
-    const description = (req.body.description || '').trim();
-    const hoursValueRaw = req.body.hoursValue;
-    const hoursValue = hoursValueRaw === '' || hoursValueRaw == null ? 0 : Number(hoursValueRaw);
+    if (!canRunSessionCheckIn(req.user, session)) {
+      return res.status(403).json({ success: false, error: 'Access denied.' });
+    }
 
-    if (!name) {
-      return res.status(400).json({ success: false, error: 'Class name is required.' });
+    await session.populate('roster.member', 'displayName');
+    const attendees = session.roster
+      .filter(entry => entry.checkedInAt)
+      .sort((a, b) => a.checkedInAt - b.checkedInAt)
+      .map(entry => ({
+        name: entry.member ? entry.member.displayName : 'Removed member',
+        checkedInAt: entry.checkedInAt,
+        checkedOutAt: entry.checkedOutAt
+      }));
+
+    const isOpen = session.status === 'scheduled' && session.checkIn.isOpen && Boolean(session.checkIn.secret);
+    let checkInUrl = null;
+    let qrCodeDataUrl = null;
+    if (isOpen) {
+      checkInUrl = buildCheckInUrl(getVerifyBaseUrl(req), session, buildCheckInToken(session.checkIn.secret, session._id.toString()));
+      qrCodeDataUrl = await buildQrCodeDataUrl(checkInUrl);
     }
 
-    if (!Number.isFinite(hoursValue) || hoursValue < 0) {
-      return res.status(400).json({ success: false, error: 'Hours must be 0 or greater.' });
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      isOpen,
+      checkInUrl,
+      qrCodeDataUrl,
+      refreshSeconds: CHECK_IN_WINDOW_SECONDS,
+      attendees
+    });
+  } catch (err) {
+    console.error('Error building session check-in code:', err);
+    res.status(500).json({ success: false, error: 'Error loading check-in code' });
+  }
+});
+
+// Start accepting scans; a fresh secret invalidates any codes shown earlier
+router.post('/sessions/:id/check-in/open', isAuthenticated, async (req, res) => {
+  try {
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
     }
 
-    const existingClass = await TrainingClass.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') });
-    if (existingClass) {
-      return res.status(409).json({
-        success: false,
-        error: 'A class with this name already exists.',
-        class: {
-          id: existingClass._id,
-          name: existingClass.name,
-          hoursValue: existingClass.hoursValue
-        }
-      });
+    if (!canRunSessionCheckIn(req.user, session)) {
+      return res.status(403).render('error', { message: 'Only the instructor or a training officer can run check-in for this session' });
     }
 
-    const trainingClass = new TrainingClass({
-      name,
-      description,
-      hoursValue,
-      createdBy: req.user._id,
-      isActive: true
-    });
+    if (session.status !== 'scheduled') {
+      return res.redirect(`/training/sessions/${session._id}/check-in?error=` + encodeURIComponent('Check-in is only available for open sessions'));
+    }
 
-    await trainingClass.save();
+    session.checkIn = {
+      isOpen: true,
+      secret: generateCheckInSecret(),
+      openedBy: req.user._id,
+      openedAt: new Date()
+    };
+    await session.save();
 
-    return res.json({
-      success: true,
-      class: {
-        id: trainingClass._id,
-        name: trainingClass.name,
-        hoursValue: trainingClass.hoursValue
-      }
-    });
+    res.redirect(`/training/sessions/${session._id}/check-in`);
   } catch (err) {
-    console.error('Error creating training class from certificate workflow:', err);
-    return res.status(500).json({
-      success: false,
-      error: 'Unable to create class right now.'
-    });
+    console.error('Error opening session check-in:', err);
+    res.status(500).render('error', { message: 'Error opening session check-in' });
   }
 });
 
-// Toggle class active status
-router.post('/class/:id/toggle', isAuthenticated, isTrainingOfficer, async (req, res) => {
+// Stop accepting scans; times already recorded are kept
+router.post('/sessions/:id/check-in/close', isAuthenticated, async (req, res) => {
   try {
-    const trainingClass = await TrainingClass.findById(req.params.id);
-    
-    if (!trainingClass) {
-      return res.status(404).render('error', { message: 'Training class not found' });
+    const session = await loadTrainingSession(req.params.id);
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
     }
-    
-    trainingClass.isActive = !trainingClass.isActive;
-    await trainingClass.save();
-    
-    const statusText = trainingClass.isActive ? 'activated' : 'deactivated';
-    res.redirect(`/training/manage-classes?success=Training class ${statusText} successfully`);
-    
+
+    if (!canRunSessionCheckIn(req.user, session)) {
+      return res.status(403).render('error', { message: 'Only the instructor or a training officer can run check-in for this session' });
+    }
+
+    session.checkIn.isOpen = false;
+    await session.save();
+
+    res.redirect(`/training/sessions/${session._id}/check-in?success=` + encodeURIComponent('Check-in closed'));
   } catch (err) {
-    console.error('Error toggling class status:', err);
-    res.status(500).render('error', { message: 'Error updating training class' });
+    console.error('Error closing session check-in:', err);
+    res.status(500).render('error', { message: 'Error closing session check-in' });
   }
 });
 
-// Edit training class form
-router.get('/class/:id/edit', isAuthenticated, isTrainingOfficer, async (req, res) => {
+// Landing page for a scanned QR code; checking in or out is a separate POST
+router.get('/sessions/:id/attend', isAuthenticated, async (req, res) => {
   try {
-    const trainingClass = await TrainingClass.findById(req.params.id)
-      .populate('prerequisites');
-    
-    if (!trainingClass) {
-      return res.status(404).render('error', { message: 'Training class not found' });
+    const session = await loadTrainingSession(req.params.id, { includeCheckInSecret: true });
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
     }
-    
-    // Get all other classes to select as prerequisites
-    const otherClasses = await TrainingClass.find({
-      _id: { $ne: trainingClass._id }
-    }).sort('name');
-    
-    res.render('edit-class', { 
-      user: req.user, 
-      trainingClass,
-      otherClasses,
+
+    await session.populate([
+      { path: 'trainingClass', select: 'name' },
+      { path: 'instructor', select: 'displayName' }
+    ]);
+
+    const token = (req.query.token || '').toString();
+    const isAccepting = session.status === 'scheduled' && session.checkIn.isOpen;
+
+    res.render('session-attend', {
+      user: req.user,
+      session,
+      rosterEntry: findRosterEntryForMember(session, req.user._id) || null,
+      token,
+      canRecord: isAccepting && isValidCheckInToken(session.checkIn.secret, session._id.toString(), token),
+      isAccepting,
       error: req.query.error,
       success: req.query.success
     });
   } catch (err) {
-    console.error('Error fetching training class for edit:', err);
-    res.status(500).render('error', { message: 'Error loading training class' });
+    console.error('Error loading session attendance:', err);
+    res.status(500).render('error', { message: 'Error loading session check-in' });
   }
 });
 
-// Update training class
-router.post('/class/:id/update', isAuthenticated, isTrainingOfficer, async (req, res) => {
+// Check in the signed-in member, adding them to the roster if needed, or check them out
+router.post('/sessions/:id/attend', isAuthenticated, async (req, res) => {
+  const token = (req.body.token || '').toString();
+  const redirectTo = `/training/sessions/${req.params.id}/attend?token=${encodeURIComponent(token)}`;
   try {
-    const { name, description, hoursValue, prerequisites } = req.body;
-    
-    if (!name || name.trim() === '') {
-      return res.redirect(`/training/class/${req.params.id}/edit?error=Class name is required`);
+    const session = await loadTrainingSession(req.params.id, { includeCheckInSecret: true });
+    if (!session) {
+      return res.status(404).render('error', { message: 'Training session not found' });
     }
-    
-    const trainingClass = await TrainingClass.findById(req.params.id);
-    
-    if (!trainingClass) {
-      return res.status(404).render('error', { message: 'Training class not found' });
+
+    if (session.status !== 'scheduled' || !session.checkIn.isOpen) {
+      return res.redirect(appendQueryMessage(redirectTo, 'error', 'Check-in for this session is closed'));
     }
-    
-    // Check if name is being changed and already exists
-    if (name.trim() !== trainingClass.name) {
-      const existingClass = await TrainingClass.findOne({ name: name.trim() });
-      if (existingClass && existingClass._id.toString() !== trainingClass._id.toString()) {
-        return res.redirect(`/training/class/${req.params.id}/edit?error=A class with this name already exists`);
-      }
+
+    if (!isValidCheckInToken(session.checkIn.secret, session._id.toString(), token)) {
+      return res.redirect(appendQueryMessage(redirectTo, 'error', 'This check-in code has expired. Scan the code on the instructor\'s screen again.'));
     }
-    
-    // Check for circular prerequisites (this class can't be a prerequisite of itself or any of its prerequisites)
-    if (prerequisites) {
-      const prereqSet = new Set(Array.isArray(prerequisites) ? prerequisites : [prerequisites]);
-      if (prereqSet.has(trainingClass._id.toString())) {
-        return res.redirect(`/training/class/${req.params.id}/edit?error=A class cannot be a prerequisite of itself`);
-      }
-      
-      // More complex circular reference check could be added here if needed
+
+    const rosterEntry = findRosterEntryForMember(session, req.user._id);
+    let message;
+    if (!rosterEntry) {
+      session.roster.push({ member: req.user._id, checkedInAt: new Date() });
+      message = 'You are checked in';
+    } else if (rosterEntry.submission) {
+      return res.redirect(appendQueryMessage(redirectTo, 'error', 'Your attendance for this session has already been recorded'));
+    } else if (!rosterEntry.checkedInAt) {
+      rosterEntry.checkedInAt = new Date();
+      rosterEntry.attended = true;
+      message = 'You are checked in';
+    } else if (!rosterEntry.checkedOutAt) {
+      rosterEntry.checkedOutAt = new Date();
+      message = 'You are checked out';
+    } else {
+      return res.redirect(appendQueryMessage(redirectTo, 'error', 'You have already checked out of this session'));
     }
-    
-    trainingClass.name = name.trim();
-    trainingClass.description = description ? description.trim() : '';
-    trainingClass.hoursValue = hoursValue || 0;
-    trainingClass.prerequisites = prerequisites ? (Array.isArray(prerequisites) ? prerequisites : [prerequisites]) : [];
-    
-    await trainingClass.save();
-    res.redirect(`/training/manage-classes?success=Training class updated successfully`);
-    
+
+    await session.save();
+    // Drop the token so the same scan cannot check the member straight back out
+    res.redirect(`/training/sessions/${session._id}/attend?success=` + encodeURIComponent(message));
   } catch (err) {
-    console.error('Error updating training class:', err);
-    res.status(500).render('error', { message: 'Error updating training class' });
+    console.error('Error recording session check-in:', err);
+    res.redirect(appendQueryMessage(redirectTo, 'error', 'Error recording your check-in'));
   }
 });
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { normalizeVerificationCode, verifyDocument } = require('../lib/document-verification');
+
+// These routes are public: outside agencies verify documents without an account
+
+// Code entry form; the form submits ?code= and is redirected to the canonical URL
+router.get('/', (req, res) => {
+  const rawCode = (req.query.code || '').toString().trim();
+  if (rawCode) {
+    const code = normalizeVerificationCode(rawCode) || rawCode;
+    return res.redirect(`/verify/${encodeURIComponent(code)}`);
+  }
+
+  res.render('verify-document', {
+    user: req.user || null,
+    verification: null
+  });
+});
+
+// Target of the QR code printed on issued documents
+router.get('/:code', async (req, res) => {
+  try {
+    const verification = await verifyDocument(req.params.code);
+
+    res.status(verification.status === 'not_found' ? 404 : 200).render('verify-document', {
+      user: req.user || null,
+      verification
+    });
+  } catch (err) {
+    console.error('Error verifying document:', err);
+    res.status(500).render('error', { message: 'Error verifying document' });
+  }
+});
+
+module.exports = router;
@@ -7,13 +7,11 @@ const MicrosoftStrategy = require('passport-microsoft').Strategy;
 const mongoose = require('mongoose');
 const MongoStore = require('connect-mongo');
 const path = require('path');
-const fs = require('fs');
 const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 const ejs = require('ejs');
-const puppeteer = require('puppeteer');
 
 // Initialize Express app
 const app = express();
@@ -49,12 +47,38 @@ const User = require('./models/User');
 const UserQualification = require('./models/UserQualification');
 const AttendantProgress = require('./models/AttendantProgress');
 const AttendantPacket = require('./models/AttendantPacket');
-const Qualification = require('./models/Qualification');
+const TaskBookTemplate = require('./models/TaskBookTemplate');
 
 // Load route modules
 const trainingRoutes = require('./routes/training');
 const qualificationsModule = require('./routes/qualifications');
 const mfriRoutes = require('./routes/mfri');
+const verifyRoutes = require('./routes/verify');
+const jobRoutes = require('./routes/jobs');
+const { registerJobHandler, enqueueJob, startJobWorkers } = require('./lib/jobs');
+const { withTimeout, generatePdfBufferFromHtml } = require('./lib/pdf');
+const {
+  registerDocumentType,
+  issueDocument,
+  buildVerificationUrl,
+  buildQrCodeDataUrl,
+  getVerifyBaseUrl
+} = require('./lib/document-verification');
+const {
+  SIGNER_ROLES,
+  ensureDefaultTaskBookTemplate,
+  buildCallSheets,
+  copySigners,
+  getEvaluatingSigner,
+  getSignature,
+  getNextSigner,
+  canSignAs,
+  canFillCallSheet,
+  recomputeCallSheetStatus,
+  clearSignatureAndLater,
+  describeCallStatus,
+  describeSignerFlow
+} = require('./lib/task-books');
 
 // Middleware
 app.use(helmet({
@@ -72,6 +96,10 @@ app.use(helmet({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
+// Certificates are no longer public; block the legacy path so stray files are never served
+app.use('/uploads', (req, res) => {
+  res.status(404).render('error', { message: 'Page not found' });
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Configure view engine
@@ -433,67 +461,68 @@ app.get(['/qualifications/attendant-packet-queue', '/demo/attendant-packet-queue
     const packets = await AttendantPacket.find({
       status: { $in: ['in_progress', 'pending_chief_review', 'pending_more_evaluation'] }
     })
+      .populate('template', 'name evaluationLabel')
       .populate('candidate', 'displayName email')
       .populate('sponsoringRescueOfficer', 'displayName email')
       .populate('rescueChief', 'displayName email')
       .sort('-updatedAt')
       .limit(300);
 
-    const evaluatorQueue = [];
-    const rescueOfficerQueue = [];
+    // One queue per signing role the user holds that a task book uses; the candidate's own
+    // signatures are not queued
+    const activeSignerRoles = await TaskBookTemplate.distinct('signers.role', { isActive: true });
+    const usedRoles = new Set([...activeSignerRoles, ...packets.flatMap(packet => packet.signers.map(signer => signer.role))]);
+    const queueRoles = SIGNER_ROLES.filter(role => role !== 'Candidate'
+      && usedRoles.has(role)
+      && (req.user.isAdmin || req.user.roles.includes(role)));
+    const signatureQueues = new Map(queueRoles.map(role => [role, []]));
     const rescueChiefQueue = [];
 
     packets.forEach(packet => {
       const completedCalls = packet.callSheets.filter(call => call.status === 'completed').length;
+      const templateName = packet.template ? packet.template.name : 'Unknown';
 
       packet.callSheets.forEach(call => {
-        if (call.status === 'awaiting_evaluator_signature') {
-          evaluatorQueue.push({
-            packetId: packet._id,
-            callNumber: call.callNumber,
-            candidateName: packet.candidate ? packet.candidate.displayName : 'Unknown',
-            incidentDate: call.incidentDate,
-            fcIncidentNumber: call.fcIncidentNumber || '',
-            updatedAt: packet.updatedAt
-          });
+        const nextSigner = getNextSigner(packet, call);
+        if (!nextSigner || !signatureQueues.has(nextSigner.role)) {
+          return;
         }
 
-        if (call.status === 'awaiting_rescue_officer_signature') {
-          rescueOfficerQueue.push({
-            packetId: packet._id,
-            callNumber: call.callNumber,
-            candidateName: packet.candidate ? packet.candidate.displayName : 'Unknown',
-            incidentDate: call.incidentDate,
-            fcIncidentNumber: call.fcIncidentNumber || '',
-            sponsoringRescueOfficer: packet.sponsoringRescueOfficer ? packet.sponsoringRescueOfficer.displayName : '',
-            updatedAt: packet.updatedAt
-          });
-        }
+        signatureQueues.get(nextSigner.role).push({
+          packetId: packet._id,
+          templateName,
+          evaluationLabel: packet.template ? packet.template.evaluationLabel : 'Call',
+          callNumber: call.callNumber,
+          signerLabel: nextSigner.label,
+          candidateName: packet.candidate ? packet.candidate.displayName : 'Unknown',
+          incidentDate: call.incidentDate,
+          fcIncidentNumber: call.fcIncidentNumber || '',
+          sponsoringRescueOfficer: packet.sponsoringRescueOfficer ? packet.sponsoringRescueOfficer.displayName : '',
+          updatedAt: packet.updatedAt
+        });
       });
 
       if (packet.status === 'pending_chief_review') {
         rescueChiefQueue.push({
           packetId: packet._id,
+          templateName,
           candidateName: packet.candidate ? packet.candidate.displayName : 'Unknown',
           eligibilityPath: packet.eligibilityPath,
           completedCalls,
+          evaluationCount: packet.callSheets.length,
           rescueChief: packet.rescueChief ? packet.rescueChief.displayName : '',
           updatedAt: packet.updatedAt
         });
       }
     });
 
-    evaluatorQueue.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-    rescueOfficerQueue.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    signatureQueues.forEach(queue => queue.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)));
     rescueChiefQueue.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 
     res.render('attendant-packet-queue', {
       user: req.user,
-      canEvaluateCallSheet: canEvaluateCallSheet(req.user),
-      canRescueOfficerSign: canRescueOfficerSign(req.user),
       canPerformFinalReview: canPerformFinalReview(req.user),
-      evaluatorQueue,
-      rescueOfficerQueue,
+      signatureQueues: [...signatureQueues].map(([role, items]) => ({ role, items })),
       rescueChiefQueue
     });
   } catch (err) {
@@ -534,14 +563,6 @@ const canCreatePacket = (user) => {
   return !!user && (user.isAdmin || hasAnyRole(user, ['Training Officer', 'Rescue Officer', 'Approver']));
 };
 
-const canEvaluateCallSheet = (user) => {
-  return !!user && (user.isAdmin || hasAnyRole(user, ['Evaluator']));
-};
-
-const canRescueOfficerSign = (user) => {
-  return !!user && (user.isAdmin || hasAnyRole(user, ['Rescue Officer']));
-};
-
 const canPerformFinalReview = (user) => {
   return !!user && (user.isAdmin || hasAnyRole(user, ['Rescue Chief']));
 };
@@ -565,51 +586,6 @@ const hasAttendantPacketAccess = (packet, user) => {
   return hasAnyRole(user, ['Student']) && candidateId === user._id.toString();
 };
 
-const ATTENDANT_SKILLS = [
-  'Response - Map reading',
-  'Response - Radio use',
-  'Response - Communication with Driver',
-  'Physical Assessment - Initial',
-  'Physical Assessment - Focused/Rapid',
-  'Physical Assessment - Vitals',
-  'Physical Assessment - Ongoing',
-  'Subjective Interview - SAMPLE',
-  'Subjective Interview - OPQRST',
-  'Airway Maintenance - Positioning',
-  'Airway Maintenance - Suctioning',
-  'Airway Maintenance - Airway Adjuncts',
-  'Airway Maintenance - Oxygen Admin (Correct LPM)',
-  'Airway Maintenance - Oxygen Admin (Correct Device)',
-  'Airway Maintenance - Mechanical Ventilation',
-  'Medical Emergencies - CPR & AED (Role)',
-  'Medical Emergencies - Medication Administration',
-  'Trauma Emergencies - Spinal Immobilization (Device/Role)',
-  'Trauma Emergencies - Fracture Management (Device/Role)',
-  'Trauma Emergencies - Bleeding Control (Method Used)',
-  'Transport & Disposition - Movement of Patient to Stretcher',
-  'Transport & Disposition - Cot Operations',
-  'Transport & Disposition - Consultation',
-  'Transport & Disposition - Turn Over Report (To Whom)',
-  'Communication Skills - With Patient',
-  'Communication Skills - With ALS Personnel',
-  'Communication Skills - With Family/Bystanders',
-  'Scene Management - Time Management',
-  'Scene Management - Functions as Lead Provider',
-  'Scene Management - Protocol Followed'
-];
-
-const buildDefaultSkillRatings = () => {
-  return ATTENDANT_SKILLS.map(skill => ({ skill, rating: 'NA', comments: '' }));
-};
-
-const buildDefaultCallSheets = () => {
-  return Array.from({ length: 12 }, (_, idx) => ({
-    callNumber: idx + 1,
-    status: 'draft',
-    skillRatings: buildDefaultSkillRatings()
-  }));
-};
-
 const BLOCK_DUPLICATE_ATTENDANT_PACKET_STATUSES = [
   'in_progress',
   'pending_chief_review',
@@ -617,8 +593,9 @@ const BLOCK_DUPLICATE_ATTENDANT_PACKET_STATUSES = [
   'approved'
 ];
 
+// The legacy progress record only tracks the Attendant packet
 const syncAttendantProgressFromPacket = async (packet) => {
-  if (!packet || packet.eligibilityPath !== 'trips') {
+  if (!packet || !packet.template || !packet.template.isDefault || packet.eligibilityPath !== 'trips') {
     return;
   }
 
@@ -649,38 +626,31 @@ const syncAttendantProgressFromPacket = async (packet) => {
   );
 };
 
-const awardAttendantQualificationForUser = async (userId, actingUserId) => {
-  let qualification = await Qualification.findOne({ name: 'Attendant' });
-  if (!qualification) {
-    qualification = new Qualification({
-      name: 'Attendant',
-      description: 'Completed Attendant packet requirements',
-      requiredClasses: [],
-      createdBy: actingUserId
-    });
-    await qualification.save();
-  }
-
+// Records the task book sign-off; recalculation then decides completion from the qualification's
+// rules, so class and hour requirements (and their expiry) still apply
+const awardTaskBookQualificationForUser = async (qualificationId, userId, awardedBy) => {
   let userQualification = await UserQualification.findOne({
     user: userId,
-    qualification: qualification._id
+    qualification: qualificationId
   });
 
   if (!userQualification) {
     userQualification = new UserQualification({
       user: userId,
-      qualification: qualification._id,
-      isComplete: true,
-      earnedDate: new Date(),
-      lastUpdated: new Date()
+      qualification: qualificationId
     });
-  } else {
-    userQualification.isComplete = true;
-    userQualification.earnedDate = new Date();
-    userQualification.lastUpdated = new Date();
   }
 
+  // A manual override already covers everything, the task book included
+  if (userQualification.awardedVia !== 'manual') {
+    userQualification.awardedVia = 'task_book';
+    userQualification.awardedBy = awardedBy;
+    userQualification.awardedAt = new Date();
+  }
+  userQualification.lastUpdated = new Date();
+
   await userQualification.save();
+  await qualificationsModule.recalculateUserQualifications(userId);
 };
 
 const findCallSheet = (packet, callNumber) => {
@@ -695,31 +665,6 @@ const isSignatureOwnedByUser = (signature, user) => {
   return signature.signedBy.toString() === user._id.toString();
 };
 
-const recomputeCallSheetStatus = (callSheet) => {
-  if (callSheet.rescueOfficerSignature && callSheet.rescueOfficerSignature.signedAt) {
-    callSheet.status = 'completed';
-    if (!callSheet.completedAt) {
-      callSheet.completedAt = new Date();
-    }
-    return;
-  }
-
-  if (callSheet.evaluatorSignature && callSheet.evaluatorSignature.signedAt) {
-    callSheet.status = 'awaiting_rescue_officer_signature';
-    callSheet.completedAt = null;
-    return;
-  }
-
-  if (callSheet.candidateSignature && callSheet.candidateSignature.signedAt) {
-    callSheet.status = 'awaiting_evaluator_signature';
-    callSheet.completedAt = null;
-    return;
-  }
-
-  callSheet.status = 'awaiting_candidate_signature';
-  callSheet.completedAt = null;
-};
-
 const parseDateOrNull = (value) => {
   if (!value) {
     return null;
@@ -749,8 +694,9 @@ const buildPacketPdfFilename = (packet, scope) => {
     ? packet.candidate.displayName
     : 'candidate';
   const normalizedName = sanitizeFilenameSegment(candidateName);
+  const templateName = sanitizeFilenameSegment(packet.template ? packet.template.name : 'task-book');
   const datePart = formatDateForFilename(new Date());
-  return `attendant-packet-${normalizedName}-${scope}-${datePart}.pdf`;
+  return `${templateName}-packet-${normalizedName}-${scope}-${datePart}.pdf`;
 };
 
 const getPacketCompletedCallCount = (packet) => {
@@ -777,10 +723,13 @@ const buildPacketPdfViewModel = (packet, scope) => {
 
   return {
     packet,
+    template: packet.template,
     scope,
     callSheets,
     completedCallCount,
     includeCallDetails: scope !== 'summary',
+    getSignature,
+    describeCallStatus,
     generatedAt: new Date()
   };
 };
@@ -790,113 +739,6 @@ const renderAttendantPacketPdfHtml = async (viewModel) => {
   return ejs.renderFile(templatePath, viewModel, { async: true });
 };
 
-const withTimeout = (promise, timeoutMs, timeoutMessage) => {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(timeoutMessage)), timeoutMs);
-    })
-  ]);
-};
-
-const resolvePuppeteerExecutablePath = () => {
-  const candidatePaths = [
-    process.env.PUPPETEER_EXECUTABLE_PATH,
-    '/usr/bin/chromium',
-    '/usr/bin/chromium-browser',
-    '/usr/bin/google-chrome-stable',
-    '/usr/bin/google-chrome'
-  ].filter(Boolean);
-
-  return candidatePaths.find(candidatePath => fs.existsSync(candidatePath)) || null;
-};
-
-const generatePdfBufferFromHtml = async (html) => {
-  console.log('[Attendant PDF] Launching browser for PDF generation');
-
-  const executablePath = resolvePuppeteerExecutablePath();
-  if (executablePath) {
-    console.log(`[Attendant PDF] Using browser executable: ${executablePath}`);
-  } else {
-    console.log('[Attendant PDF] No explicit browser executable found. Falling back to Puppeteer default.');
-  }
-
-  const baseArgs = [
-    '--no-sandbox',
-    '--disable-setuid-sandbox',
-    '--disable-dev-shm-usage',
-    '--disable-gpu'
-  ];
-
-  const launchProfiles = [
-    {
-      name: 'system-chromium-primary',
-      executablePath,
-      args: baseArgs
-    },
-    {
-      name: 'system-chromium-minimal',
-      executablePath,
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-    },
-    {
-      name: 'puppeteer-default',
-      executablePath: null,
-      args: baseArgs
-    }
-  ].filter(profile => profile.executablePath || profile.name === 'puppeteer-default');
-
-  let lastError = null;
-
-  for (const profile of launchProfiles) {
-    const launchOptions = {
-      headless: true,
-      timeout: 30000,
-      args: profile.args
-    };
-
-    if (profile.executablePath) {
-      launchOptions.executablePath = profile.executablePath;
-    }
-
-    let browser;
-    try {
-      console.log(`[Attendant PDF] Launch attempt: ${profile.name}`);
-      browser = await puppeteer.launch(launchOptions);
-      const page = await browser.newPage();
-      page.setDefaultNavigationTimeout(30000);
-      page.setDefaultTimeout(30000);
-      console.log('[Attendant PDF] Rendering HTML into browser page');
-      await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: 30000 });
-      console.log('[Attendant PDF] Generating PDF buffer');
-      const rawPdf = await page.pdf({
-        format: 'Letter',
-        printBackground: true,
-        timeout: 30000,
-        margin: {
-          top: '0.5in',
-          right: '0.5in',
-          bottom: '0.5in',
-          left: '0.5in'
-        }
-      });
-      const pdfBuffer = Buffer.isBuffer(rawPdf) ? rawPdf : Buffer.from(rawPdf);
-      console.log(`[Attendant PDF] Launch profile succeeded: ${profile.name}`);
-      return pdfBuffer;
-    } catch (err) {
-      lastError = err;
-      const message = err && err.message ? err.message : String(err);
-      console.error(`[Attendant PDF] Launch profile failed (${profile.name}): ${message}`);
-    } finally {
-      if (browser) {
-        await browser.close().catch(() => {});
-      }
-    }
-  }
-
-  throw lastError || new Error('Unable to generate PDF with available browser launch profiles.');
-};
-
 const renderAttendantPacketView = async (req, res, template) => {
   try {
     const isPacketManager = canManageAttendantPackets(req.user);
@@ -905,6 +747,7 @@ const renderAttendantPacketView = async (req, res, template) => {
       : { candidate: req.user._id };
 
     let packets = await AttendantPacket.find(packetFilter)
+      .populate('template', 'name evaluationLabel isDefault')
       .populate('candidate', 'displayName email')
       .populate('sponsoringRescueOfficer', 'displayName email')
       .populate('rescueChief', 'displayName email')
@@ -918,6 +761,7 @@ const renderAttendantPacketView = async (req, res, template) => {
 
     if (packetId && !selectedPacket && mongoose.Types.ObjectId.isValid(packetId)) {
       const extraPacket = await AttendantPacket.findById(packetId)
+        .populate('template', 'name evaluationLabel isDefault')
         .populate('candidate', 'displayName email')
         .populate('sponsoringRescueOfficer', 'displayName email')
         .populate('rescueChief', 'displayName email');
@@ -936,30 +780,31 @@ const renderAttendantPacketView = async (req, res, template) => {
     let candidateUsers = [];
     let rescueOfficers = [];
     let rescueChiefs = [];
+    let taskBookTemplates = [];
+    const approvedTemplatesByCandidate = {};
 
     if (isPacketManager) {
-      const approvedCandidateIds = await AttendantPacket.distinct('candidate', {
-        status: 'approved'
+      await ensureDefaultTaskBookTemplate(req.user._id);
+
+      // The setup form hides candidates who already finished the chosen task book
+      const approvedPackets = await AttendantPacket.find({ status: 'approved' }).select('candidate template').lean();
+      approvedPackets.forEach(approvedPacket => {
+        const candidateId = approvedPacket.candidate.toString();
+        approvedTemplatesByCandidate[candidateId] = [
+          ...(approvedTemplatesByCandidate[candidateId] || []),
+          approvedPacket.template ? approvedPacket.template.toString() : ''
+        ];
       });
 
-      const selectedCandidateId = selectedPacket && selectedPacket.candidate
-        ? (selectedPacket.candidate._id ? selectedPacket.candidate._id.toString() : selectedPacket.candidate.toString())
-        : null;
-
-      const excludedCandidateIds = approvedCandidateIds
-        .map(candidateId => candidateId.toString())
-        .filter(candidateId => candidateId !== selectedCandidateId);
-
-      [candidateUsers, rescueOfficers, rescueChiefs] = await Promise.all([
-        User.find({
-          _id: { $nin: excludedCandidateIds }
-        }).sort('displayName').select('displayName email roles'),
+      [candidateUsers, rescueOfficers, rescueChiefs, taskBookTemplates] = await Promise.all([
+        User.find({}).sort('displayName').select('displayName email roles'),
         User.find({
           roles: 'Rescue Officer'
         }).sort('displayName').select('displayName email roles'),
         User.find({
           roles: 'Rescue Chief'
-        }).sort('displayName').select('displayName email roles')
+        }).sort('displayName').select('displayName email roles'),
+        TaskBookTemplate.find({ isActive: true }).sort('-isDefault name').select('name evaluationLabel evaluationCount isDefault')
       ]);
     }
 
@@ -970,12 +815,18 @@ const renderAttendantPacketView = async (req, res, template) => {
       candidateUsers,
       rescueOfficers,
       rescueChiefs,
+      taskBookTemplates,
+      approvedTemplatesByCandidate,
       isPacketManager,
       canCreatePacket: canCreatePacket(req.user),
-      canEvaluateCallSheet: canEvaluateCallSheet(req.user),
-      canRescueOfficerSign: canRescueOfficerSign(req.user),
+      canEvaluateCallSheet: selectedPacket ? canFillCallSheet(req.user, selectedPacket) : false,
       canPerformFinalReview: canPerformFinalReview(req.user),
       canClearCallSignaturesAsRescueChief: canClearCallSignatureAsRescueChief(req.user),
+      getSignature,
+      getNextSigner,
+      canSignAs,
+      describeCallStatus,
+      describeSignerFlow,
       ratings: ['S', 'NI', 'F', 'NA'],
       calls: attendantProgress ? attendantProgress.calls : null,
       completedCalls
@@ -998,36 +849,75 @@ app.get('/demo/attendant-packet-old', isAuthenticated, async (req, res) => {
   await renderAttendantPacketView(req, res, 'attendant-packet-old');
 });
 
-app.get('/training/attendant-packets/:id/pdf', isAuthenticated, ensureAttendantPacketPageAccess, async (req, res) => {
-  try {
-    console.log(`[Attendant PDF] Request received for packet ${req.params.id}`);
-    const requestedScope = (req.query.scope || 'full').toString().toLowerCase();
-    const scope = VALID_PACKET_PDF_SCOPES.includes(requestedScope) ? requestedScope : null;
-    if (!scope) {
-      return res.status(400).render('error', {
-        message: `Invalid scope. Allowed values: ${VALID_PACKET_PDF_SCOPES.join(', ')}`
-      });
-    }
+const loadPacketForPdf = (packetId) => AttendantPacket.findById(packetId)
+  .populate('template', 'name evaluationLabel isDefault')
+  .populate('candidate', 'displayName email')
+  .populate('sponsoringRescueOfficer', 'displayName email')
+  .populate('rescueChief', 'displayName email')
+  .populate('callSheets.evaluatorId', 'displayName email')
+  .populate('finalReview.rescueChiefSignature.signedBy', 'displayName email');
+
+const toIsoOrEmpty = (value) => (value ? new Date(value).toISOString() : '');
+
+// Canonical packet content; its hash backs the verification code printed on the PDF
+const buildAttendantPacketContent = (packet) => ({
+  packet: packet._id.toString(),
+  candidate: {
+    id: packet.candidate ? packet.candidate._id.toString() : '',
+    name: packet.candidate ? packet.candidate.displayName || '' : ''
+  },
+  status: packet.status,
+  eligibilityPath: packet.eligibilityPath,
+  finalReview: {
+    decision: packet.finalReview ? packet.finalReview.decision : 'pending',
+    firstAttendantCompletionDate: toIsoOrEmpty(packet.finalReview && packet.finalReview.firstAttendantCompletionDate),
+    signedAt: toIsoOrEmpty(packet.finalReview && packet.finalReview.rescueChiefSignature && packet.finalReview.rescueChiefSignature.signedAt)
+  },
+  callSheets: [...packet.callSheets]
+    .sort((a, b) => a.callNumber - b.callNumber)
+    .map(call => ({
+      callNumber: call.callNumber,
+      status: call.status
+    }))
+});
 
-    const packet = await AttendantPacket.findById(req.params.id)
-      .populate('candidate', 'displayName email')
-      .populate('sponsoringRescueOfficer', 'displayName email')
-      .populate('rescueChief', 'displayName email')
-      .populate('callSheets.evaluatorId', 'displayName email')
-      .populate('callSheets.rescueOfficerId', 'displayName email')
-      .populate('finalReview.rescueChiefSignature.signedBy', 'displayName email');
+registerDocumentType('attendant_packet', {
+  loadCurrentContent: async (packetId) => {
+    const packet = await loadPacketForPdf(packetId);
+    return packet ? buildAttendantPacketContent(packet) : null;
+  }
+});
 
-    if (!packet) {
-      return res.status(404).render('error', { message: 'Attendant packet not found.' });
-    }
+// Chromium is memory hungry, so packet PDFs render one at a time on the job queue.
+// Each generated PDF is issued a verification code and QR code for outside agencies.
+registerJobHandler('attendant-packet-pdf', async (job) => {
+  const { packetId, scope } = job.payload;
+  const packet = await loadPacketForPdf(packetId);
+  if (!packet) {
+    throw new Error('Attendant packet not found.');
+  }
 
-    if (!hasAttendantPacketAccess(packet, req.user)) {
-      return res.status(403).render('error', { message: 'Access denied.' });
-    }
+  const issuedDocument = await issueDocument({
+    type: 'attendant_packet',
+    title: `${packet.template ? packet.template.name : 'Task Book'} Packet`,
+    subjectId: packet._id,
+    subjectName: packet.candidate ? packet.candidate.displayName : '',
+    content: buildAttendantPacketContent(packet),
+    issuedBy: job.createdBy
+  });
 
-    const viewModel = buildPacketPdfViewModel(packet, scope);
+  try {
+    const verificationUrl = buildVerificationUrl(job.payload.verifyBaseUrl, issuedDocument.code);
+    const viewModel = {
+      ...buildPacketPdfViewModel(packet, scope),
+      verification: {
+        code: issuedDocument.code,
+        url: verificationUrl,
+        qrCodeDataUrl: await buildQrCodeDataUrl(verificationUrl)
+      }
+    };
     const html = await renderAttendantPacketPdfHtml(viewModel);
-    console.log(`[Attendant PDF] HTML rendered for packet ${req.params.id}; scope=${scope}`);
+    console.log(`[Attendant PDF] HTML rendered for packet ${packetId}; scope=${scope}`);
     const pdfBuffer = await withTimeout(
       generatePdfBufferFromHtml(html),
       45000,
@@ -1038,16 +928,63 @@ app.get('/training/attendant-packets/:id/pdf', isAuthenticated, ensureAttendantP
       throw new Error('Generated file is not a valid PDF payload.');
     }
 
-    const filename = buildPacketPdfFilename(packet, scope);
+    console.log(`[Attendant PDF] PDF generated successfully for packet ${packetId}`);
+    return {
+      result: { verificationCode: issuedDocument.code },
+      resultFile: {
+        data: pdfBuffer,
+        mimeType: 'application/pdf',
+        filename: buildPacketPdfFilename(packet, scope)
+      }
+    };
+  } catch (err) {
+    // No PDF went out, so the code should not verify
+    await issuedDocument.deleteOne().catch(() => {});
+    throw err;
+  }
+}, { concurrency: 1, timeoutMs: 90000 });
+
+// Queue a packet PDF; the client polls /jobs/:id and downloads from its fileUrl
+app.post('/training/attendant-packets/:id/pdf', isAuthenticated, ensureAttendantPacketPageAccess, async (req, res) => {
+  try {
+    console.log(`[Attendant PDF] Request received for packet ${req.params.id}`);
+    const requestedScope = (req.body.scope || 'full').toString().toLowerCase();
+    const scope = VALID_PACKET_PDF_SCOPES.includes(requestedScope) ? requestedScope : null;
+    if (!scope) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid scope. Allowed values: ${VALID_PACKET_PDF_SCOPES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Attendant packet not found.' });
+    }
+
+    const packet = await AttendantPacket.findById(req.params.id)
+      .select('candidate');
+    if (!packet) {
+      return res.status(404).json({ success: false, error: 'Attendant packet not found.' });
+    }
+
+    if (!hasAttendantPacketAccess(packet, req.user)) {
+      return res.status(403).json({ success: false, error: 'Access denied.' });
+    }
+
+    const job = await enqueueJob('attendant-packet-pdf', {
+      packetId: packet._id.toString(),
+      scope,
+      verifyBaseUrl: getVerifyBaseUrl(req)
+    }, { createdBy: req.user._id });
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', String(pdfBuffer.length));
-    console.log(`[Attendant PDF] PDF generated successfully for packet ${req.params.id}`);
-    return res.send(pdfBuffer);
+    return res.status(202).json({
+      success: true,
+      jobId: job._id,
+      statusUrl: `/jobs/${job._id}`
+    });
   } catch (err) {
-    console.error('Error generating attendant packet PDF:', err);
-    return res.status(500).render('error', { message: 'Error generating packet PDF' });
+    console.error('Error queueing attendant packet PDF:', err);
+    return res.status(500).json({ success: false, error: 'Error generating packet PDF' });
   }
 });
 
@@ -1059,6 +996,7 @@ app.post(['/qualifications/attendant-packet/cover', '/demo/attendant-packet/cove
 
     const {
       packetId,
+      templateId,
       candidateId,
       sponsoringRescueOfficerId,
       rescueChiefId,
@@ -1089,25 +1027,38 @@ app.post(['/qualifications/attendant-packet/cover', '/demo/attendant-packet/cove
       }
     }
 
+    let taskBook;
     if (!packet) {
+      taskBook = templateId
+        ? (mongoose.Types.ObjectId.isValid(templateId) ? await TaskBookTemplate.findOne({ _id: templateId, isActive: true }) : null)
+        : await ensureDefaultTaskBookTemplate(req.user._id);
+      if (!taskBook) {
+        return res.status(400).json({ success: false, error: 'Task book not found.' });
+      }
+
       const existingPacket = await AttendantPacket.findOne({
         candidate: candidateId,
+        template: taskBook._id,
         status: { $in: BLOCK_DUPLICATE_ATTENDANT_PACKET_STATUSES }
       }).select('_id status');
 
       if (existingPacket) {
         return res.status(400).json({
           success: false,
-          error: 'This candidate already has an attendant packet in progress or completed.'
+          error: `This candidate already has a ${taskBook.name} packet in progress or completed.`
         });
       }
 
       packet = new AttendantPacket({
+        template: taskBook._id,
+        signers: copySigners(taskBook),
         candidate: candidateId,
         createdBy: req.user._id,
         sponsoringRescueOfficer: sponsoringRescueOfficerId || req.user._id,
-        callSheets: buildDefaultCallSheets()
+        callSheets: buildCallSheets(taskBook)
       });
+    } else {
+      taskBook = await TaskBookTemplate.findById(packet.template);
     }
 
     packet.candidate = candidateId;
@@ -1120,8 +1071,8 @@ app.post(['/qualifications/attendant-packet/cover', '/demo/attendant-packet/cove
       ? (qualifiedElsewhereAgency || '').trim()
       : '';
 
-    if (!Array.isArray(packet.callSheets) || packet.callSheets.length === 0) {
-      packet.callSheets = buildDefaultCallSheets();
+    if ((!Array.isArray(packet.callSheets) || packet.callSheets.length === 0) && taskBook) {
+      packet.callSheets = buildCallSheets(taskBook);
     }
 
     if (chosenPath !== 'trips') {
@@ -1206,15 +1157,19 @@ app.get('/demo/attendant-packet/:id', isAuthenticated, async (req, res) => {
 
 app.post(['/qualifications/attendant-packet/:id/calls/:callNumber', '/demo/attendant-packet/:id/calls/:callNumber'], isAuthenticated, async (req, res) => {
   try {
-    if (!canEvaluateCallSheet(req.user)) {
-      return res.status(403).json({ success: false, error: 'Only evaluators/officers can update call sheets.' });
-    }
-
     const packet = await AttendantPacket.findById(req.params.id);
     if (!packet) {
       return res.status(404).json({ success: false, error: 'Packet not found.' });
     }
 
+    if (!canFillCallSheet(req.user, packet)) {
+      const evaluatingSigner = getEvaluatingSigner(packet.signers);
+      return res.status(403).json({
+        success: false,
+        error: `Only ${evaluatingSigner ? evaluatingSigner.role : 'evaluator'} roles can update these sheets.`
+      });
+    }
+
     const callSheet = findCallSheet(packet, req.params.callNumber);
     if (!callSheet) {
       return res.status(404).json({ success: false, error: 'Call sheet not found.' });
@@ -1237,11 +1192,10 @@ app.post(['/qualifications/attendant-packet/:id/calls/:callNumber', '/demo/atten
       })).filter(entry => entry.skill);
     }
 
+    // Edited sheets are signed again from the first signer
     callSheet.evaluatorId = req.user._id;
-    callSheet.candidateSignature = { signedBy: null, signedAt: null, name: '' };
-    callSheet.evaluatorSignature = { signedBy: null, signedAt: null, name: '' };
-    callSheet.rescueOfficerSignature = { signedBy: null, signedAt: null, name: '' };
-    callSheet.status = 'awaiting_candidate_signature';
+    callSheet.signatures = [];
+    callSheet.status = 'awaiting_signature';
     callSheet.completedAt = null;
 
     if (packet.status === 'approved' || packet.status === 'pending_more_evaluation') {
@@ -1250,7 +1204,7 @@ app.post(['/qualifications/attendant-packet/:id/calls/:callNumber', '/demo/atten
     }
 
     await packet.save();
-    return res.json({ success: true, status: callSheet.status });
+    return res.json({ success: true, status: callSheet.status, statusLabel: describeCallStatus(packet, callSheet) });
   } catch (err) {
     console.error('Error saving call sheet:', err);
     return res.status(500).json({ success: false, error: err.message });
@@ -1259,7 +1213,7 @@ app.post(['/qualifications/attendant-packet/:id/calls/:callNumber', '/demo/atten
 
 app.post('/qualifications/attendant-packet/:id/calls/:callNumber/clear-signature', isAuthenticated, async (req, res) => {
   try {
-    const packet = await AttendantPacket.findById(req.params.id);
+    const packet = await AttendantPacket.findById(req.params.id).populate('template', 'isDefault');
     if (!packet) {
       return res.status(404).json({ success: false, error: 'Packet not found.' });
     }
@@ -1273,20 +1227,13 @@ app.post('/qualifications/attendant-packet/:id/calls/:callNumber/clear-signature
       return res.status(404).json({ success: false, error: 'Call sheet not found.' });
     }
 
-    const signatureType = (req.body && req.body.signatureType ? req.body.signatureType : '').toString().trim();
-    const signatureMap = {
-      candidate: 'candidateSignature',
-      evaluator: 'evaluatorSignature',
-      'rescue-officer': 'rescueOfficerSignature'
-    };
-
-    const signatureField = signatureMap[signatureType];
-    if (!signatureField) {
+    const signerKey = (req.body && req.body.signatureType ? req.body.signatureType : '').toString().trim();
+    if (!packet.signers.some(signer => signer.key === signerKey)) {
       return res.status(400).json({ success: false, error: 'Invalid signature type.' });
     }
 
-    const signature = callSheet[signatureField];
-    if (!signature || !signature.signedAt) {
+    const signature = getSignature(callSheet, signerKey);
+    if (!signature) {
       return res.status(400).json({ success: false, error: 'Signature is already empty.' });
     }
 
@@ -1296,26 +1243,11 @@ app.post('/qualifications/attendant-packet/:id/calls/:callNumber/clear-signature
       return res.status(403).json({ success: false, error: 'Only the signer or Rescue Chief can clear this signature.' });
     }
 
-    callSheet[signatureField] = { signedBy: null, signedAt: null, name: '' };
-    if (signatureField === 'rescueOfficerSignature') {
-      callSheet.rescueOfficerId = null;
-    }
-    if (signatureField === 'evaluatorSignature') {
-      callSheet.evaluatorId = null;
-      callSheet.rescueOfficerId = null;
-      callSheet.rescueOfficerSignature = { signedBy: null, signedAt: null, name: '' };
-    }
-    if (signatureField === 'candidateSignature') {
-      callSheet.evaluatorId = null;
-      callSheet.rescueOfficerId = null;
-      callSheet.evaluatorSignature = { signedBy: null, signedAt: null, name: '' };
-      callSheet.rescueOfficerSignature = { signedBy: null, signedAt: null, name: '' };
-    }
-
-    recomputeCallSheetStatus(callSheet);
+    clearSignatureAndLater(packet, callSheet, signerKey);
+    recomputeCallSheetStatus(packet, callSheet);
 
     const completedCount = packet.callSheets.filter(call => call.status === 'completed').length;
-    if (packet.eligibilityPath === 'trips' && completedCount < 12) {
+    if (packet.eligibilityPath === 'trips' && completedCount < packet.callSheets.length) {
       if (packet.status === 'pending_chief_review' || packet.status === 'approved' || packet.status === 'pending_more_evaluation') {
         packet.status = 'in_progress';
         packet.finalReview.decision = 'pending';
@@ -1332,95 +1264,51 @@ app.post('/qualifications/attendant-packet/:id/calls/:callNumber/clear-signature
   }
 });
 
-app.post(['/qualifications/attendant-packet/:id/calls/:callNumber/candidate-sign', '/demo/attendant-packet/:id/calls/:callNumber/candidate-sign'], isAuthenticated, async (req, res) => {
+// Signers sign in the packet's order; body.signer is the key of the signer signing now
+app.post(['/qualifications/attendant-packet/:id/calls/:callNumber/sign', '/demo/attendant-packet/:id/calls/:callNumber/sign'], isAuthenticated, async (req, res) => {
   try {
-    const packet = await AttendantPacket.findById(req.params.id);
+    const packet = await AttendantPacket.findById(req.params.id).populate('template', 'isDefault');
     if (!packet) {
       return res.status(404).json({ success: false, error: 'Packet not found.' });
     }
 
-    if (packet.candidate.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ success: false, error: 'Only the candidate can sign this section.' });
-    }
-
     const callSheet = findCallSheet(packet, req.params.callNumber);
     if (!callSheet) {
       return res.status(404).json({ success: false, error: 'Call sheet not found.' });
     }
 
-    callSheet.candidateSignature = {
-      signedBy: req.user._id,
-      signedAt: new Date(),
-      name: req.user.displayName || req.user.email
-    };
-    callSheet.status = 'awaiting_evaluator_signature';
-    await packet.save();
-
-    return res.json({ success: true, status: callSheet.status });
-  } catch (err) {
-    console.error('Error candidate-signing call sheet:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
-
-app.post(['/qualifications/attendant-packet/:id/calls/:callNumber/evaluator-sign', '/demo/attendant-packet/:id/calls/:callNumber/evaluator-sign'], isAuthenticated, async (req, res) => {
-  try {
-    if (!canEvaluateCallSheet(req.user)) {
-      return res.status(403).json({ success: false, error: 'Only evaluators/officers can sign this section.' });
+    const signer = packet.signers.find(entry => entry.key === (req.body.signer || '').toString());
+    if (!signer) {
+      return res.status(400).json({ success: false, error: 'Invalid signature type.' });
     }
 
-    const packet = await AttendantPacket.findById(req.params.id);
-    if (!packet) {
-      return res.status(404).json({ success: false, error: 'Packet not found.' });
+    if (!canSignAs(req.user, signer, packet)) {
+      const allowed = signer.role === 'Candidate' ? 'the candidate' : `${signer.role} roles`;
+      return res.status(403).json({ success: false, error: `Only ${allowed} can sign this section.` });
     }
 
-    const callSheet = findCallSheet(packet, req.params.callNumber);
-    if (!callSheet) {
-      return res.status(404).json({ success: false, error: 'Call sheet not found.' });
+    if (callSheet.status === 'draft') {
+      return res.status(400).json({ success: false, error: 'Save the call sheet before signing it.' });
     }
 
-    callSheet.evaluatorSignature = {
-      signedBy: req.user._id,
-      signedAt: new Date(),
-      name: req.user.displayName || req.user.email
-    };
-    callSheet.status = 'awaiting_rescue_officer_signature';
-    await packet.save();
-
-    return res.json({ success: true, status: callSheet.status });
-  } catch (err) {
-    console.error('Error evaluator-signing call sheet:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
-
-app.post(['/qualifications/attendant-packet/:id/calls/:callNumber/rescue-officer-sign', '/demo/attendant-packet/:id/calls/:callNumber/rescue-officer-sign'], isAuthenticated, async (req, res) => {
-  try {
-    if (!canRescueOfficerSign(req.user)) {
-      return res.status(403).json({ success: false, error: 'Only rescue officers can sign this section.' });
-    }
-
-    const packet = await AttendantPacket.findById(req.params.id);
-    if (!packet) {
-      return res.status(404).json({ success: false, error: 'Packet not found.' });
-    }
-
-    const callSheet = findCallSheet(packet, req.params.callNumber);
-    if (!callSheet) {
-      return res.status(404).json({ success: false, error: 'Call sheet not found.' });
+    const nextSigner = getNextSigner(packet, callSheet);
+    if (!nextSigner || nextSigner.key !== signer.key) {
+      return res.status(400).json({
+        success: false,
+        error: nextSigner ? `${nextSigner.label} must sign first.` : 'This call sheet is already signed.'
+      });
     }
 
-    callSheet.rescueOfficerId = req.user._id;
-    callSheet.rescueOfficerSignature = {
+    callSheet.signatures.push({
+      signer: signer.key,
       signedBy: req.user._id,
       signedAt: new Date(),
       name: req.user.displayName || req.user.email
-    };
-    callSheet.status = 'completed';
-    callSheet.completedAt = new Date();
+    });
+    recomputeCallSheetStatus(packet, callSheet);
 
     const completedCount = packet.callSheets.filter(call => call.status === 'completed').length;
-    if (packet.eligibilityPath === 'trips' && completedCount >= 12) {
+    if (packet.eligibilityPath === 'trips' && completedCount >= packet.callSheets.length) {
       packet.status = 'pending_chief_review';
     }
 
@@ -1429,7 +1317,7 @@ app.post(['/qualifications/attendant-packet/:id/calls/:callNumber/rescue-officer
 
     return res.json({ success: true, status: callSheet.status, completedCalls: completedCount });
   } catch (err) {
-    console.error('Error officer-signing call sheet:', err);
+    console.error('Error signing call sheet:', err);
     return res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -1440,7 +1328,7 @@ app.post(['/qualifications/attendant-packet/:id/final-review', '/demo/attendant-
       return res.status(403).json({ success: false, error: 'Only rescue chief/officer roles can complete final review.' });
     }
 
-    const packet = await AttendantPacket.findById(req.params.id);
+    const packet = await AttendantPacket.findById(req.params.id).populate('template', 'awardedQualification');
     if (!packet) {
       return res.status(404).json({ success: false, error: 'Packet not found.' });
     }
@@ -1460,7 +1348,7 @@ app.post(['/qualifications/attendant-packet/:id/final-review', '/demo/attendant-
 
     if (decision === 'approved') {
       packet.status = 'approved';
-      await awardAttendantQualificationForUser(packet.candidate, req.user._id);
+      await awardTaskBookQualificationForUser(packet.template.awardedQualification, packet.candidate, req.user._id);
     } else {
       packet.status = 'pending_more_evaluation';
     }
@@ -1527,7 +1415,8 @@ app.post('/demo/award-attendant-qualification', isAuthenticated, async (req, res
       return res.status(400).json({ success: false, error: 'Not all calls are completed' });
     }
 
-    await awardAttendantQualificationForUser(req.user._id, req.user._id);
+    const attendantTemplate = await ensureDefaultTaskBookTemplate(req.user._id);
+    await awardTaskBookQualificationForUser(attendantTemplate.awardedQualification, req.user._id, req.user._id);
     res.json({ success: true });
   } catch (err) {
     console.error('Error awarding attendant qualification:', err);
@@ -1549,20 +1438,20 @@ app.post('/demo/remove-attendant-qualification', isAuthenticated, async (req, re
     }
 
     // Find the attendant qualification
-    const qualification = await Qualification.findOne({ name: 'Attendant' });
-    if (!qualification) {
+    const attendantTemplate = await TaskBookTemplate.findOne({ isDefault: true });
+    if (!attendantTemplate) {
       return res.status(404).json({ success: false, error: 'Attendant qualification not found' });
     }
 
     // Remove user qualification
     await UserQualification.deleteOne({
       user: userId,
-      qualification: qualification._id
+      qualification: attendantTemplate.awardedQualification
     });
 
     // Reset attendant progress
     await AttendantProgress.deleteOne({ user: userId });
-    await AttendantPacket.deleteMany({ candidate: userId });
+    await AttendantPacket.deleteMany({ candidate: userId, template: attendantTemplate._id });
 
     res.json({ success: true });
   } catch (err) {
@@ -1716,6 +1605,12 @@ app.use('/qualifications', qualificationsModule.router);
 // Register MFRI routes
 app.use('/mfri', mfriRoutes);
 
+// Background job status and results
+app.use('/jobs', jobRoutes);
+
+// Public verification of issued transcripts and packets (no login required)
+app.use('/verify', verifyRoutes);
+
 // Hook for updating qualifications when a training submission is approved
 // This approach is safer than trying to patch the existing route handler directly
 app.use(async (req, res, next) => {
@@ -1765,6 +1660,18 @@ app.use((err, req, res, next) => {
   res.status(500).render('error', { message: 'Server error' });
 });
 
+// Lapse qualifications as class certifications expire
+const QUALIFICATION_EXPIRY_SWEEP_MS = 60 * 60 * 1000;
+mongoose.connection.once('open', () => {
+  qualificationsModule.lapseExpiredQualifications();
+  setInterval(() => qualificationsModule.lapseExpiredQualifications(), QUALIFICATION_EXPIRY_SWEEP_MS);
+});
+
+// Run queued OCR and PDF jobs once the database is reachable
+mongoose.connection.once('open', () => {
+  startJobWorkers();
+});
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);